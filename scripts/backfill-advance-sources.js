@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import Advance from '../src/models/Advance.js';
+import Payment from '../src/models/Payment.js';
+import SalaryHistory from '../src/models/SalaryHistory.js';
+import BonusHistory from '../src/models/BonusHistory.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+dotenv.config({ path: join(__dirname, '../.env') });
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+// Entries are matched only when created within this window of the document that posted them
+const WINDOW_MS = 2 * 24 * 60 * 60 * 1000;
+
+console.log('Connecting to:', MONGODB_URI);
+
+// Find the unlinked entry closest in time to `when` with the given worker/type/amount and note
+const findUnlinked = (worker, type, amount, notePattern, when, claimed) => Advance.find({
+    worker,
+    type,
+    amount,
+    notes: notePattern,
+    _id: { $nin: [...claimed] },
+    'source.kind': { $in: ['manual', null] },
+    createdAt: { $gte: new Date(when.getTime() - WINDOW_MS), $lte: new Date(when.getTime() + WINDOW_MS) }
+}).then(rows => rows.sort((a, b) => Math.abs(a.createdAt - when) - Math.abs(b.createdAt - when))[0]);
+
+// Advance entries written before they carried a source only have a note such as
+// "deposited ₹X from salary"; link the ones that can be matched to the history or payment that made them
+mongoose.connect(MONGODB_URI)
+  .then(async () => {
+    console.log('Connected to MongoDB');
+    try {
+        const claimed = new Set();
+        let linked = 0;
+
+        const link = async (advance, kind, id) => {
+            if (!advance) return;
+            await Advance.updateOne({ _id: advance._id }, { $set: { source: { kind, id } } });
+            claimed.add(advance._id);
+            linked++;
+        };
+
+        const salaryRuns = await SalaryHistory.find({ status: { $ne: 'draft' } });
+        for (const history of salaryRuns) {
+            const when = history.approvedAt || history.savedDate;
+            for (const record of history.records) {
+                if (record.deposit > 0) {
+                    await link(await findUnlinked(record.worker, 'deposit', record.deposit, /from salary$/, when, claimed), 'SalaryHistory', history._id);
+                }
+                if (record.newAdvance > 0) {
+                    await link(await findUnlinked(record.worker, 'advance', record.newAdvance, /with salary$/, when, claimed), 'SalaryHistory', history._id);
+                }
+            }
+        }
+
+        const bonusHistories = await BonusHistory.find();
+        for (const history of bonusHistories) {
+            for (const record of history.records) {
+                if (record.deposit > 0) {
+                    await link(await findUnlinked(record.worker, 'deposit', record.deposit, /from bonus$/, history.savedDate, claimed), 'BonusHistory', history._id);
+                }
+                if (record.newAdvance > 0) {
+                    await link(await findUnlinked(record.worker, 'advance', record.newAdvance, /with bonus$/, history.savedDate, claimed), 'BonusHistory', history._id);
+                }
+            }
+        }
+
+        const payments = await Payment.find({ type: 'salary', 'source.kind': { $in: ['manual', null] }, advanceDeducted: { $gt: 0 } });
+        for (const payment of payments) {
+            await link(await findUnlinked(payment.worker, 'repayment', payment.advanceDeducted, /^Deducted from salary/, payment.createdAt, claimed), 'Payment', payment._id);
+        }
+
+        console.log(`Checked ${salaryRuns.length} salary runs, ${bonusHistories.length} bonus histories and ${payments.length} payments; linked ${linked} advance entries.`);
+    } catch (e) {
+        console.error('Error backfilling advance sources:', e);
+    } finally {
+        await mongoose.disconnect();
+        console.log('Disconnected');
+    }
+  })
+  .catch(err => {
+      console.error('Connection error:', err);
+      process.exit(1);
+  });
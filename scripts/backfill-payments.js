@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import Bonus from '../src/models/Bonus.js';
+import Payment from '../src/models/Payment.js';
+import Advance from '../src/models/Advance.js';
+import SalaryHistory from '../src/models/SalaryHistory.js';
+import BonusHistory from '../src/models/BonusHistory.js';
+import { recordSalaryLinePayments, recordBonusLinePayments } from '../src/utils/ledger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+dotenv.config({ path: join(__dirname, '../.env') });
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+console.log('Connecting to:', MONGODB_URI);
+
+// Paid history lines of a salary or bonus history that have no ledger line yet. Lines saved
+// before payments were tracked read as paid; they are dated when the history was saved.
+const findUnrecordedLines = async (kind, history) => {
+    const recorded = await Payment.distinct('worker', { 'source.kind': kind, 'source.id': history._id });
+    const recordedWorkers = new Set(recorded.map(String));
+
+    return history.records
+        .filter(record => record.paymentStatus === 'paid' && !recordedWorkers.has(record.worker.toString()))
+        .map(record => ({ ...record.toObject(), paidDate: record.paidDate || history.savedDate }));
+};
+
+// Payouts made before the payments ledger existed have no ledger line; add one for each:
+// paid bonuses, paid salary and bonus history lines and advances handed over by hand.
+// Run backfill-advance-sources.js first so advances given with a salary or bonus (already
+// part of that line's net amount) are not counted again as separate payouts.
+mongoose.connect(MONGODB_URI)
+  .then(async () => {
+    console.log('Connected to MongoDB');
+    try {
+        const bonuses = await Bonus.find({ isPaid: true });
+        let bonusLines = 0;
+
+        for (const bonus of bonuses) {
+            const exists = await Payment.exists({ 'source.kind': 'Bonus', 'source.id': bonus._id });
+            if (exists) continue;
+
+            const amount = bonus.amountPaid || bonus.amountToGiveEmployee || 0;
+            await Payment.create({
+                worker: bonus.worker,
+                type: 'bonus',
+                amount,
+                netAmount: amount,
+                date: bonus.paidDate || bonus.updatedAt,
+                periodStart: bonus.periodStart,
+                periodEnd: bonus.periodEnd,
+                source: { kind: 'Bonus', id: bonus._id },
+                notes: `Bonus ${bonus.year || ''}`.trim()
+            });
+            bonusLines++;
+        }
+
+        // Draft runs have not been paid out
+        const salaryRuns = await SalaryHistory.find({ status: { $ne: 'draft' } });
+        let salaryLines = 0;
+        for (const history of salaryRuns) {
+            const records = await findUnrecordedLines('SalaryHistory', history);
+            await recordSalaryLinePayments(history, records);
+            salaryLines += records.length;
+        }
+
+        const bonusHistories = await BonusHistory.find({ status: { $in: ['approved', 'disbursed'] } });
+        let bonusHistoryLines = 0;
+        for (const history of bonusHistories) {
+            const records = await findUnrecordedLines('BonusHistory', history);
+            await recordBonusLinePayments(history, records);
+            bonusHistoryLines += records.length;
+        }
+
+        const advances = await Advance.find({ type: 'advance', 'source.kind': { $in: ['manual', null] } });
+        let advanceLines = 0;
+        for (const advance of advances) {
+            const exists = await Payment.exists({ 'source.kind': 'Advance', 'source.id': advance._id });
+            if (exists) continue;
+
+            await Payment.create({
+                worker: advance.worker,
+                type: 'advance',
+                amount: advance.amount,
+                netAmount: advance.amount,
+                date: advance.date,
+                source: { kind: 'Advance', id: advance._id },
+                notes: advance.notes
+            });
+            advanceLines++;
+        }
+
+        // Salary payments made from the payments screen are already ledger lines, but were
+        // saved without a source; mark them manual so the source filter finds them
+        const { modifiedCount: sourced } = await Payment.updateMany(
+            { 'source.kind': { $exists: false } },
+            { $set: { source: { kind: 'manual' } } }
+        );
+
+        console.log(`Checked ${bonuses.length} paid bonuses, ${salaryRuns.length} salary runs, ${bonusHistories.length} bonus histories and ${advances.length} advances.`);
+        console.log(`Added ${bonusLines} bonus, ${salaryLines} salary line, ${bonusHistoryLines} bonus line and ${advanceLines} advance ledger lines; set the source on ${sourced} earlier payments.`);
+    } catch (e) {
+        console.error('Error backfilling payments:', e);
+    } finally {
+        await mongoose.disconnect();
+        console.log('Disconnected');
+    }
+  })
+  .catch(err => {
+      console.error('Connection error:', err);
+      process.exit(1);
+  });
@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import Bonus from '../src/models/Bonus.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+dotenv.config({ path: join(__dirname, '../.env') });
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+// With --dry-run the changes are only listed
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const LEGACY_FIELDS = ['baseBonus', 'penalty', 'deposit', 'finalAmount', 'absentDays', 'period'];
+
+const differs = (a, b) => Math.abs((a || 0) - (b || 0)) >= 0.005;
+
+console.log('Connecting to:', MONGODB_URI);
+
+// Bonus records used to carry a second set of amounts (baseBonus/penalty/deposit/finalAmount,
+// plus absentDays and period) that some advances-side endpoints wrote instead of the canonical
+// baseBonusAmount/totalPenalty/employeeDeposit/finalBonusAmount/amountToGiveEmployee.
+// Copy anything only the legacy set holds into the canonical fields, recompute the derived
+// amounts and drop the legacy fields. Paid bonuses saved without a status are marked disbursed.
+mongoose.connect(MONGODB_URI)
+  .then(async () => {
+    console.log('Connected to MongoDB');
+    try {
+        // Read the raw documents: the legacy fields are no longer in the schema
+        const docs = await Bonus.collection.find({
+            $or: LEGACY_FIELDS.map(field => ({ [field]: { $exists: true } }))
+        }).toArray();
+        const conflicts = [];
+
+        for (const doc of docs) {
+            const set = {};
+            const unset = Object.fromEntries(LEGACY_FIELDS.filter(field => field in doc).map(field => [field, '']));
+
+            if (!(doc.baseBonusAmount > 0) && doc.baseBonus > 0) set.baseBonusAmount = doc.baseBonus;
+            if (!(doc.totalPenalty > 0) && doc.penalty > 0) set.totalPenalty = doc.penalty;
+            if (!(doc.totalDaysAbsent > 0) && doc.absentDays > 0) set.totalDaysAbsent = doc.absentDays;
+            if (!doc.periodStart && doc.period?.startDate) set.periodStart = doc.period.startDate;
+            if (!doc.periodEnd && doc.period?.endDate) set.periodEnd = doc.period.endDate;
+
+            // Both deposits describe the same money; keep the canonical one when both were entered
+            let employeeDeposit = doc.employeeDeposit || 0;
+            if (!(employeeDeposit > 0) && doc.deposit > 0) {
+                employeeDeposit = set.employeeDeposit = doc.deposit;
+            } else if (doc.deposit > 0 && differs(doc.deposit, employeeDeposit)) {
+                conflicts.push(`${doc._id}: deposit ${doc.deposit} vs employeeDeposit ${employeeDeposit} (kept employeeDeposit)`);
+            }
+
+            // Gross = policy bonus (base - penalty when there is none) + extra, or the latest
+            // approved override of the gross
+            const base = set.baseBonusAmount ?? doc.baseBonusAmount ?? 0;
+            const penalty = set.totalPenalty ?? doc.totalPenalty ?? 0;
+            const policyBonus = doc.policyBonus ?? Math.max(0, base - penalty);
+            const finalBonusAmount = doc.overrides?.length
+                ? doc.overrides[doc.overrides.length - 1].newAmount || 0
+                : Math.max(0, policyBonus + (doc.extraBonus || 0));
+            const amountToGiveEmployee = Math.max(0, finalBonusAmount - employeeDeposit);
+
+            if (differs(finalBonusAmount, doc.finalBonusAmount)) set.finalBonusAmount = finalBonusAmount;
+            if (differs(amountToGiveEmployee, doc.amountToGiveEmployee)) set.amountToGiveEmployee = amountToGiveEmployee;
+
+            if (Object.keys(set).length > 0) {
+                console.log(`${doc._id} (year ${doc.year}):`, Object.entries(set).map(([field, value]) => `${field} ${doc[field] ?? '-'} -> ${value}`).join(', '));
+            }
+            if (doc.finalAmount !== undefined && differs(doc.finalAmount, amountToGiveEmployee)) {
+                console.log(`${doc._id}: legacy finalAmount was ${doc.finalAmount}, amount to give is now ${amountToGiveEmployee}`);
+            }
+
+            if (!DRY_RUN) {
+                const update = { $unset: unset };
+                if (Object.keys(set).length > 0) update.$set = set;
+                await Bonus.collection.updateOne({ _id: doc._id }, update);
+            }
+        }
+
+        conflicts.forEach(line => console.log('Check:', line));
+        console.log(`${DRY_RUN ? 'Would migrate' : 'Migrated'} ${docs.length} bonus records with legacy fields${conflicts.length ? `; ${conflicts.length} deposit conflicts to check` : ''}.`);
+
+        // Bonuses paid before the bonus cycle existed have no status; they were disbursed
+        const paidFilter = { isPaid: true, status: { $ne: 'disbursed' } };
+        const paid = DRY_RUN
+            ? await Bonus.collection.countDocuments(paidFilter)
+            : (await Bonus.collection.updateMany(paidFilter, { $set: { status: 'disbursed' } })).modifiedCount;
+        console.log(`${DRY_RUN ? 'Would mark' : 'Marked'} ${paid} paid bonuses disbursed.`);
+    } catch (e) {
+        console.error('Error migrating bonus fields:', e);
+    } finally {
+        await mongoose.disconnect();
+        console.log('Disconnected');
+    }
+  })
+  .catch(err => {
+      console.error('Connection error:', err);
+      process.exit(1);
+  });
@@ -11,6 +11,11 @@ import bonusRoutes from './routes/bonus.js';
 import holidayRoutes from './routes/holidays.js';
 import settingsRoutes from './routes/settings.js';
 import statsRoutes from './routes/stats.js';
+import arrearsRoutes from './routes/arrears.js';
+import paymentRoutes from './routes/payments.js';
+import loanRoutes from './routes/loans.js';
+import bonusPolicyRoutes from './routes/bonusPolicies.js';
+import { supportsTransactions } from './utils/advanceMovements.js';
 
 dotenv.config();
 
@@ -18,10 +23,16 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/worker_management';
 
-// Connect to MongoDB first
+// Connect to MongoDB first. Money movements (advances, salary and bonus saves, loans) run in
+// transactions, so MongoDB must run as a replica set; a single-node one is enough (see README).
 mongoose.connect(MONGODB_URI)
-  .then(() => {
+  .then(async () => {
     console.log('Connected to MongoDB');
+
+    if (!(await supportsTransactions())) {
+      console.error('MongoDB is running standalone; transactions need a replica set. Start mongod with --replSet rs0 and run rs.initiate() once (see README).');
+      process.exit(1);
+    }
     
     // Middleware
     app.use(cors());
@@ -37,6 +48,10 @@ mongoose.connect(MONGODB_URI)
     app.use('/api/holidays', holidayRoutes);
     app.use('/api/settings', settingsRoutes);
     app.use('/api/stats', statsRoutes);
+    app.use('/api/arrears', arrearsRoutes);
+    app.use('/api/payments', paymentRoutes);
+    app.use('/api/loans', loanRoutes);
+    app.use('/api/bonus-policies', bonusPolicyRoutes);
 
     // Health check
     app.get('/api/health', (req, res) => {
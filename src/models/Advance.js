@@ -1,5 +1,47 @@
 import mongoose from 'mongoose';
 
+// Optional repayment plan on an advance, recovered through salary runs
+const repaymentPlanSchema = new mongoose.Schema({
+  // 'fixed': the same installment every salary run
+  // 'percentage': a share of the run's wages, optionally capped
+  mode: {
+    type: String,
+    enum: ['fixed', 'percentage'],
+    required: true
+  },
+  installmentAmount: Number,
+  percentOfWages: Number,
+  maxInstallment: Number,
+  startDate: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'cancelled'],
+    default: 'active'
+  },
+  amountRecovered: {
+    type: Number,
+    default: 0
+  },
+  completedAt: Date,
+  // One line per approved salary run while the plan is active
+  installments: [{
+    salaryHistory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SalaryHistory'
+    },
+    date: Date,
+    dueAmount: Number,
+    paidAmount: Number,
+    status: {
+      type: String,
+      enum: ['paid', 'partial', 'missed']
+    }
+  }]
+}, { _id: false });
+
 const advanceSchema = new mongoose.Schema({
   worker: {
     type: mongoose.Schema.Types.ObjectId,
@@ -27,6 +69,22 @@ const advanceSchema = new mongoose.Schema({
   balanceAfter: {
     type: Number,
     required: true
+  },
+  repaymentPlan: {
+    type: repaymentPlanSchema,
+    default: null
+  },
+  // Document that posted this movement: entered by hand, a salary/bonus history (save, approval
+  // or edit), a bonus whose payout recovered its deposit, or a salary payment that deducted it
+  source: {
+    kind: {
+      type: String,
+      enum: ['manual', 'SalaryHistory', 'BonusHistory', 'Bonus', 'Payment'],
+      default: 'manual'
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId
+    }
   }
 }, {
   timestamps: true
@@ -34,5 +92,7 @@ const advanceSchema = new mongoose.Schema({
 
 advanceSchema.index({ worker: 1, date: -1 });
 advanceSchema.index({ date: -1 });
+advanceSchema.index({ 'repaymentPlan.status': 1, worker: 1 });
+advanceSchema.index({ 'source.kind': 1, 'source.id': 1 });
 
 export default mongoose.model('Advance', advanceSchema);
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// An advance held back by the advance policy until an admin approves or rejects it.
+// Nothing is posted to the worker's balance until it is approved.
+const advanceRequestSchema = new mongoose.Schema({
+  worker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Worker',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  // Validated repayment plan to attach to the advance once approved
+  repaymentPlan: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  // Why the policy held the advance back
+  reasons: [String],
+  // Figures the policy was checked against when the request was made
+  policyCheck: {
+    outstanding: Number,
+    monthlyEarnings: Number,
+    maxOutstanding: Number,
+    maxSingleAdvance: Number
+  },
+  reviewedBy: {
+    type: String,
+    trim: true
+  },
+  reviewedAt: Date,
+  reviewNotes: {
+    type: String,
+    trim: true
+  },
+  // Advance posted on approval
+  advance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Advance',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+advanceRequestSchema.index({ status: 1, createdAt: -1 });
+advanceRequestSchema.index({ worker: 1, createdAt: -1 });
+
+export default mongoose.model('AdvanceRequest', advanceRequestSchema);
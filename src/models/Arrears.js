@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+const arrearsSchema = new mongoose.Schema({
+  worker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Worker',
+    required: true
+  },
+  workerName: String,
+  workerId: String,
+  // Range of days that were recomputed
+  fromDate: {
+    type: Date,
+    required: true
+  },
+  toDate: {
+    type: Date,
+    required: true
+  },
+  runDate: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // Old vs new pay per period. Periods already paid through a saved salary
+  // history carry its id; days not yet paid are grouped with salaryHistory = null.
+  periods: [{
+    salaryHistory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SalaryHistory',
+      default: null
+    },
+    periodStart: Date,
+    periodEnd: Date,
+    entriesAffected: Number,
+    oldPay: Number,
+    newPay: Number,
+    difference: Number
+  }],
+  totalOldPay: {
+    type: Number,
+    default: 0
+  },
+  totalNewPay: {
+    type: Number,
+    default: 0
+  },
+  // Difference on days already paid (owed to the worker, negative = recovery)
+  arrearsAmount: {
+    type: Number,
+    default: 0
+  },
+  // Difference on days not yet paid (picked up by the next salary calculation)
+  unpaidDifference: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'settled'],
+    default: 'pending'
+  },
+  // Salary history the arrears line was folded into
+  settledIn: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SalaryHistory'
+  },
+  settledDate: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+arrearsSchema.index({ worker: 1, status: 1 });
+arrearsSchema.index({ runDate: -1 });
+
+export default mongoose.model('Arrears', arrearsSchema);
@@ -25,6 +25,14 @@ const bonusSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Days employed in the period / days in the period; the base bonus is multiplied by it
+  prorationFactor: {
+    type: Number,
+    default: 1
+  },
+  daysEmployed: {
+    type: Number
+  },
   totalDaysWorked: {
     type: Number,
     default: 0
@@ -51,6 +59,50 @@ const bonusSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Worked fewer days than the policy's minimum (no bonus)
+  eligible: {
+    type: Boolean,
+    default: true
+  },
+  // Bonus was limited by the policy cap
+  capped: {
+    type: Boolean,
+    default: false
+  },
+  // Base - penalty after eligibility, cap and rounding
+  policyBonus: {
+    type: Number
+  },
+  // Bonus policy version that produced the calculation (version 0 = built-in rules)
+  policy: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BonusPolicy'
+    },
+    name: String,
+    version: Number
+  },
+  // 'policy' = bonus policy calculation, 'statutory' = Payment of Bonus Act (percentage of wages)
+  mode: {
+    type: String,
+    enum: ['policy', 'statutory'],
+    default: 'policy'
+  },
+  // Statutory calculation details (mode 'statutory'); the bonus itself is in baseBonusAmount/policyBonus
+  statutory: {
+    financialYear: String,
+    percentage: Number,
+    daysWorked: Number,
+    // Total wages (DailyEntry totalPay) earned in the accounting year
+    wagesEarned: Number,
+    // Wages the percentage applies to, after the monthly ceilings
+    bonusWages: Number,
+    eligibilityCeiling: Number,
+    calculationCeiling: Number,
+    minDaysWorked: Number,
+    excludedMonths: [String],
+    ineligibleReason: String
+  },
   // Advance repayment deducted from bonus
   advanceDeduction: {
     type: Number,
@@ -71,12 +123,12 @@ const bonusSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
-  // Calculated final bonus after all deductions and deposits
+  // Gross bonus: policy bonus + extra bonus, or the latest override (PUT /api/bonus/:id, recorded below)
   finalBonusAmount: {
     type: Number,
     required: true
   },
-  // The amount actually to be given to employee (bonus - advanceDeduction - employeeDeposit + extraBonus)
+  // The amount actually to be given to employee (finalBonusAmount - employeeDeposit)
   amountToGiveEmployee: {
     type: Number,
     default: 0
@@ -89,6 +141,36 @@ const bonusSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Bonus cycle: calculated -> reviewed -> approved -> disbursed (only approved bonuses are paid).
+  // Bonuses paid before the cycle existed have no status and read as disbursed.
+  status: {
+    type: String,
+    enum: ['calculated', 'reviewed', 'approved', 'disbursed'],
+    default: function () {
+      return this.isPaid ? 'disbursed' : 'calculated';
+    }
+  },
+  reviewedAt: Date,
+  reviewedBy: String,
+  approvedAt: Date,
+  approvedBy: String,
+  // Manual changes to finalBonusAmount, each with its reason and approver
+  overrides: [{
+    previousAmount: Number,
+    newAmount: Number,
+    reason: {
+      type: String,
+      trim: true
+    },
+    approvedBy: {
+      type: String,
+      trim: true
+    },
+    date: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   paidDate: {
     type: Date
   },
@@ -96,36 +178,17 @@ const bonusSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
-  baseBonus: { type: Number, default: 0 },
-  penalty: { type: Number, default: 0 },
-  deposit: { type: Number, default: 0 },
-  finalAmount: { type: Number, default: 0 },
-  absentDays: { type: Number, default: 0 },
+  // Deposits and refunds entered against the bonus
   transactions: [{
     type: { type: String, enum: ['bonus-deposit', 'bonus-refund', 'extra-bonus', 'other'] },
     amount: Number,
     date: Date,
     note: String
-  }],
-  period: {
-    startDate: Date,
-    endDate: Date
-  }
+  }]
 }, {
   timestamps: true
 });
 
-// Pre-save hook to always recalculate finalAmount
-bonusSchema.pre('save', function(next) {
-  // Final Amount = Base - Penalty + ExtraBonus - Deposit
-  this.finalAmount = 
-    (this.baseBonus || 0) - 
-    (this.penalty || 0) + 
-    (this.extraBonus || 0) - 
-    (this.deposit || 0);
-  next();
-});
-
 bonusSchema.index({ year: 1, worker: 1 });
 bonusSchema.index({ periodStart: 1, periodEnd: 1, worker: 1 });
 
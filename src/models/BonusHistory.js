@@ -30,9 +30,30 @@ const bonusHistorySchema = new mongoose.Schema({
     workerId: String,
     hourlyRate: Number,
     baseBonusAmount: Number,
+    // Share of the period the worker was employed (base bonus is pro-rated by it)
+    prorationFactor: {
+      type: Number,
+      default: 1
+    },
     totalDaysWorked: Number,
     totalDaysAbsent: Number,
     totalPenalty: Number,
+    // Base - penalty after the policy's eligibility, cap and rounding
+    policyBonus: Number,
+    // 'statutory' for Payment of Bonus Act calculations
+    mode: {
+      type: String,
+      enum: ['policy', 'statutory'],
+      default: 'policy'
+    },
+    policy: {
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BonusPolicy'
+      },
+      name: String,
+      version: Number
+    },
     advanceDeduction: Number,
     extraBonus: Number,
     deposit: {
@@ -49,7 +70,23 @@ const bonusHistorySchema = new mongoose.Schema({
     },
     finalBonusAmount: Number,
     amountToGiveEmployee: Number,
-    advanceBalanceAtSave: Number
+    advanceBalanceAtSave: Number,
+    // Payment of this line to the worker. Lines saved before payments were tracked were
+    // already paid out, so they read as paid; new lines are saved as unpaid.
+    paymentStatus: {
+      type: String,
+      enum: ['unpaid', 'paid'],
+      default: 'paid'
+    },
+    paidDate: Date,
+    paymentMode: {
+      type: String,
+      enum: ['cash', 'bank', 'upi']
+    },
+    paymentReference: {
+      type: String,
+      trim: true
+    }
   }],
   // Summary totals
   totalBaseBonusAmount: Number,
@@ -61,6 +98,18 @@ const bonusHistorySchema = new mongoose.Schema({
   totalPayout: Number,
   totalNewAdvance: Number,
   totalFinalAmount: Number,
+  // Bonus cycle: calculated -> reviewed -> approved -> disbursed. Deposits and new advances are
+  // posted on approval. Histories saved before the cycle existed already posted them, so they read as approved.
+  status: {
+    type: String,
+    enum: ['calculated', 'reviewed', 'approved', 'disbursed'],
+    default: 'approved'
+  },
+  reviewedAt: Date,
+  reviewedBy: String,
+  approvedAt: Date,
+  approvedBy: String,
+  disbursedAt: Date,
   // Metadata
   notes: String,
   isSaved: {
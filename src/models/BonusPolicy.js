@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+// Named, versioned bonus rules. A version is never edited once saved: changing a policy
+// saves a new version under the same name, so past calculations keep pointing at the rules they used.
+const bonusPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    default: 1
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Base bonus = baseDays × baseHours × hourly rate
+  baseDays: {
+    type: Number,
+    default: 30
+  },
+  baseHours: {
+    type: Number,
+    default: 8
+  },
+  // What each penalised absent day costs:
+  // 'none' no penalty, 'per-day' a fixed amount, 'daily-wage' baseHours × hourly rate
+  penaltyRule: {
+    mode: {
+      type: String,
+      enum: ['none', 'per-day', 'daily-wage'],
+      default: 'per-day'
+    },
+    amountPerDay: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Which absent days go unpenalised:
+  // 'none' every absent day, 'min-absent' as many as the worker with the fewest absents, 'fixed' a set allowance
+  thresholdRule: {
+    mode: {
+      type: String,
+      enum: ['none', 'min-absent', 'fixed'],
+      default: 'none'
+    },
+    days: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Workers with fewer days worked in the period get no bonus
+  minDaysWorked: {
+    type: Number,
+    default: 0
+  },
+  // Upper limit on the calculated bonus (null for none)
+  cap: {
+    type: Number,
+    default: null
+  },
+  // Rounding of the calculated bonus to a multiple of `step`
+  rounding: {
+    mode: {
+      type: String,
+      enum: ['none', 'nearest', 'up', 'down'],
+      default: 'none'
+    },
+    step: {
+      type: Number,
+      default: 1
+    }
+  },
+  // Used when a calculation does not name a policy
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+bonusPolicySchema.index({ name: 1, version: -1 }, { unique: true });
+
+export default mongoose.model('BonusPolicy', bonusPolicySchema);
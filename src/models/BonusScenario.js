@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+
+const policyRefSchema = {
+  id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BonusPolicy'
+  },
+  name: String,
+  version: Number
+};
+
+// A named what-if bonus run: a set of policy rules worked out over a period without touching
+// the real Bonus records. Scenarios for the same period can be compared side by side and one
+// of them promoted to the real calculation.
+const bonusScenarioSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  // Policy version the rules started from (version 0 = built-in rules)
+  basePolicy: policyRefSchema,
+  // Rules the scenario was run with (same fields as a BonusPolicy version)
+  rules: {
+    baseDays: Number,
+    baseHours: Number,
+    penaltyRule: {
+      mode: String,
+      amountPerDay: Number
+    },
+    thresholdRule: {
+      mode: String,
+      days: Number
+    },
+    minDaysWorked: Number,
+    cap: Number,
+    rounding: {
+      mode: String,
+      step: Number
+    }
+  },
+  lines: [{
+    worker: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Worker'
+    },
+    workerId: String,
+    workerName: String,
+    hourlyRate: Number,
+    prorationFactor: Number,
+    totalDaysWorked: Number,
+    totalDaysAbsent: Number,
+    extraAbsents: Number,
+    baseBonusAmount: Number,
+    totalPenalty: Number,
+    eligible: Boolean,
+    capped: Boolean,
+    policyBonus: Number
+  }],
+  totals: {
+    workers: Number,
+    eligibleWorkers: Number,
+    baseBonusAmount: Number,
+    totalPenalty: Number,
+    policyBonus: Number
+  },
+  calculatedAt: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'promoted'],
+    default: 'draft'
+  },
+  promotedAt: {
+    type: Date
+  },
+  // Policy version the scenario's rules were saved as when it was promoted
+  promotedPolicy: policyRefSchema,
+  createdBy: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+bonusScenarioSchema.index({ periodStart: 1, periodEnd: 1, name: 1 }, { unique: true });
+
+export default mongoose.model('BonusScenario', bonusScenarioSchema);
@@ -19,6 +19,28 @@ const dailyEntrySchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Hours split against the worker's dailyWorkingHours
+  regularHours: {
+    type: Number,
+    default: 0
+  },
+  overtimeHours: {
+    type: Number,
+    default: 0
+  },
+  regularPay: {
+    type: Number,
+    default: 0
+  },
+  overtimePay: {
+    type: Number,
+    default: 0
+  },
+  // Multiplier applied to overtime hours (higher on weekly offs and holidays)
+  overtimeMultiplier: {
+    type: Number,
+    default: 1
+  },
   totalPay: {
     type: Number,
     default: 0
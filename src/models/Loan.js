@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+
+// Interest-bearing loan to a worker, kept apart from salary advances.
+// Repaid in EMIs per the amortization schedule, normally deducted in salary runs.
+const loanSchema = new mongoose.Schema({
+  worker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Worker',
+    required: true
+  },
+  principal: {
+    type: Number,
+    required: true
+  },
+  // 'flat': interest on the full principal for the whole tenure
+  // 'reducing': interest each month on the principal still outstanding
+  interestMethod: {
+    type: String,
+    enum: ['flat', 'reducing'],
+    required: true,
+    default: 'flat'
+  },
+  // Annual interest rate in percent
+  interestRate: {
+    type: Number,
+    default: 0
+  },
+  // One-off fee, recovered evenly across the installments
+  fee: {
+    type: Number,
+    default: 0
+  },
+  tenureMonths: {
+    type: Number,
+    required: true
+  },
+  disbursedDate: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  firstDueDate: {
+    type: Date,
+    required: true
+  },
+  emiAmount: Number,
+  totalInterest: Number,
+  totalPayable: Number,
+  schedule: [{
+    installmentNo: Number,
+    dueDate: Date,
+    principal: Number,
+    interest: Number,
+    fee: Number,
+    emi: Number,
+    // Principal left after this installment
+    balanceAfter: Number,
+    paidAmount: {
+      type: Number,
+      default: 0
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'partial', 'paid'],
+      default: 'pending'
+    }
+  }],
+  // Every repayment, from a salary run or paid directly
+  repayments: [{
+    date: {
+      type: Date,
+      default: Date.now
+    },
+    amount: Number,
+    source: {
+      kind: {
+        type: String,
+        enum: ['manual', 'SalaryHistory'],
+        default: 'manual'
+      },
+      id: {
+        type: mongoose.Schema.Types.ObjectId
+      }
+    },
+    notes: String
+  }],
+  amountRepaid: {
+    type: Number,
+    default: 0
+  },
+  outstanding: Number,
+  status: {
+    type: String,
+    enum: ['active', 'closed', 'cancelled'],
+    default: 'active'
+  },
+  closedAt: Date,
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true,
+  // Two salary runs recovering the same loan at once must not both save
+  optimisticConcurrency: true
+});
+
+loanSchema.index({ worker: 1, status: 1 });
+loanSchema.index({ 'repayments.source.kind': 1, 'repayments.source.id': 1 });
+
+export default mongoose.model('Loan', loanSchema);
@@ -12,7 +12,7 @@ const paymentSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['salary', 'bonus', 'advance_repayment', 'other'],
+    enum: ['salary', 'bonus', 'advance', 'advance_repayment', 'loan', 'loan_repayment', 'other'],
     required: true
   },
   date: {
@@ -30,10 +30,34 @@ const paymentSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Loan EMIs deducted from a salary line
+  loanDeducted: {
+    type: Number,
+    default: 0
+  },
   netAmount: {
     type: Number,
     required: true
   },
+  paymentMode: {
+    type: String,
+    enum: ['cash', 'bank', 'upi']
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  // Where the payout was made from (manual payment, a salary/bonus history line, a bonus, an advance, a loan)
+  source: {
+    kind: {
+      type: String,
+      enum: ['manual', 'SalaryHistory', 'BonusHistory', 'Bonus', 'Advance', 'Loan'],
+      default: 'manual'
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId
+    }
+  },
   notes: {
     type: String,
     trim: true
@@ -44,5 +68,7 @@ const paymentSchema = new mongoose.Schema({
 
 paymentSchema.index({ worker: 1, date: -1 });
 paymentSchema.index({ date: -1 });
+paymentSchema.index({ type: 1, date: -1 });
+paymentSchema.index({ 'source.kind': 1, 'source.id': 1 });
 
 export default mongoose.model('Payment', paymentSchema);
@@ -39,8 +39,55 @@ const salaryHistorySchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // Loan EMIs deducted in this run, split per loan; posted to the loans on approval
+    loanDeduction: {
+      type: Number,
+      default: 0
+    },
+    loanDeductions: [{
+      loan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Loan'
+      },
+      amount: Number
+    }],
+    // Arrears from backdated rate changes, paid as a separate line
+    arrears: {
+      type: Number,
+      default: 0
+    },
+    arrearsRefs: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Arrears'
+    }],
     finalAmount: Number,
-    advanceBalanceAtSave: Number
+    advanceBalanceAtSave: Number,
+    // Figures the client submitted; hours/pay above are recomputed from DailyEntry
+    submitted: {
+      totalHoursWorked: Number,
+      totalPay: Number,
+      finalAmount: Number
+    },
+    mismatch: {
+      type: Boolean,
+      default: false
+    },
+    // Payment of this line to the worker. Lines saved before payments were tracked were
+    // already paid out, so they read as paid; new lines are saved as unpaid.
+    paymentStatus: {
+      type: String,
+      enum: ['unpaid', 'paid'],
+      default: 'paid'
+    },
+    paidDate: Date,
+    paymentMode: {
+      type: String,
+      enum: ['cash', 'bank', 'upi']
+    },
+    paymentReference: {
+      type: String,
+      trim: true
+    }
   }],
   // Summary totals
   totalHours: Number,
@@ -48,7 +95,25 @@ const salaryHistorySchema = new mongoose.Schema({
   totalDeposit: Number,
   totalNewAdvance: Number,
   totalPayout: Number,
+  totalLoanDeduction: Number,
+  totalArrears: Number,
   totalFinal: Number,
+  // True when any record's submitted figures differed from the server calculation
+  hasMismatches: {
+    type: Boolean,
+    default: false
+  },
+  // Payroll run lifecycle: draft -> approved -> paid -> locked
+  // Runs saved before the lifecycle existed already posted their advances, so they read as approved
+  status: {
+    type: String,
+    enum: ['draft', 'approved', 'paid', 'locked'],
+    default: 'approved'
+  },
+  approvedAt: Date,
+  approvedBy: String,
+  paidAt: Date,
+  lockedAt: Date,
   // Metadata
   notes: String,
   isSaved: {
@@ -62,5 +127,6 @@ const salaryHistorySchema = new mongoose.Schema({
 // Create index for finding saved reports by date
 salaryHistorySchema.index({ savedDate: -1 });
 salaryHistorySchema.index({ periodStart: 1, periodEnd: 1 });
+salaryHistorySchema.index({ status: 1, 'records.worker': 1 });
 
 export default mongoose.model('SalaryHistory', salaryHistorySchema);
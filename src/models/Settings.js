@@ -14,6 +14,54 @@ const settingsSchema = new mongoose.Schema({
   companyName: {
     type: String,
     default: null
+  },
+  // Company account salaries are paid from (used in bank upload files)
+  debitAccountNumber: {
+    type: String,
+    default: null
+  },
+  // Notes and coins used for cash payout sheets (largest first)
+  cashDenominations: {
+    type: [Number],
+    default: [500, 200, 100, 50, 20, 10, 5, 2, 1]
+  },
+  // Limits checked when an advance is given; advances over a limit wait for approval.
+  // A null limit is not enforced.
+  advancePolicy: {
+    // Maximum outstanding balance as a multiple of the worker's average monthly earnings
+    maxOutstandingMultiple: {
+      type: Number,
+      default: null
+    },
+    maxSingleAdvance: {
+      type: Number,
+      default: null
+    },
+    // Refuse advances to inactive workers outright
+    blockInactiveWorkers: {
+      type: Boolean,
+      default: true
+    },
+    // Months of daily entries averaged for monthly earnings
+    earningsMonths: {
+      type: Number,
+      default: 3
+    }
+  },
+  // Overtime pay multiplier on normal working days
+  overtimeMultiplier: {
+    type: Number,
+    default: 1.5
+  },
+  // Overtime pay multiplier on weekly offs and holidays
+  offDayOvertimeMultiplier: {
+    type: Number,
+    default: 2
+  },
+  // Weekly off days (0 = Sunday ... 6 = Saturday)
+  weeklyOffDays: {
+    type: [Number],
+    default: []
   }
 }, { timestamps: true });
 
@@ -17,10 +17,30 @@ const workerSchema = new mongoose.Schema({
     required: true,
     default: 8
   },
+  // Rate currently in force (kept in step with rateHistory)
   hourlyRate: {
     type: Number,
     required: true
   },
+  // Effective-dated rate history; pay for a day uses the rate in force on that day
+  rateHistory: [{
+    rate: {
+      type: Number,
+      required: true
+    },
+    effectiveFrom: {
+      type: Date,
+      required: true
+    },
+    notes: {
+      type: String,
+      trim: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   bankDetails: {
     bankName: { type: String, trim: true },
     accountNumber: { type: String, trim: true },
@@ -30,6 +50,13 @@ const workerSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Employment dates (bonus is pro-rated by the days employed in the bonus period)
+  joiningDate: {
+    type: Date
+  },
+  leavingDate: {
+    type: Date
+  },
   // Advance tracking
   advanceBalance: {
     type: Number,
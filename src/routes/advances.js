@@ -1,10 +1,31 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import ExcelJS from 'exceljs';
 import Advance from '../models/Advance.js';
+import AdvanceRequest from '../models/AdvanceRequest.js';
 import Worker from '../models/Worker.js';
 import Payment from '../models/Payment.js';
 import DailyEntry from '../models/DailyEntry.js';
 import Settings from '../models/Settings.js';
+import Bonus from '../models/Bonus.js';
+import { recordPayment, removeSourcePayments } from '../utils/ledger.js';
+import { summarizeEntriesByWorker } from '../utils/pay.js';
+import { parsePeriodDate } from '../utils/dates.js';
+import {
+  replayWorkerLedger,
+  repairWorkerLedger,
+  getBalancesAsOf,
+  getAdvanceStatement,
+  ADVANCE_SOURCE_KINDS,
+  getSourceFilter,
+  listSourceMovements
+} from '../utils/advanceLedger.js';
+import { runInTransaction, postAdvanceMovement, MoneyMovementError } from '../utils/advanceMovements.js';
+import { checkAdvancePolicy } from '../utils/advancePolicy.js';
+import { recalculateBonusAmounts } from '../utils/bonusPolicy.js';
+import { getBonusLockError } from '../utils/bonusCycle.js';
+import { AGING_BUCKETS, buildAgingReport } from '../utils/advanceAging.js';
+import { validateRepaymentPlan, getPlannedDeductions, getRunLengthDays, summarizePlan } from '../utils/advancePlans.js';
 
 const router = express.Router();
 
@@ -64,17 +85,38 @@ router.get('/summary', async (req, res) => {
   }
 });
 
-// Get advance history for a worker
+// Get advance history for a worker.
+// ?source filters by what created the entry (manual, SalaryHistory, BonusHistory, Bonus, Payment), ?sourceId by the document
 router.get('/worker/:workerId', async (req, res) => {
   try {
+    const { source, sourceId } = req.query;
+    if (source && !ADVANCE_SOURCE_KINDS.includes(source)) {
+      return res.status(400).json({ error: `source must be one of: ${ADVANCE_SOURCE_KINDS.join(', ')}` });
+    }
+    if (sourceId && !mongoose.Types.ObjectId.isValid(sourceId)) {
+      return res.status(400).json({ error: 'Invalid sourceId' });
+    }
+
     const worker = await Worker.findById(req.params.workerId);
     if (!worker) {
       return res.status(404).json({ error: 'Worker not found' });
     }
 
-    const advances = await Advance.find({ worker: req.params.workerId })
+    const filter = { worker: req.params.workerId };
+    if (source) Object.assign(filter, getSourceFilter(source, sourceId));
+
+    const advances = await Advance.find(filter)
       .sort({ date: -1 });
 
+    // Entry count and amount per source kind
+    const bySource = {};
+    advances.forEach(advance => {
+      const kind = advance.source?.kind || 'manual';
+      bySource[kind] = bySource[kind] || { count: 0, amount: 0 };
+      bySource[kind].count++;
+      bySource[kind].amount += advance.amount;
+    });
+
     res.json({
       worker: {
         _id: worker._id,
@@ -84,6 +126,7 @@ router.get('/worker/:workerId', async (req, res) => {
         totalAdvanceTaken: worker.totalAdvanceTaken,
         totalAdvanceRepaid: worker.totalAdvanceRepaid
       },
+      bySource,
       history: advances
     });
   } catch (error) {
@@ -91,38 +134,291 @@ router.get('/worker/:workerId', async (req, res) => {
   }
 });
 
-// Give advance to worker
+// Post an advance to the worker's balance together with its payout ledger line
+const postAdvance = async ({ worker, amount, date, notes, repaymentPlan }, session) => {
+  const { advance } = await postAdvanceMovement({
+    worker,
+    type: 'advance',
+    amount,
+    date,
+    notes,
+    repaymentPlan
+  }, session);
+
+  // Cash handed over as an advance is a payout too
+  await recordPayment({
+    worker,
+    type: 'advance',
+    amount,
+    date: advance.date,
+    source: { kind: 'Advance', id: advance._id },
+    notes
+  }, session);
+
+  return advance;
+};
+
+// Give advance to worker (optionally with a repayment plan recovered through salary runs).
+// Advances over the advance policy limits are held as a pending request (202) instead.
 router.post('/give', async (req, res) => {
   try {
-    const { workerId, amount, notes, date } = req.body;
+    const { workerId, amount, notes, date, repaymentPlan } = req.body;
 
     const worker = await Worker.findById(workerId);
     if (!worker) {
       return res.status(404).json({ error: 'Worker not found' });
     }
 
-    const newBalance = worker.advanceBalance + amount;
+    let plan = null;
+    if (repaymentPlan) {
+      const validated = validateRepaymentPlan(repaymentPlan);
+      if (validated.error) {
+        return res.status(400).json({ error: validated.error });
+      }
+      plan = validated.plan;
+    }
+
+    const check = await checkAdvancePolicy(worker, Number(amount));
+    if (check.blocked) {
+      return res.status(403).json({ error: check.blocked });
+    }
+
+    if (check.reasons.length > 0) {
+      const request = await AdvanceRequest.create({
+        worker: workerId,
+        amount,
+        date: date ? new Date(date) : new Date(),
+        notes,
+        repaymentPlan: plan,
+        reasons: check.reasons,
+        policyCheck: check.policyCheck
+      });
+
+      return res.status(202).json({
+        pendingApproval: true,
+        message: 'Advance exceeds the advance policy and is waiting for approval',
+        request
+      });
+    }
 
-    const advance = new Advance({
+    const advance = await runInTransaction(session => postAdvance({
       worker: workerId,
-      type: 'advance',
       amount,
       date: date ? new Date(date) : new Date(),
       notes,
-      balanceAfter: newBalance
-    });
-
-    await advance.save();
-
-    await Worker.findByIdAndUpdate(workerId, {
-      advanceBalance: newBalance,
-      $inc: { totalAdvanceTaken: amount }
-    });
+      repaymentPlan: plan
+    }, session));
 
     const populatedAdvance = await Advance.findById(advance._id)
       .populate('worker', 'name workerId advanceBalance');
 
     res.status(201).json(populatedAdvance);
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+});
+
+// List advance requests held back by the policy (?status defaults to pending; ?status=all for every request)
+router.get('/requests', async (req, res) => {
+  try {
+    const { status, workerId } = req.query;
+    const filter = {};
+    if (status !== 'all') filter.status = status || 'pending';
+    if (workerId) filter.worker = workerId;
+
+    const requests = await AdvanceRequest.find(filter)
+      .populate('worker', 'name workerId advanceBalance isActive')
+      .sort({ createdAt: -1 });
+
+    res.json(requests);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Approve a pending advance request and post the advance.
+// Body: { reviewedBy, reviewNotes }
+router.post('/requests/:id/approve', async (req, res) => {
+  try {
+    const { reviewedBy, reviewNotes } = req.body;
+    if (!reviewedBy || !String(reviewedBy).trim()) {
+      return res.status(400).json({ error: 'reviewedBy is required' });
+    }
+
+    const request = await AdvanceRequest.findById(req.params.id).populate('worker');
+    if (!request) {
+      return res.status(404).json({ error: 'Advance request not found' });
+    }
+    if (request.status !== 'pending') {
+      return res.status(409).json({ error: `Advance request is already ${request.status}` });
+    }
+
+    // Approval overrides the limits, but not the block on inactive workers
+    const check = await checkAdvancePolicy(request.worker, request.amount);
+    if (check.blocked) {
+      return res.status(403).json({ error: check.blocked });
+    }
+
+    const approved = await runInTransaction(async (session) => {
+      // Claim the request so it can't be approved (or rejected) twice
+      const claimed = await AdvanceRequest.findOneAndUpdate(
+        { _id: request._id, status: 'pending' },
+        { status: 'approved', reviewedBy: String(reviewedBy).trim(), reviewedAt: new Date(), reviewNotes },
+        { new: true, session }
+      );
+      if (!claimed) {
+        throw new MoneyMovementError('Advance request is no longer pending', 409);
+      }
+
+      const advance = await postAdvance({
+        worker: request.worker._id,
+        amount: request.amount,
+        date: request.date,
+        notes: request.notes,
+        repaymentPlan: request.repaymentPlan
+      }, session);
+
+      claimed.advance = advance._id;
+      await claimed.save({ session });
+      return claimed;
+    });
+
+    const populatedRequest = await AdvanceRequest.findById(approved._id)
+      .populate('worker', 'name workerId advanceBalance')
+      .populate('advance');
+
+    res.json(populatedRequest);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Reject a pending advance request. Body: { reviewedBy, reviewNotes }
+router.post('/requests/:id/reject', async (req, res) => {
+  try {
+    const { reviewedBy, reviewNotes } = req.body;
+    if (!reviewedBy || !String(reviewedBy).trim()) {
+      return res.status(400).json({ error: 'reviewedBy is required' });
+    }
+
+    const request = await AdvanceRequest.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      { status: 'rejected', reviewedBy: String(reviewedBy).trim(), reviewedAt: new Date(), reviewNotes },
+      { new: true }
+    ).populate('worker', 'name workerId advanceBalance');
+
+    if (!request) {
+      const existing = await AdvanceRequest.findById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Advance request not found' });
+      }
+      return res.status(409).json({ error: `Advance request is already ${existing.status}` });
+    }
+
+    res.json(request);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Repayment plans with progress and projected payoff (status defaults to active)
+router.get('/plans', async (req, res) => {
+  try {
+    const { workerId, status } = req.query;
+    const filter = { type: 'advance', repaymentPlan: { $ne: null } };
+
+    if (workerId) filter.worker = workerId;
+    if (status !== 'all') filter['repaymentPlan.status'] = status || 'active';
+
+    const advances = await Advance.find(filter)
+      .populate('worker', 'name workerId advanceBalance')
+      .sort({ date: 1 });
+
+    const runLengths = {};
+    const plans = [];
+    for (const advance of advances) {
+      const id = advance.worker._id.toString();
+      if (!runLengths[id]) runLengths[id] = await getRunLengthDays(advance.worker._id);
+      plans.push(summarizePlan(advance, runLengths[id]));
+    }
+
+    res.json(plans);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Planned installment deductions for a salary period, based on each worker's wages in it
+router.get('/planned-deductions', async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({ error: 'startDate and endDate are required' });
+    }
+
+    const start = parsePeriodDate(startDate);
+    const end = parsePeriodDate(endDate);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return res.status(400).json({ error: 'Invalid date format' });
+    }
+    end.setHours(23, 59, 59, 999);
+    const entries = await DailyEntry.find({ date: { $gte: start, $lte: end } })
+      .populate('worker', 'name workerId hourlyRate rateHistory dailyWorkingHours');
+
+    const workerMap = summarizeEntriesByWorker(entries);
+    const wages = new Map(Object.entries(workerMap).map(([id, item]) => [id, item.totalPay]));
+    const planned = await getPlannedDeductions(wages, end);
+
+    res.json(Array.from(planned.entries()).map(([id, entry]) => ({
+      worker: id,
+      workerName: workerMap[id].worker.name,
+      workerId: workerMap[id].worker.workerId,
+      wages: wages.get(id),
+      plannedDeduction: entry.amount,
+      plans: entry.plans
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add, change or cancel the repayment plan on an advance.
+// Body: a plan ({ mode, installmentAmount | percentOfWages, maxInstallment }) or { status: 'cancelled' }
+router.put('/:id/plan', async (req, res) => {
+  try {
+    const advance = await Advance.findById(req.params.id);
+    if (!advance) {
+      return res.status(404).json({ error: 'Advance transaction not found' });
+    }
+    if (advance.type !== 'advance') {
+      return res.status(400).json({ error: 'Repayment plans can only be attached to advances' });
+    }
+
+    if (req.body.status === 'cancelled') {
+      if (!advance.repaymentPlan) {
+        return res.status(400).json({ error: 'Advance has no repayment plan' });
+      }
+      advance.repaymentPlan.status = 'cancelled';
+    } else {
+      const validated = validateRepaymentPlan(req.body);
+      if (validated.error) {
+        return res.status(400).json({ error: validated.error });
+      }
+
+      // Keep what has already been recovered when the terms change
+      const existing = advance.repaymentPlan;
+      advance.repaymentPlan = {
+        ...validated.plan,
+        startDate: existing?.startDate || validated.plan.startDate,
+        amountRecovered: existing?.amountRecovered || 0,
+        installments: existing?.installments || [],
+        status: 'active'
+      };
+    }
+
+    await advance.save();
+    res.json(summarizePlan(advance, await getRunLengthDays(advance.worker)));
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
@@ -142,34 +438,261 @@ router.post('/repay', async (req, res) => {
       return res.status(400).json({ error: 'Repayment amount exceeds advance balance' });
     }
 
-    const newBalance = worker.advanceBalance - amount;
-
-    const advance = new Advance({
+    // The balance check above is repeated atomically in the update, in case another repayment lands first
+    const { advance } = await runInTransaction(session => postAdvanceMovement({
       worker: workerId,
       type: 'repayment',
       amount,
       date: date ? new Date(date) : new Date(),
-      notes,
-      balanceAfter: newBalance
+      notes
+    }, session));
+
+    const populatedAdvance = await Advance.findById(advance._id)
+      .populate('worker', 'name workerId advanceBalance');
+
+    res.status(201).json(populatedAdvance);
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+});
+
+// Check Worker advance balances/totals and each row's balanceAfter against a replay of the Advance entries.
+// Only workers with mismatches are listed unless ?all=true
+router.get('/reconcile', async (req, res) => {
+  try {
+    const { workerId, all } = req.query;
+    const workers = workerId ? await Worker.find({ _id: workerId }) : await Worker.find().sort({ name: 1 });
+
+    if (workerId && workers.length === 0) {
+      return res.status(404).json({ error: 'Worker not found' });
+    }
+
+    const results = [];
+    for (const worker of workers) {
+      const result = await replayWorkerLedger(worker);
+      if (result.mismatch || all === 'true') results.push(result);
+    }
+
+    res.json({
+      workersChecked: workers.length,
+      workersWithMismatches: results.filter(r => r.mismatch).length,
+      results
     });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    await advance.save();
+// Repair advance balances from the Advance entries for one worker (body.workerId) or all workers
+router.post('/reconcile/repair', async (req, res) => {
+  try {
+    const { workerId } = req.body;
+    const workers = workerId ? await Worker.find({ _id: workerId }) : await Worker.find().sort({ name: 1 });
 
-    await Worker.findByIdAndUpdate(workerId, {
-      advanceBalance: newBalance,
-      $inc: { totalAdvanceRepaid: amount }
+    if (workerId && workers.length === 0) {
+      return res.status(404).json({ error: 'Worker not found' });
+    }
+
+    const repaired = [];
+    for (const worker of workers) {
+      const result = await repairWorkerLedger(worker);
+      if (result.repaired) repaired.push(result);
+    }
+
+    res.json({
+      message: `Repaired advance ledger for ${repaired.length} workers`,
+      workersChecked: workers.length,
+      repaired
     });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const populatedAdvance = await Advance.findById(advance._id)
-      .populate('worker', 'name workerId advanceBalance');
+// Every advance movement generated by one document (a salary/bonus history, a bonus or a payment)
+router.get('/source/:kind/:id', async (req, res) => {
+  try {
+    const { kind, id } = req.params;
+    if (!ADVANCE_SOURCE_KINDS.includes(kind) || kind === 'manual') {
+      return res.status(400).json({ error: `kind must be one of: ${ADVANCE_SOURCE_KINDS.filter(k => k !== 'manual').join(', ')}` });
+    }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid source id' });
+    }
 
-    res.status(201).json(populatedAdvance);
+    res.json(await listSourceMovements(kind, id));
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Advance balance of one worker as of a date (end of day; defaults to today).
+// Worked out from the Advance entries themselves, so it stays right after deletions.
+router.get('/balance/:workerId', async (req, res) => {
+  try {
+    const asOf = req.query.date ? parsePeriodDate(req.query.date) : new Date();
+    if (isNaN(asOf.getTime())) {
+      return res.status(400).json({ error: 'Invalid date format' });
+    }
+    asOf.setHours(23, 59, 59, 999);
+
+    const worker = await Worker.findById(req.params.workerId).select('name workerId');
+    if (!worker) {
+      return res.status(404).json({ error: 'Worker not found' });
+    }
+
+    const balances = await getBalancesAsOf(asOf, { workerIds: [worker._id] });
+    const balance = balances.get(worker._id.toString()) || { totalAdvanceTaken: 0, totalAdvanceRepaid: 0, balance: 0 };
+
+    res.json({
+      worker: { _id: worker._id, name: worker.name, workerId: worker.workerId },
+      asOf,
+      ...balance
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Advance balances of all workers as of a date. Workers who owed nothing on that date
+// are left out unless ?includeZero=true
+router.get('/balances', async (req, res) => {
+  try {
+    const asOf = req.query.date ? parsePeriodDate(req.query.date) : new Date();
+    if (isNaN(asOf.getTime())) {
+      return res.status(400).json({ error: 'Invalid date format' });
+    }
+    asOf.setHours(23, 59, 59, 999);
+
+    const balances = await getBalancesAsOf(asOf);
+    const workers = await Worker.find().select('name workerId isActive').sort({ name: 1 });
+
+    const results = workers
+      .map(worker => ({
+        worker: worker._id,
+        name: worker.name,
+        workerId: worker.workerId,
+        isActive: worker.isActive,
+        ...(balances.get(worker._id.toString()) || { totalAdvanceTaken: 0, totalAdvanceRepaid: 0, balance: 0 })
+      }))
+      .filter(row => req.query.includeZero === 'true' || Math.abs(row.balance) >= 0.005);
+
+    res.json({
+      asOf,
+      totalBalance: results.reduce((sum, row) => sum + row.balance, 0),
+      workers: results
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Delete an advance transaction and reverse balance changes
+// Parse startDate/endDate for a statement; returns { start, end } or { error }
+const parseStatementRange = ({ startDate, endDate }) => {
+  if (!startDate || !endDate) {
+    return { error: 'startDate and endDate are required' };
+  }
+
+  const start = parsePeriodDate(startDate);
+  const end = parsePeriodDate(endDate);
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return { error: 'Invalid date format' };
+  }
+  start.setHours(0, 0, 0, 0);
+  end.setHours(23, 59, 59, 999);
+
+  if (end < start) {
+    return { error: 'endDate must be after startDate' };
+  }
+
+  return { start, end };
+};
+
+// Statement rows (opening, advances, repayments/deposits, closing) joined with worker names
+const buildStatementRows = async (start, end, workerId) => {
+  const statements = await getAdvanceStatement(start, end, workerId ? [workerId] : undefined);
+  const workers = await Worker.find({ _id: { $in: [...statements.keys()] } }).select('name workerId').sort({ name: 1 });
+
+  return workers.map(worker => ({
+    ...statements.get(worker._id.toString()),
+    name: worker.name,
+    workerId: worker.workerId
+  }));
+};
+
+// Opening/closing advance balance statement for a date range.
+// With ?workerId the single worker's statement includes each transaction and its running balance.
+router.get('/statement', async (req, res) => {
+  try {
+    const { start, end, error } = parseStatementRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { workerId } = req.query;
+    if (workerId && !(await Worker.exists({ _id: workerId }))) {
+      return res.status(404).json({ error: 'Worker not found' });
+    }
+
+    let rows = await buildStatementRows(start, end, workerId);
+    if (!workerId) rows = rows.map(({ transactions, ...row }) => row);
+
+    const totals = { openingBalance: 0, advances: 0, repayments: 0, closingBalance: 0 };
+    rows.forEach(row => {
+      Object.keys(totals).forEach(field => { totals[field] += row[field]; });
+    });
+
+    res.json({ startDate: start, endDate: end, totals, workers: rows });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Load the aging report for ?date (defaults to today) and ?staleDays (defaults to 60)
+const loadAgingReport = async ({ date, staleDays }) => {
+  const asOf = date ? parsePeriodDate(date) : new Date();
+  if (isNaN(asOf.getTime())) {
+    return { error: 'Invalid date format' };
+  }
+  asOf.setHours(23, 59, 59, 999);
+
+  const days = staleDays !== undefined ? Number(staleDays) : 60;
+  if (!Number.isInteger(days) || days < 0) {
+    return { error: 'staleDays must be a whole number of days' };
+  }
+
+  const advances = await Advance.find({ date: { $lte: asOf } }).sort({ date: 1, createdAt: 1 });
+  const advancesByWorker = new Map();
+  advances.forEach(advance => {
+    const workerId = advance.worker.toString();
+    if (!advancesByWorker.has(workerId)) advancesByWorker.set(workerId, []);
+    advancesByWorker.get(workerId).push(advance);
+  });
+
+  const workers = await Worker.find({ _id: { $in: [...advancesByWorker.keys()] } })
+    .select('name workerId isActive')
+    .sort({ name: 1 });
+
+  return { asOf, staleDays: days, ...buildAgingReport(workers, advancesByWorker, asOf, days) };
+};
+
+// Advance aging: each worker's outstanding advance split into 0-30 / 31-90 / 91-180 / 180+ day
+// buckets (repayments and deposits settle the oldest advances first), flagging workers with no
+// repayment in ?staleDays days and inactive workers who still owe
+router.get('/aging', async (req, res) => {
+  try {
+    const report = await loadAgingReport(req.query);
+    if (report.error) {
+      return res.status(400).json({ error: report.error });
+    }
+
+    res.json({ buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })), ...report });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete an advance transaction and recompute the worker's balances
 router.delete('/:id', async (req, res) => {
   try {
     const advance = await Advance.findById(req.params.id);
@@ -182,23 +705,17 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Worker not found' });
     }
 
-    // Reverse the balance change
-    if (advance.type === 'advance') {
-      // Was an advance given: reduce balance and totalAdvanceTaken
-      worker.advanceBalance = Math.max(0, worker.advanceBalance - advance.amount);
-      worker.totalAdvanceTaken = Math.max(0, (worker.totalAdvanceTaken || 0) - advance.amount);
-    } else if (advance.type === 'repayment' || advance.type === 'deposit') {
-      // Was a repayment/deposit: increase balance back and reduce totalAdvanceRepaid
-      worker.advanceBalance = worker.advanceBalance + advance.amount;
-      worker.totalAdvanceRepaid = Math.max(0, (worker.totalAdvanceRepaid || 0) - advance.amount);
-    }
+    await runInTransaction(async (session) => {
+      await Advance.findByIdAndDelete(req.params.id, { session });
+      await removeSourcePayments('Advance', advance._id, null, session);
 
-    await worker.save();
-    await Advance.findByIdAndDelete(req.params.id);
+      // Replay the remaining entries so later rows' balanceAfter and the worker totals stay correct
+      await repairWorkerLedger(worker, session);
+    });
 
     res.json({ message: 'Advance transaction deleted and balance reversed' });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -225,50 +742,47 @@ router.post('/salary', async (req, res) => {
     const deduction = Math.min(advanceDeduction || 0, worker.advanceBalance);
     const netAmount = totalEarnings - deduction;
 
-    // Create payment record
-    const payment = new Payment({
-      worker: workerId,
-      amount: totalEarnings,
-      type: 'salary',
-      date: new Date(),
-      periodStart: new Date(periodStart),
-      periodEnd: new Date(periodEnd),
-      advanceDeducted: deduction,
-      netAmount,
-      notes
-    });
-
-    await payment.save();
-
-    // Update advance balance if deduction was made
-    if (deduction > 0) {
-      const newBalance = worker.advanceBalance - deduction;
-
-      await Advance.create({
+    const payment = await runInTransaction(async (session) => {
+      // Create payment record
+      const [payment] = await Payment.create([{
         worker: workerId,
-        type: 'repayment',
-        amount: deduction,
+        amount: totalEarnings,
+        type: 'salary',
         date: new Date(),
-        notes: `Deducted from salary (${periodStart} to ${periodEnd})`,
-        balanceAfter: newBalance
-      });
+        periodStart: new Date(periodStart),
+        periodEnd: new Date(periodEnd),
+        advanceDeducted: deduction,
+        netAmount,
+        paymentMode: req.body.paymentMode,
+        reference: req.body.paymentReference,
+        source: { kind: 'manual' },
+        notes
+      }], { session });
+
+      // Update advance balance if deduction was made
+      if (deduction > 0) {
+        await postAdvanceMovement({
+          worker: workerId,
+          type: 'repayment',
+          amount: deduction,
+          notes: `Deducted from salary (${periodStart} to ${periodEnd})`,
+          source: { kind: 'Payment', id: payment._id }
+        }, session);
+      }
 
-      await Worker.findByIdAndUpdate(workerId, {
-        advanceBalance: newBalance,
-        $inc: { totalAdvanceRepaid: deduction, totalEarnings: netAmount }
-      });
-    } else {
       await Worker.findByIdAndUpdate(workerId, {
         $inc: { totalEarnings: netAmount }
-      });
-    }
+      }, { session });
+
+      return payment;
+    });
 
     const populatedPayment = await Payment.findById(payment._id)
       .populate('worker', 'name workerId advanceBalance');
 
     res.status(201).json(populatedPayment);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    res.status(error.status || 400).json({ error: error.message });
   }
 });
 
@@ -371,80 +885,60 @@ router.post('/deposit', async (req, res) => {
       return res.status(400).json({ error: 'Deposit amount exceeds advance balance' });
     }
 
-    const newBalance = currentBalance - amount;
-
-    const advance = new Advance({
+    // The balance check above is repeated atomically in the update, in case another deposit lands first
+    const { advance } = await runInTransaction(session => postAdvanceMovement({
       worker: workerId,
       type: 'deposit',
       amount,
       date: date ? new Date(date) : new Date(),
-      notes: notes || 'Deposit',
-      balanceAfter: newBalance
-    });
-
-    await advance.save();
-
-    await Worker.findByIdAndUpdate(workerId, {
-      advanceBalance: newBalance,
-      $inc: { totalAdvanceRepaid: amount }
-    });
+      notes: notes || 'Deposit'
+    }, session));
 
     const populatedAdvance = await Advance.findById(advance._id)
       .populate('worker', 'name workerId advanceBalance');
 
     res.status(201).json(populatedAdvance);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    res.status(error.status || 400).json({ error: error.message });
   }
 });
 
-// Find or add the POST route for saving bonus deposits
+// Bonus deposit from the advances screen: adds `amount` to the employee deposit and
+// optionally sets the extra bonus. Amounts are the canonical Bonus fields (see recalculateBonusAmounts).
 router.post('/bonus/:id/deposit', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { amount, extraBonus } = req.body; // Accept extraBonus as well
+    const { amount, extraBonus } = req.body;
 
-    // Dynamic import: if Bonus model is not present, return a clear error (won't crash on import)
-    let Bonus;
-    try {
-      const mod = await import('../models/Bonus.js');
-      Bonus = mod.default || mod.Bonus || mod;
-    } catch (e) {
-      return res.status(501).json({ error: 'Bonus model not available on server', details: e.message });
-    }
-
-    const bonusRecord = await Bonus.findById(id);
+    const bonusRecord = await Bonus.findById(req.params.id);
     if (!bonusRecord) {
       return res.status(404).json({ error: 'Bonus record not found' });
     }
+    const lockError = getBonusLockError(bonusRecord);
+    if (lockError) {
+      return res.status(409).json({ error: lockError });
+    }
 
-    // Update extraBonus if provided
     if (extraBonus !== undefined && extraBonus !== null) {
-      bonusRecord.extraBonus = extraBonus;
+      bonusRecord.extraBonus = Number(extraBonus) || 0;
     }
+    recalculateBonusAmounts(bonusRecord);
 
-    // Add to existing deposit if amount provided
-    if (amount && amount > 0) {
-      bonusRecord.deposit = (bonusRecord.deposit || 0) + amount;
-
-      // Add transaction record
-      bonusRecord.transactions = bonusRecord.transactions || [];
+    const depositAmount = Number(amount) || 0;
+    if (depositAmount > 0) {
+      const newDeposit = (bonusRecord.employeeDeposit || 0) + depositAmount;
+      if (newDeposit > bonusRecord.finalBonusAmount) {
+        return res.status(400).json({ error: `Deposit (₹${newDeposit}) cannot exceed final bonus (₹${bonusRecord.finalBonusAmount})` });
+      }
+      bonusRecord.employeeDeposit = newDeposit;
       bonusRecord.transactions.push({
         type: 'bonus-deposit',
-        amount,
+        amount: depositAmount,
         date: new Date(),
         note: 'Deposit from bonus'
       });
+      recalculateBonusAmounts(bonusRecord);
     }
 
-    // Recalculate Final Amount: Base - Penalty + ExtraBonus - Deposit
-    // (DO NOT include currentAdvance as per your request)
-    bonusRecord.finalAmount =
-      (bonusRecord.baseBonus || 0) -
-      (bonusRecord.penalty || 0) +
-      (bonusRecord.extraBonus || 0) -
-      (bonusRecord.deposit || 0);
-
     await bonusRecord.save();
 
     res.json({ success: true, bonusRecord });
@@ -454,39 +948,45 @@ router.post('/bonus/:id/deposit', async (req, res) => {
   }
 });
 
-// Update bonus record (for extraBonus and other fields)
+// Update a bonus record's base, penalty, extra bonus or deposit. The legacy body names
+// (baseBonus, penalty, deposit) are accepted for the canonical fields.
 router.put('/bonus/:id', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { baseBonus, penalty, extraBonus, deposit } = req.body;
-
-    // Dynamic import
-    let Bonus;
-    try {
-      const mod = await import('../models/Bonus.js');
-      Bonus = mod.default || mod.Bonus || mod;
-    } catch (e) {
-      return res.status(501).json({ error: 'Bonus model not available on server', details: e.message });
-    }
+    const baseBonusAmount = req.body.baseBonusAmount ?? req.body.baseBonus;
+    const totalPenalty = req.body.totalPenalty ?? req.body.penalty;
+    const employeeDeposit = req.body.employeeDeposit ?? req.body.deposit;
+    const { extraBonus } = req.body;
 
-    const bonusRecord = await Bonus.findById(id);
+    const bonusRecord = await Bonus.findById(req.params.id);
     if (!bonusRecord) {
       return res.status(404).json({ error: 'Bonus record not found' });
     }
+    const lockError = getBonusLockError(bonusRecord);
+    if (lockError) {
+      return res.status(409).json({ error: lockError });
+    }
 
-    // Update fields if provided
-    if (baseBonus !== undefined) bonusRecord.baseBonus = baseBonus;
-    if (penalty !== undefined) bonusRecord.penalty = penalty;
-    if (extraBonus !== undefined) bonusRecord.extraBonus = extraBonus;
-    if (deposit !== undefined) bonusRecord.deposit = deposit;
-
-    // Recalculate Final Amount: Base - Penalty + ExtraBonus - Deposit
-    bonusRecord.finalAmount =
-      (bonusRecord.baseBonus || 0) -
-      (bonusRecord.penalty || 0) +
-      (bonusRecord.extraBonus || 0) -
-      (bonusRecord.deposit || 0);
+    // A hand-edited base or penalty replaces the policy result (bonus = base - penalty)
+    if (baseBonusAmount !== undefined || totalPenalty !== undefined) {
+      if (baseBonusAmount !== undefined) bonusRecord.baseBonusAmount = Number(baseBonusAmount) || 0;
+      if (totalPenalty !== undefined) bonusRecord.totalPenalty = Number(totalPenalty) || 0;
+      bonusRecord.policyBonus = undefined;
+      bonusRecord.capped = false;
+    }
+    if (extraBonus !== undefined) bonusRecord.extraBonus = Number(extraBonus) || 0;
+    if (employeeDeposit !== undefined) {
+      const newDeposit = Number(employeeDeposit) || 0;
+      if (newDeposit < 0) {
+        return res.status(400).json({ error: 'Deposit cannot be negative' });
+      }
+      recalculateBonusAmounts(bonusRecord);
+      if (newDeposit > bonusRecord.finalBonusAmount) {
+        return res.status(400).json({ error: `Deposit (₹${newDeposit}) cannot exceed final bonus (₹${bonusRecord.finalBonusAmount})` });
+      }
+      bonusRecord.employeeDeposit = newDeposit;
+    }
 
+    recalculateBonusAmounts(bonusRecord);
     await bonusRecord.save();
 
     res.json({ success: true, bonusRecord });
@@ -496,42 +996,39 @@ router.put('/bonus/:id', async (req, res) => {
   }
 });
 
-// Save bonus with deposit (like salary deposit - subtract from total)
+// Save bonus with deposit (like salary deposit - subtract from total).
+// `deposit` replaces the total employee deposit; the change is logged in transactions.
 router.post('/bonus/:id/save', async (req, res) => {
   try {
-    const { id } = req.params;
     const { deposit, extraBonus } = req.body;
 
-    // Dynamic import
-    let Bonus;
-    try {
-      const mod = await import('../models/Bonus.js');
-      Bonus = mod.default || mod.Bonus || mod;
-    } catch (e) {
-      return res.status(501).json({ error: 'Bonus model not available on server', details: e.message });
-    }
-
-    const bonusRecord = await Bonus.findById(id);
+    const bonusRecord = await Bonus.findById(req.params.id);
     if (!bonusRecord) {
       return res.status(404).json({ error: 'Bonus record not found' });
     }
+    const lockError = getBonusLockError(bonusRecord);
+    if (lockError) {
+      return res.status(409).json({ error: lockError });
+    }
 
-    const oldDeposit = bonusRecord.deposit || 0;
-    const oldExtraBonus = bonusRecord.extraBonus || 0;
-
-    // Update extraBonus if provided
     if (extraBonus !== undefined && extraBonus !== null) {
-      bonusRecord.extraBonus = extraBonus;
+      bonusRecord.extraBonus = Number(extraBonus) || 0;
     }
 
-    // Update deposit if provided (this replaces the total deposit, not adds to it)
     if (deposit !== undefined && deposit !== null) {
-      const depositDiff = deposit - oldDeposit;
-      bonusRecord.deposit = deposit;
+      const newDeposit = Number(deposit) || 0;
+      if (newDeposit < 0) {
+        return res.status(400).json({ error: 'Deposit cannot be negative' });
+      }
+      // Checked against the final bonus with the extra bonus sent alongside
+      recalculateBonusAmounts(bonusRecord);
+      if (newDeposit > bonusRecord.finalBonusAmount) {
+        return res.status(400).json({ error: `Deposit (₹${newDeposit}) cannot exceed final bonus (₹${bonusRecord.finalBonusAmount})` });
+      }
+      const depositDiff = newDeposit - (bonusRecord.employeeDeposit || 0);
+      bonusRecord.employeeDeposit = newDeposit;
 
-      // Add transaction if deposit changed
       if (depositDiff !== 0) {
-        bonusRecord.transactions = bonusRecord.transactions || [];
         bonusRecord.transactions.push({
           type: depositDiff > 0 ? 'bonus-deposit' : 'bonus-refund',
           amount: Math.abs(depositDiff),
@@ -541,19 +1038,13 @@ router.post('/bonus/:id/save', async (req, res) => {
       }
     }
 
-    // Recalculate Final Amount: Base - Penalty + ExtraBonus - Deposit
-    bonusRecord.finalAmount =
-      (bonusRecord.baseBonus || 0) -
-      (bonusRecord.penalty || 0) +
-      (bonusRecord.extraBonus || 0) -
-      (bonusRecord.deposit || 0);
-
+    recalculateBonusAmounts(bonusRecord);
     await bonusRecord.save();
 
-    res.json({ 
-      success: true, 
+    res.json({
+      success: true,
       bonusRecord,
-      message: `Saved. Final Amount: ${bonusRecord.finalAmount}`
+      message: `Saved. Amount to give: ${bonusRecord.amountToGiveEmployee}`
     });
   } catch (error) {
     console.error('Bonus save error:', error);
@@ -929,4 +1420,201 @@ router.get('/export/overall', async (req, res) => {
   }
 });
 
+// Export the opening/closing balance statement for a date range
+router.get('/export/statement', async (req, res) => {
+  try {
+    const { start, end, error } = parseStatementRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const rows = (await buildStatementRows(start, end))
+      .filter(row => row.openingBalance || row.advances || row.repayments || row.closingBalance);
+
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Advance Statement');
+
+    const startStr = start.toLocaleDateString('en-IN');
+    const endStr = end.toLocaleDateString('en-IN');
+
+    // Optional company name at top
+    const settings = await Settings.findOne({ key: 'general' });
+    if (settings && settings.companyName) {
+      worksheet.mergeCells('A1:G1');
+      worksheet.getCell('A1').value = settings.companyName;
+      worksheet.getCell('A1').font = { bold: true, size: 18 };
+      worksheet.getCell('A1').alignment = { horizontal: 'center' };
+    }
+
+    const titleRow = worksheet.addRow([`Advance Statement (${startStr} to ${endStr})`]);
+    worksheet.mergeCells(`A${titleRow.number}:G${titleRow.number}`);
+    titleRow.getCell(1).font = { bold: true, size: 16 };
+    titleRow.getCell(1).alignment = { horizontal: 'center' };
+    worksheet.addRow([]);
+
+    const border = {
+      top: { style: 'thin' },
+      left: { style: 'thin' },
+      bottom: { style: 'thin' },
+      right: { style: 'thin' }
+    };
+
+    const headerRow = worksheet.addRow(['S.No', 'Worker ID', 'Name', 'Opening Balance', 'Advance', 'Deposit/Repayment', 'Closing Balance']);
+    headerRow.font = { bold: true };
+    headerRow.eachCell((cell) => {
+      cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+      cell.border = border;
+      cell.alignment = { horizontal: 'center' };
+    });
+
+    const totals = { openingBalance: 0, advances: 0, repayments: 0, closingBalance: 0 };
+    rows.forEach((row, index) => {
+      const dataRow = worksheet.addRow([
+        index + 1,
+        row.workerId,
+        row.name,
+        row.openingBalance,
+        row.advances,
+        row.repayments,
+        row.closingBalance
+      ]);
+      Object.keys(totals).forEach(field => { totals[field] += row[field]; });
+
+      dataRow.eachCell((cell) => {
+        cell.border = border;
+        cell.alignment = { horizontal: 'center' };
+      });
+    });
+
+    const totalsRow = worksheet.addRow(['', '', 'TOTAL', totals.openingBalance, totals.advances, totals.repayments, totals.closingBalance]);
+    totalsRow.font = { bold: true };
+    totalsRow.eachCell((cell) => {
+      cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFD700' } };
+      cell.border = border;
+      cell.alignment = { horizontal: 'center' };
+    });
+
+    worksheet.columns = [
+      { width: 8 },
+      { width: 15 },
+      { width: 25 },
+      { width: 18 },
+      { width: 15 },
+      { width: 20 },
+      { width: 18 }
+    ];
+
+    const buffer = await workbook.xlsx.writeBuffer();
+    const base64 = Buffer.from(buffer).toString('base64');
+    const filename = `advance_statement_${startStr.replace(/\//g, '-')}_to_${endStr.replace(/\//g, '-')}.xlsx`;
+
+    res.json({ base64, filename });
+  } catch (error) {
+    console.error('Export statement error:', error);
+    res.status(500).json({ error: 'Failed to export advance statement', details: error.message });
+  }
+});
+
+// Export the advance aging report
+router.get('/export/aging', async (req, res) => {
+  try {
+    const report = await loadAgingReport(req.query);
+    if (report.error) {
+      return res.status(400).json({ error: report.error });
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Advance Aging');
+
+    const headers = ['S.No', 'Worker ID', 'Name', ...AGING_BUCKETS.map(b => b.label), 'Outstanding', 'Last Repayment', 'Status'];
+    const lastColumn = worksheet.getColumn(headers.length).letter;
+    const asOfStr = report.asOf.toLocaleDateString('en-IN');
+
+    // Optional company name at top
+    const settings = await Settings.findOne({ key: 'general' });
+    if (settings && settings.companyName) {
+      worksheet.mergeCells(`A1:${lastColumn}1`);
+      worksheet.getCell('A1').value = settings.companyName;
+      worksheet.getCell('A1').font = { bold: true, size: 18 };
+      worksheet.getCell('A1').alignment = { horizontal: 'center' };
+    }
+
+    const titleRow = worksheet.addRow([`Advance Aging as of ${asOfStr}`]);
+    worksheet.mergeCells(`A${titleRow.number}:${lastColumn}${titleRow.number}`);
+    titleRow.getCell(1).font = { bold: true, size: 16 };
+    titleRow.getCell(1).alignment = { horizontal: 'center' };
+    worksheet.addRow([]);
+
+    const border = {
+      top: { style: 'thin' },
+      left: { style: 'thin' },
+      bottom: { style: 'thin' },
+      right: { style: 'thin' }
+    };
+
+    const headerRow = worksheet.addRow(headers);
+    headerRow.font = { bold: true };
+    headerRow.eachCell((cell) => {
+      cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+      cell.border = border;
+      cell.alignment = { horizontal: 'center' };
+    });
+
+    report.rows.forEach((row, index) => {
+      const flags = [];
+      if (row.noRecentRepayment) flags.push(`No repayment in ${report.staleDays} days`);
+      if (row.inactiveWithBalance) flags.push('Inactive');
+
+      const dataRow = worksheet.addRow([
+        index + 1,
+        row.workerId,
+        row.name,
+        ...AGING_BUCKETS.map(b => row.buckets[b.key]),
+        row.outstanding,
+        row.lastRepaymentDate ? new Date(row.lastRepaymentDate).toLocaleDateString('en-IN') : 'Never',
+        flags.join(', ')
+      ]);
+
+      dataRow.eachCell({ includeEmpty: true }, (cell) => {
+        cell.border = border;
+        cell.alignment = { horizontal: 'center' };
+      });
+
+      // Highlight flagged workers
+      if (flags.length > 0) {
+        dataRow.eachCell({ includeEmpty: true }, (cell) => {
+          cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFE0E0' } };
+        });
+      }
+    });
+
+    const totalsRow = worksheet.addRow(['', '', 'TOTAL', ...AGING_BUCKETS.map(b => report.totals[b.key]), report.totals.outstanding, '', '']);
+    totalsRow.font = { bold: true };
+    totalsRow.eachCell({ includeEmpty: true }, (cell) => {
+      cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFD700' } };
+      cell.border = border;
+      cell.alignment = { horizontal: 'center' };
+    });
+
+    worksheet.columns = [
+      { width: 8 },
+      { width: 15 },
+      { width: 25 },
+      ...AGING_BUCKETS.map(() => ({ width: 14 })),
+      { width: 15 },
+      { width: 16 },
+      { width: 32 }
+    ];
+
+    const buffer = await workbook.xlsx.writeBuffer();
+    const base64 = Buffer.from(buffer).toString('base64');
+    const filename = `advance_aging_${asOfStr.replace(/\//g, '-')}.xlsx`;
+
+    res.json({ base64, filename });
+  } catch (error) {
+    console.error('Export aging error:', error);
+    res.status(500).json({ error: 'Failed to export advance aging', details: error.message });
+  }
+});
+
 export default router;
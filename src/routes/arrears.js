@@ -0,0 +1,265 @@
+import express from 'express';
+import Arrears from '../models/Arrears.js';
+import DailyEntry from '../models/DailyEntry.js';
+import Worker from '../models/Worker.js';
+import SalaryHistory from '../models/SalaryHistory.js';
+import { getEntryBreakdown, getRateOn } from '../utils/pay.js';
+import { parsePeriodDate } from '../utils/dates.js';
+
+const router = express.Router();
+
+// Validate the request body and load everything an arrears calculation needs
+const loadArrearsContext = async (body) => {
+  const { workerIds, fromDate, toDate } = body;
+
+  if (!fromDate) {
+    return { error: 'fromDate is required' };
+  }
+
+  const from = parsePeriodDate(fromDate);
+  const to = toDate ? parsePeriodDate(toDate) : new Date();
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { error: 'Invalid date format' };
+  }
+  to.setHours(23, 59, 59, 999);
+
+  if (to < from) {
+    return { error: 'toDate must be after fromDate' };
+  }
+
+  // A single worker, a group of workers, or every active worker
+  const workerFilter = Array.isArray(workerIds) && workerIds.length > 0
+    ? { _id: { $in: workerIds } }
+    : { isActive: true };
+  const workers = await Worker.find(workerFilter).sort({ name: 1 });
+
+  // Draft runs have not been paid, so their days are still unpaid
+  const histories = await SalaryHistory.find({
+    status: { $in: ['approved', 'paid', 'locked'] },
+    periodStart: { $lte: to },
+    periodEnd: { $gte: from }
+  }).sort({ periodStart: 1 });
+
+  return { from, to, workers, histories };
+};
+
+// Rate an entry was paid at, read back from its stored pay (entries saved before the
+// regular/overtime split carry all of it as regular time)
+const getPaidRate = (entry, breakdown) => {
+  if (breakdown.regularHours > 0) return breakdown.regularPay / breakdown.regularHours;
+  if (breakdown.overtimeHours > 0) {
+    return breakdown.overtimePay / (breakdown.overtimeHours * (entry.overtimeMultiplier || 1));
+  }
+  return null;
+};
+
+// Reprice an entry's recorded hours at a new rate. Only the rate changes: the hours split and
+// overtime multiplier stored on the entry are kept, so later changes to the overtime or off-day
+// rules do not show up as arrears. Returns the new pay fields, or null when the rate is unchanged.
+const repriceEntry = (entry, rate) => {
+  const breakdown = getEntryBreakdown(entry);
+  const paidRate = getPaidRate(entry, breakdown);
+  if (paidRate === null || Math.abs(rate - paidRate) < 0.005) return null;
+
+  const rateDifference = rate - paidRate;
+  const regularPay = breakdown.regularPay + rateDifference * breakdown.regularHours;
+  const overtimePay = breakdown.overtimePay + rateDifference * breakdown.overtimeHours * (entry.overtimeMultiplier || 1);
+  const totalPay = (entry.totalPay || 0) + (regularPay - breakdown.regularPay) + (overtimePay - breakdown.overtimePay);
+
+  return {
+    regularHours: breakdown.regularHours,
+    overtimeHours: breakdown.overtimeHours,
+    regularPay,
+    overtimePay,
+    totalPay
+  };
+};
+
+// Recompute pay for one worker's entries and group old vs new pay per period. Periods of locked
+// payroll runs are listed in lockedPeriods: their entries can no longer be changed.
+const calculateWorkerArrears = async (worker, context) => {
+  const { from, to, histories } = context;
+
+  const entries = await DailyEntry.find({
+    worker: worker._id,
+    date: { $gte: from, $lte: to }
+  }).sort({ date: 1 });
+
+  const workerHistories = histories.filter(h =>
+    h.records.some(r => r.worker.toString() === worker._id.toString())
+  );
+
+  const changes = [];
+  const periodMap = new Map();
+
+  for (const entry of entries) {
+    const pay = repriceEntry(entry, getRateOn(worker, entry.date));
+    if (!pay) continue;
+
+    const oldPay = entry.totalPay || 0;
+    changes.push({ entry, pay });
+
+    const history = workerHistories.find(h => h.periodStart <= entry.date && h.periodEnd >= entry.date);
+    const key = history ? history._id.toString() : 'unpaid';
+    if (!periodMap.has(key)) {
+      periodMap.set(key, {
+        salaryHistory: history ? history._id : null,
+        periodStart: history ? history.periodStart : entry.date,
+        periodEnd: history ? history.periodEnd : entry.date,
+        entriesAffected: 0,
+        oldPay: 0,
+        newPay: 0,
+        difference: 0
+      });
+    }
+
+    const period = periodMap.get(key);
+    period.entriesAffected++;
+    period.oldPay += oldPay;
+    period.newPay += pay.totalPay;
+    period.difference += pay.totalPay - oldPay;
+    if (!history) period.periodEnd = entry.date;
+  }
+
+  const periods = Array.from(periodMap.values());
+  const lockedPeriods = workerHistories
+    .filter(h => h.status === 'locked' && periodMap.has(h._id.toString()))
+    .map(h => ({ worker: worker._id, workerName: worker.name, salaryHistory: h._id, periodStart: h.periodStart, periodEnd: h.periodEnd }));
+
+  return {
+    changes,
+    lockedPeriods,
+    statement: {
+      worker: worker._id,
+      workerName: worker.name,
+      workerId: worker.workerId,
+      fromDate: from,
+      toDate: to,
+      periods,
+      totalOldPay: periods.reduce((sum, p) => sum + p.oldPay, 0),
+      totalNewPay: periods.reduce((sum, p) => sum + p.newPay, 0),
+      arrearsAmount: periods.filter(p => p.salaryHistory).reduce((sum, p) => sum + p.difference, 0),
+      unpaidDifference: periods.filter(p => !p.salaryHistory).reduce((sum, p) => sum + p.difference, 0)
+    }
+  };
+};
+
+// Get arrears statements
+router.get('/', async (req, res) => {
+  try {
+    const { workerId, status } = req.query;
+    const filter = {};
+
+    if (workerId) filter.worker = workerId;
+    if (status) filter.status = status;
+
+    const arrears = await Arrears.find(filter)
+      .populate('worker', 'name workerId')
+      .sort({ runDate: -1 });
+
+    res.json(arrears);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Preview an arrears run without changing anything
+router.post('/preview', async (req, res) => {
+  try {
+    const context = await loadArrearsContext(req.body);
+    if (context.error) {
+      return res.status(400).json({ error: context.error });
+    }
+
+    const statements = [];
+    const lockedPeriods = [];
+    for (const worker of context.workers) {
+      const { statement, lockedPeriods: locked } = await calculateWorkerArrears(worker, context);
+      if (statement.periods.length > 0) statements.push(statement);
+      lockedPeriods.push(...locked);
+    }
+
+    res.json({
+      fromDate: context.from,
+      toDate: context.to,
+      statements,
+      lockedPeriods,
+      totalArrears: statements.reduce((sum, s) => sum + s.arrearsAmount, 0),
+      totalUnpaidDifference: statements.reduce((sum, s) => sum + s.unpaidDifference, 0)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run arrears: recompute DailyEntry pay at the rates in force and save a statement per worker.
+// Days in paid payroll runs are settled as an arrears line. Nothing is changed when any of the
+// days falls in a locked run, as daily entries there can no longer be edited.
+router.post('/run', async (req, res) => {
+  try {
+    const context = await loadArrearsContext(req.body);
+    if (context.error) {
+      return res.status(400).json({ error: context.error });
+    }
+
+    const results = [];
+    const lockedPeriods = [];
+    for (const worker of context.workers) {
+      const result = await calculateWorkerArrears(worker, context);
+      if (result.changes.length === 0) continue;
+      results.push(result);
+      lockedPeriods.push(...result.lockedPeriods);
+    }
+
+    if (lockedPeriods.length > 0) {
+      return res.status(403).json({
+        error: 'Payroll is locked for some of these days; leave those periods or workers out of the run',
+        lockedPeriods
+      });
+    }
+
+    const saved = [];
+    for (const { changes, statement } of results) {
+      for (const { entry, pay } of changes) {
+        Object.assign(entry, pay);
+        await entry.save();
+      }
+
+      const arrears = await Arrears.create({
+        ...statement,
+        // Nothing to fold into a salary save when no paid period changed
+        status: Math.abs(statement.arrearsAmount) < 0.005 ? 'settled' : 'pending',
+        notes: req.body.notes
+      });
+      saved.push(arrears);
+    }
+
+    res.status(201).json({
+      message: `Arrears recomputed for ${saved.length} workers`,
+      statements: saved,
+      totalArrears: saved.reduce((sum, s) => sum + s.arrearsAmount, 0)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get single arrears statement
+router.get('/:id', async (req, res) => {
+  try {
+    const arrears = await Arrears.findById(req.params.id)
+      .populate('worker', 'name workerId')
+      .populate('periods.salaryHistory', 'periodStart periodEnd savedDate')
+      .populate('settledIn', 'periodStart periodEnd savedDate');
+
+    if (!arrears) {
+      return res.status(404).json({ error: 'Arrears statement not found' });
+    }
+
+    res.json(arrears);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
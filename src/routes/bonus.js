@@ -1,11 +1,27 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import ExcelJS from 'exceljs';
 import Bonus from '../models/Bonus.js';
 import Worker from '../models/Worker.js';
 import DailyEntry from '../models/DailyEntry.js';
-import Advance from '../models/Advance.js';
 import BonusHistory from '../models/BonusHistory.js';
+import BonusScenario from '../models/BonusScenario.js';
 import Settings from '../models/Settings.js';
+import { getRateOn } from '../utils/pay.js';
+import { parsePeriodDate } from '../utils/dates.js';
+import { resolvePolicy, builtInPolicy, getAbsentThreshold, calculatePolicyBonus, getPolicyBonus, getOverrideAmount, policyRef, validatePolicyRules } from '../utils/bonusPolicy.js';
+import { runScenario, compareScenarios, getPromotionPolicy, pickRules } from '../utils/bonusScenarios.js';
+import { gatherBonusAttendance } from '../utils/bonusProration.js';
+import { STATUTORY_BONUS, getFinancialYear, validateStatutoryOptions, calculateStatutoryBonus } from '../utils/statutoryBonus.js';
+import { RECORD_PAYMENT_MODES, parsePaymentDetails, selectRecords, markRecordsPaid, markRecordsUnpaid, summarizeRecordPayments } from '../utils/recordPayments.js';
+import { recordPayment, recordBonusLinePayments, removeSourcePayments } from '../utils/ledger.js';
+import { MoneyMovementError, runInTransaction, postAdvanceMovement } from '../utils/advanceMovements.js';
+import { advanceBonusCycle, getBonusLockError, getBonusStatus } from '../utils/bonusCycle.js';
+import { getAdvancePolicy, checkLineAdvance } from '../utils/advancePolicy.js';
+import { planHistoryReversal, executeHistoryReversal } from '../utils/historyReversal.js';
+import { listSourceMovements } from '../utils/advanceLedger.js';
+import { getBankFileOptions, splitBankPayments, buildBankFile } from '../utils/bankFile.js';
+import { getDenominations, buildCashPayout, renderCashPayoutExcel, renderCashPayoutPdf } from '../utils/cashPayout.js';
 
 const router = express.Router();
 
@@ -25,6 +41,99 @@ const months = [
   'July', 'August', 'September', 'October', 'November', 'December'
 ];
 
+// Period from startYear/startMonth to endYear/endMonth (whole months); year is the end year
+const parseMonthRange = ({ startYear, startMonth, endYear, endMonth }) => {
+  const sY = parseInt(startYear, 10);
+  const sM = parseInt(startMonth, 10);
+  const eY = parseInt(endYear, 10);
+  const eM = parseInt(endMonth, 10);
+
+  if (Number.isNaN(sY) || Number.isNaN(sM) || Number.isNaN(eY) || Number.isNaN(eM)) {
+    return { error: 'Invalid or missing startYear/startMonth/endYear/endMonth' };
+  }
+
+  if (sM < 1 || sM > 12 || eM < 1 || eM > 12) {
+    return { error: 'startMonth and endMonth must be between 1 and 12' };
+  }
+
+  const periodStart = new Date(sY, sM - 1, 1);
+  const periodEnd = new Date(eY, eM, 0, 23, 59, 59, 999);
+
+  if (periodStart > periodEnd) {
+    return { error: 'Start date must be before or equal to end date' };
+  }
+
+  return { periodStart, periodEnd, year: eY };
+};
+
+// Mode part of a Bonus query. Policy and statutory bonuses are kept apart: a statutory year
+// (April - March) shares its year with the calendar-year policy bonus. Bonuses saved before
+// modes existed are policy ones.
+const bonusModeFilter = (mode) => ({ mode: mode === 'statutory' ? 'statutory' : { $ne: 'statutory' } });
+
+// The one Bonus a calculation saves to for a worker: per year and mode
+const bonusKey = (worker, year, mode) => ({ worker, year, ...bonusModeFilter(mode) });
+
+// Bonus record for one worker from a policy calculation over a period, keeping the extra bonus
+// and employee deposit already entered against it. Advance is not deducted here.
+const buildPolicyBonusPayload = async (data, calculated, { periodStart, periodEnd, year }) => {
+  const { worker, totalDaysWorked, totalDaysAbsent, daysEmployed } = data;
+
+  const existingBonus = await Bonus.findOne(bonusKey(worker._id, year, 'policy'));
+
+  const extraBonus = existingBonus?.extraBonus || 0;
+  const employeeDeposit = existingBonus?.employeeDeposit || 0;
+
+  // Calculate final amount: policy bonus (base - penalties, capped and rounded) + extra,
+  // unless an approved override of it stands
+  const finalBonusAmount = getOverrideAmount(existingBonus) ?? Math.max(0, calculated.policyBonus + extraBonus);
+
+  // Amount to give employee: finalBonus - employeeDeposit
+  const amountToGiveEmployee = Math.max(0, finalBonusAmount - employeeDeposit);
+
+  return {
+    _id: existingBonus?._id, // Include ID if it exists so updates work
+    year,
+    worker: worker._id,
+    periodStart,
+    periodEnd,
+    hourlyRate: calculated.hourlyRate,
+    baseBonusAmount: calculated.baseBonusAmount,
+    prorationFactor: calculated.prorationFactor,
+    daysEmployed,
+    totalDaysWorked,
+    totalDaysAbsent,
+    minAbsentThreshold: calculated.minAbsentThreshold,
+    extraAbsents: calculated.extraAbsents,
+    absentPenaltyPerDay: calculated.absentPenaltyPerDay,
+    totalPenalty: calculated.totalPenalty,
+    eligible: calculated.eligible,
+    capped: calculated.capped,
+    policyBonus: calculated.policyBonus,
+    policy: calculated.policy,
+    extraBonus,
+    employeeDeposit,
+    finalBonusAmount,
+    amountToGiveEmployee,
+    currentAdvanceBalance: worker.advanceBalance
+  };
+};
+
+// Upsert a calculated bonus (one per worker per year and mode) and return it with the worker populated.
+// A disbursed bonus is left as it was paid; recalculating any other sends it back for review.
+const saveBonusPayload = async (bonusPayload) => {
+  const filter = bonusKey(bonusPayload.worker, bonusPayload.year, bonusPayload.mode);
+  const existing = await Bonus.findOne(filter).select('status isPaid');
+  if (!existing || getBonusStatus(existing) !== 'disbursed') {
+    await Bonus.findOneAndUpdate(
+      filter,
+      { ...bonusPayload, status: 'calculated', reviewedBy: null, reviewedAt: null, approvedBy: null, approvedAt: null },
+      { upsert: true, new: true }
+    );
+  }
+  return Bonus.findOne(filter).populate('worker', 'name workerId hourlyRate advanceBalance');
+};
+
 // Get bonuses by date range
 router.get('/date-range', async (req, res) => {
   try {
@@ -64,92 +173,42 @@ router.get('/date-range', async (req, res) => {
   }
 });
 
-// Calculate bonus for all workers
-// Bonus = 30 days × 8 hours × hourly_rate
-// Deduction = absent_days × deduction_per_day
-// Final = Bonus - Deduction - AdvanceDeduction + ExtraBonus - EmployeeDeposit
+// Calculate bonus for all workers for a calendar year under a bonus policy
+// (body.policyId / body.policyName, otherwise the default policy).
+// Without any saved policy: Bonus = 30 days × 8 hours × hourly_rate, Deduction = absent_days × deductionPerAbsentDay
+// Final = Bonus - Deduction + ExtraBonus; the employee deposit comes off the amount to give.
+// The base is pro-rated by the days each worker was employed in the year (joiners and leavers).
 router.post('/calculate', async (req, res) => {
   try {
     console.log('POST /bonus/calculate request body:', JSON.stringify(req.body, null, 2));
-    const { year, deductionPerAbsentDay, deductAdvance, persist } = req.body;
+    const { year, deductionPerAbsentDay, persist } = req.body;
+
+    const policy = await resolvePolicy(req.body) || builtInPolicy('none', deductionPerAbsentDay);
+    if ((req.body.policyId || req.body.policyName) && !policy._id) {
+      return res.status(404).json({ error: 'Bonus policy not found' });
+    }
 
-    const workers = await Worker.find({ isActive: true });
     const results = [];
 
     // Get date range for the year
     const yearStart = new Date(year, 0, 1);
     const yearEnd = new Date(year, 11, 31, 23, 59, 59, 999);
 
-    for (const worker of workers) {
-      // Get attendance stats for the year
-      const entries = await DailyEntry.find({
-        worker: worker._id,
-        date: { $gte: yearStart, $lte: yearEnd }
-      });
-
-      const totalDaysWorked = entries.filter(e =>
-        e.status === 'present' || e.status === 'holiday'
-      ).length;
-      const totalDaysAbsent = entries.filter(e => e.status === 'absent').length;
+    // Active workers and those who left during the year, with the share of it they were employed
+    const workerData = await gatherBonusAttendance(yearStart, yearEnd);
 
-      // Calculate base bonus: 30 days × 8 hours × hourly_rate
-      const baseBonusAmount = 30 * 8 * (worker.hourlyRate || 0);
+    const threshold = getAbsentThreshold(policy, workerData);
 
-      // Calculate penalties for absence
-      const absentPenalty = totalDaysAbsent * (deductionPerAbsentDay || 0);
-
-      // Get existing bonus record to preserve extraBonus and employeeDeposit
-      const existingBonus = await Bonus.findOne({
-        worker: worker._id,
-        periodStart: yearStart,
-        periodEnd: yearEnd
-      });
-
-      console.log(`Worker ${worker.name} - existingBonus:`, existingBonus ? `ID: ${existingBonus._id}` : 'null');
-
-      const extraBonus = existingBonus?.extraBonus || 0;
-      const employeeDeposit = existingBonus?.employeeDeposit || 0;
-
-      // Do NOT deduct advance here; advance deduction is not part of bonus calculation
-
-      // Calculate final amount: base - penalties + extra
-      const finalBonusAmount = Math.max(0,
-        baseBonusAmount - absentPenalty + extraBonus
-      );
-
-      // Amount to give employee: finalBonus - employeeDeposit
-      const amountToGiveEmployee = Math.max(0, finalBonusAmount - employeeDeposit);
-
-      const bonusPayload = {
-        _id: existingBonus?._id, // Include ID if it exists so updates work
-        year,
-        worker: worker._id,
-        hourlyRate: worker.hourlyRate,
-        baseBonusAmount,
-        totalDaysWorked,
-        totalDaysAbsent,
-        absentPenaltyPerDay: deductionPerAbsentDay || 0,
-        totalPenalty: absentPenalty,
-        currentAdvanceBalance: worker.advanceBalance,
-        extraBonus,
-        employeeDeposit,
-        finalBonusAmount,
-        amountToGiveEmployee,
-        currentAdvanceBalance: worker.advanceBalance
-      };
+    for (const data of workerData) {
+      const { worker } = data;
+      const calculated = calculatePolicyBonus(policy, data, yearEnd, threshold);
+      const bonusPayload = await buildPolicyBonusPayload(data, calculated, { periodStart: yearStart, periodEnd: yearEnd, year });
 
       console.log(`Worker ${worker.name} - bonusPayload._id:`, bonusPayload._id);
 
       if (persist) {
         // Persist to DB only when explicitly requested
-        const bonus = await Bonus.findOneAndUpdate(
-          { year, worker: worker._id },
-          bonusPayload,
-          { upsert: true, new: true }
-        );
-        // populate basic worker info for returned list
-        const populated = await Bonus.findById(bonus._id).populate('worker', 'name workerId hourlyRate advanceBalance');
-        results.push(populated);
+        results.push(await saveBonusPayload(bonusPayload));
       } else {
         // In-memory result (do not save)
         results.push({ ...bonusPayload, worker: { _id: worker._id, name: worker.name, workerId: worker.workerId, hourlyRate: worker.hourlyRate, advanceBalance: worker.advanceBalance } });
@@ -157,7 +216,7 @@ router.post('/calculate', async (req, res) => {
     }
 
     if (persist) {
-      const populatedResults = await Bonus.find({ year }).populate('worker', 'name workerId hourlyRate advanceBalance').sort({ 'worker.name': 1 });
+      const populatedResults = await Bonus.find({ year, ...bonusModeFilter('policy') }).populate('worker', 'name workerId hourlyRate advanceBalance').sort({ 'worker.name': 1 });
       return res.json(populatedResults);
     }
 
@@ -167,39 +226,85 @@ router.post('/calculate', async (req, res) => {
   }
 });
 
-// Mark bonus as paid
+// Pay out an approved bonus (amountPaid defaults to the amount to give the employee).
+// The employee deposit kept back from it is repaid against the worker's advance at the same time.
+// Body: { amountPaid, paidDate, paymentMode, paymentReference }
 router.post('/pay/:id', async (req, res) => {
   try {
-    const { amountPaid } = req.body;
+    const { amountPaid, paidDate, paymentMode } = req.body;
     const bonus = await Bonus.findById(req.params.id);
 
     if (!bonus) {
       return res.status(404).json({ error: 'Bonus not found' });
     }
 
-    // Do not adjust worker's advance balance when paying bonuses.
-    // Bonus payments are separate from advance repayment in this system.
+    if (getBonusStatus(bonus) !== 'approved') {
+      return res.status(400).json({ error: `Only approved bonuses can be marked paid (current status: ${getBonusStatus(bonus)})` });
+    }
 
-    const updatedBonus = await Bonus.findByIdAndUpdate(
-      req.params.id,
-      {
-        amountPaid: amountPaid || bonus.amountToGiveEmployee,
-        isPaid: true,
-        paidDate: new Date()
-      },
-      { new: true }
-    ).populate('worker', 'name workerId');
+    if (paymentMode && !RECORD_PAYMENT_MODES.includes(paymentMode)) {
+      return res.status(400).json({ error: `paymentMode must be one of: ${RECORD_PAYMENT_MODES.join(', ')}` });
+    }
+
+    const amount = amountPaid === undefined ? bonus.amountToGiveEmployee : Number(amountPaid);
+    if (!(amount >= 0)) {
+      return res.status(400).json({ error: 'amountPaid cannot be negative' });
+    }
+    const date = paidDate ? parsePeriodDate(paidDate) : new Date();
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({ error: 'paidDate is not a valid date' });
+    }
+
+    // The bonus, its ledger line and the deposit's advance repayment are updated together
+    await runInTransaction(async (session) => {
+      // Claim the bonus so two payouts running at the same time can't both mark it paid
+      const paid = await Bonus.findOneAndUpdate(
+        { _id: bonus._id, status: 'approved' },
+        { status: 'disbursed', isPaid: true, amountPaid: amount, paidDate: date },
+        { new: true, session }
+      );
+      if (!paid) {
+        throw new MoneyMovementError('Bonus is no longer approved', 409);
+      }
+
+      await removeSourcePayments('Bonus', bonus._id, null, session);
+      await recordPayment({
+        worker: bonus.worker,
+        type: 'bonus',
+        amount,
+        date,
+        periodStart: bonus.periodStart,
+        periodEnd: bonus.periodEnd,
+        paymentMode,
+        reference: req.body.paymentReference,
+        source: { kind: 'Bonus', id: bonus._id },
+        notes: `Bonus ${bonus.year || ''}`.trim()
+      }, session);
+
+      if (bonus.employeeDeposit > 0) {
+        await postAdvanceMovement({
+          worker: bonus.worker,
+          type: 'deposit',
+          amount: bonus.employeeDeposit,
+          date,
+          notes: `Deposited ₹${bonus.employeeDeposit} from bonus ${bonus.year || ''}`.trim(),
+          source: { kind: 'Bonus', id: bonus._id }
+        }, session);
+      }
+    });
+
+    const updatedBonus = await Bonus.findById(req.params.id).populate('worker', 'name workerId advanceBalance');
 
     res.json(updatedBonus);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-// Get bonus summary for a year
+// Get bonus summary for a year (?mode=statutory for statutory bonuses, otherwise policy ones)
 router.get('/summary/:year', async (req, res) => {
   try {
-    const bonuses = await Bonus.find({ year: parseInt(req.params.year) })
+    const bonuses = await Bonus.find({ year: parseInt(req.params.year), ...bonusModeFilter(req.query.mode) })
       .populate('worker', 'name workerId hourlyRate advanceBalance');
 
     const summary = {
@@ -218,105 +323,158 @@ router.get('/summary/:year', async (req, res) => {
   }
 });
 
-// Calculate bonus by date range
-// NEW LOGIC: Deduction is relative to the worker with the fewest absents (threshold).
-// Workers with min absents get no penalty. Each extra absent above threshold incurs the penalty.
+// Calculate bonus by date range under a bonus policy (body.policyId / body.policyName, otherwise the default policy).
+// Without any saved policy the deduction is relative to the worker with the fewest absents (threshold):
+// workers with min absents get no penalty, each extra absent above threshold incurs deductionPerAbsentDay.
+// Workers who left during the period are included; each base is pro-rated by the days employed in it.
 router.post('/calculate-date-range', async (req, res) => {
   try {
     console.log('POST /bonus/calculate-date-range request:', JSON.stringify(req.body, null, 2));
     const { startYear, startMonth, endYear, endMonth, persist } = req.body;
-    const deductionPerAbsentDay = Number(req.body.deductionPerAbsentDay) || 0;
-    const deductAdvance = Boolean(req.body.deductAdvance);
 
-    const sY = parseInt(startYear, 10);
-    const sM = parseInt(startMonth, 10);
-    const eY = parseInt(endYear, 10);
-    const eM = parseInt(endMonth, 10);
-
-    if (Number.isNaN(sY) || Number.isNaN(sM) || Number.isNaN(eY) || Number.isNaN(eM)) {
-      return res.status(400).json({ error: 'Invalid or missing startYear/startMonth/endYear/endMonth' });
+    const policy = await resolvePolicy(req.body) || builtInPolicy('min-absent', req.body.deductionPerAbsentDay);
+    if ((req.body.policyId || req.body.policyName) && !policy._id) {
+      return res.status(404).json({ error: 'Bonus policy not found' });
     }
 
-    if (sM < 1 || sM > 12 || eM < 1 || eM > 12) {
-      return res.status(400).json({ error: 'startMonth and endMonth must be between 1 and 12' });
+    const period = parseMonthRange({ startYear, startMonth, endYear, endMonth });
+    if (period.error) {
+      return res.status(400).json({ error: period.error });
     }
+    const { periodStart, periodEnd, year: eY } = period;
 
-    const periodStart = new Date(sY, sM - 1, 1);
-    const periodEnd = new Date(eY, eM, 0, 23, 59, 59, 999);
+    // STEP 1: Gather attendance data for active workers and those who left during the period,
+    // with the share of it they were employed
+    const workerData = await gatherBonusAttendance(periodStart, periodEnd);
 
-    if (periodStart > periodEnd) {
-      return res.status(400).json({ error: 'Start date must be before or equal to end date' });
-    }
+    // STEP 2: Determine the threshold (unpenalised absent days) under the policy
+    const threshold = getAbsentThreshold(policy, workerData);
 
-    const workers = await Worker.find({ isActive: true });
+    // STEP 3: Calculate bonus for each worker
+    const results = [];
+    for (const data of workerData) {
+      const { worker } = data;
+      // Base, penalty, eligibility, cap and rounding per the policy (rate in force at the end of the period)
+      const calculated = calculatePolicyBonus(policy, data, periodEnd, threshold);
+      const bonusPayload = await buildPolicyBonusPayload(data, calculated, period);
 
-    // STEP 1: Gather attendance data for all workers
-    const workerData = [];
-    for (const worker of workers) {
-      const entries = await DailyEntry.find({
-        worker: worker._id,
-        date: { $gte: periodStart, $lte: periodEnd }
-      });
+      console.log(`Worker ${worker.name} - bonusPayload._id:`, bonusPayload._id);
 
-      const totalDaysWorked = entries.filter(e =>
-        e.status === 'present' || e.status === 'holiday'
-      ).length;
-      const totalDaysAbsent = entries.filter(e => e.status === 'absent').length;
+      if (persist) {
+        // Persist to DB only when explicitly requested
+        results.push(await saveBonusPayload(bonusPayload));
+      } else {
+        results.push({ ...bonusPayload, worker: { _id: worker._id, name: worker.name, workerId: worker.workerId, hourlyRate: worker.hourlyRate, advanceBalance: worker.advanceBalance } });
+      }
+    }
 
-      workerData.push({
-        worker,
-        totalDaysWorked,
-        totalDaysAbsent
+    console.log(`Calculated ${results.length} bonuses. persist=${persist}`);
+    // Log sample result to check for _id
+    if (results.length > 0) {
+      console.log('Sample result payload (first item):', {
+        _id: results[0]._id,
+        workerName: results[0].worker?.name,
+        finalBonusAmount: results[0].finalBonusAmount
       });
     }
 
-    // STEP 2: Determine threshold (minimum absent days among workers)
-    const minAbsent = workerData.length > 0 ? Math.min(...workerData.map(w => w.totalDaysAbsent)) : 0;
+    if (persist) {
+      const populatedResults = await Bonus.find({ year: eY, ...bonusModeFilter('policy') })
+        .populate('worker', 'name workerId hourlyRate advanceBalance')
+        .sort({ 'worker.name': 1 });
 
-    // STEP 3: Calculate bonus for each worker
-    const results = [];
-    for (const { worker, totalDaysWorked, totalDaysAbsent } of workerData) {
-      // Calculate base bonus: 30 days × 8 hours × hourly_rate
-      const baseBonusAmount = 30 * 8 * (worker.hourlyRate || 0);
+      res.json(populatedResults);
+      return;
+    }
 
-      // Penalty: only extra absents above the minimum threshold incur penalty
-      const extraAbsents = Math.max(0, totalDaysAbsent - minAbsent);
-      const absentPenalty = extraAbsents * deductionPerAbsentDay;
+    // Return calculated results without persisting
+    res.json(results);
+  } catch (error) {
+    console.error('POST /bonus/calculate-date-range error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-      // Get existing bonus record to preserve extraBonus and employeeDeposit
-      const existingBonus = await Bonus.findOne({
-        worker: worker._id,
-        periodStart,
-        periodEnd
-      });
+// Calculate the statutory bonus (Payment of Bonus Act) for an accounting year (1 April - 31 March).
+// Bonus = percentage (8.33% - 20%) of wages earned (DailyEntry totalPay), with each month's wages
+// counted up to the calculation ceiling and months above the eligibility ceiling left out.
+// Workers with fewer than 30 days worked are not eligible; eligible workers get at least ₹100.
+router.post('/calculate-statutory', async (req, res) => {
+  try {
+    const startYear = parseInt(req.body.financialYear, 10);
+    if (Number.isNaN(startYear)) {
+      return res.status(400).json({ error: 'financialYear (the year the accounting year starts in) is required' });
+    }
 
-      console.log(`Worker ${worker.name} - existingBonus:`, existingBonus ? `ID: ${existingBonus._id}` : 'null');
+    const { options, error } = validateStatutoryOptions(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-      const extraBonus = existingBonus?.extraBonus || 0;
-      const employeeDeposit = existingBonus?.employeeDeposit || 0;
+    const { periodStart, periodEnd, label } = getFinancialYear(startYear);
+    const year = startYear + 1;
+    const { persist } = req.body;
+
+    const entries = await DailyEntry.find({ date: { $gte: periodStart, $lte: periodEnd } })
+      .select('worker date status totalPay');
+    const entriesByWorker = new Map();
+    entries.forEach(entry => {
+      const key = entry.worker.toString();
+      if (!entriesByWorker.has(key)) entriesByWorker.set(key, []);
+      entriesByWorker.get(key).push(entry);
+    });
 
-      // Do NOT deduct advance here; advance deduction is not part of bonus calculation
+    // Workers who left during the year are still owed bonus for the days they worked
+    const workers = await Worker.find({
+      $or: [{ isActive: true }, { _id: { $in: [...entriesByWorker.keys()] } }]
+    }).sort({ name: 1 });
 
-      // Calculate final amount: base - penalties + extra
-      const finalBonusAmount = Math.max(0,
-        baseBonusAmount - absentPenalty + extraBonus
-      );
+    const results = [];
+    const totals = { wagesEarned: 0, bonusWages: 0, bonus: 0, eligibleWorkers: 0 };
+
+    for (const worker of workers) {
+      const workerEntries = entriesByWorker.get(worker._id.toString()) || [];
+      const calculated = calculateStatutoryBonus(workerEntries, options);
+
+      // Keep extra bonus and deposit already entered against this year
+      const existingBonus = await Bonus.findOne(bonusKey(worker._id, year, 'statutory'));
+      const extraBonus = existingBonus?.extraBonus || 0;
+      const employeeDeposit = existingBonus?.employeeDeposit || 0;
 
-      // Amount to give employee: finalBonus - employeeDeposit
+      const finalBonusAmount = getOverrideAmount(existingBonus) ?? Math.max(0, calculated.bonusAmount + extraBonus);
       const amountToGiveEmployee = Math.max(0, finalBonusAmount - employeeDeposit);
 
       const bonusPayload = {
-        _id: existingBonus?._id, // Include ID if it exists so updates work
-        year: eY,
+        _id: existingBonus?._id,
+        year,
         worker: worker._id,
         periodStart,
         periodEnd,
-        hourlyRate: worker.hourlyRate,
-        baseBonusAmount,
-        totalDaysWorked,
-        totalDaysAbsent,
-        absentPenaltyPerDay: deductionPerAbsentDay,
-        totalPenalty: absentPenalty,
+        mode: 'statutory',
+        hourlyRate: getRateOn(worker, periodEnd),
+        baseBonusAmount: calculated.bonusAmount,
+        totalDaysWorked: calculated.daysWorked,
+        totalDaysAbsent: workerEntries.filter(e => e.status === 'absent').length,
+        minAbsentThreshold: 0,
+        extraAbsents: 0,
+        absentPenaltyPerDay: 0,
+        totalPenalty: 0,
+        eligible: calculated.eligible,
+        capped: false,
+        policyBonus: calculated.bonusAmount,
+        policy: null,
+        statutory: {
+          financialYear: label,
+          percentage: options.percentage,
+          daysWorked: calculated.daysWorked,
+          wagesEarned: calculated.wagesEarned,
+          bonusWages: calculated.bonusWages,
+          eligibilityCeiling: options.eligibilityCeiling,
+          calculationCeiling: options.calculationCeiling,
+          minDaysWorked: options.minDaysWorked,
+          excludedMonths: calculated.excludedMonths,
+          ineligibleReason: calculated.ineligibleReason
+        },
         extraBonus,
         employeeDeposit,
         finalBonusAmount,
@@ -324,57 +482,245 @@ router.post('/calculate-date-range', async (req, res) => {
         currentAdvanceBalance: worker.advanceBalance
       };
 
-      console.log(`Worker ${worker.name} - bonusPayload._id:`, bonusPayload._id);
+      totals.wagesEarned += calculated.wagesEarned;
+      totals.bonusWages += calculated.bonusWages;
+      totals.bonus += calculated.bonusAmount;
+      if (calculated.eligible) totals.eligibleWorkers++;
 
       if (persist) {
-        // Persist to DB only when explicitly requested
-        const bonus = await Bonus.findOneAndUpdate(
-          {
-            year: eY,
-            worker: worker._id
-          },
-          bonusPayload,
-          { upsert: true, new: true }
-        );
-        const populated = await Bonus.findById(bonus._id).populate('worker', 'name workerId hourlyRate advanceBalance');
-        results.push(populated);
+        results.push(await saveBonusPayload(bonusPayload));
       } else {
-        results.push({ ...bonusPayload, worker: { _id: worker._id, name: worker.name, workerId: worker.workerId, hourlyRate: worker.hourlyRate, advanceBalance: worker.advanceBalance } });
+        results.push({
+          ...bonusPayload,
+          months: calculated.months,
+          worker: { _id: worker._id, name: worker.name, workerId: worker.workerId, hourlyRate: worker.hourlyRate, advanceBalance: worker.advanceBalance }
+        });
       }
     }
 
-    console.log(`Calculated ${results.length} bonuses. persist=${persist}`);
-    // Log sample result to check for _id
-    if (results.length > 0) {
-      console.log('Sample result payload (first item):', {
-        _id: results[0]._id,
-        workerName: results[0].worker?.name,
-        finalBonusAmount: results[0].finalBonusAmount
-      });
+    res.json({ financialYear: label, periodStart, periodEnd, options, totals, bonuses: results });
+  } catch (error) {
+    console.error('POST /bonus/calculate-statutory error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Save a named what-if scenario: policy rules (body.rules on top of body.policyId / body.policyName,
+// the default policy or the built-in rules) worked out over a period without touching Bonus records
+router.post('/scenarios', async (req, res) => {
+  try {
+    const name = req.body.name ? String(req.body.name).trim() : '';
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
     }
 
-    if (persist) {
-      const populatedResults = await Bonus.find({ year: eY })
-        .populate('worker', 'name workerId hourlyRate advanceBalance')
-        .sort({ 'worker.name': 1 });
+    const period = parseMonthRange(req.body);
+    if (period.error) {
+      return res.status(400).json({ error: period.error });
+    }
+    const { periodStart, periodEnd, year } = period;
 
-      res.json(populatedResults);
-      return;
+    const basePolicy = await resolvePolicy(req.body) || builtInPolicy('min-absent', req.body.deductionPerAbsentDay);
+    if ((req.body.policyId || req.body.policyName) && !basePolicy._id) {
+      return res.status(404).json({ error: 'Bonus policy not found' });
     }
 
-    // Return calculated results without persisting
-    res.json(results);
+    const { rules, error } = validatePolicyRules(req.body.rules || {}, basePolicy.toObject ? basePolicy.toObject() : basePolicy);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (await BonusScenario.exists({ periodStart, periodEnd, name })) {
+      return res.status(409).json({ error: `A scenario named '${name}' already exists for this period` });
+    }
+
+    const workerData = await gatherBonusAttendance(periodStart, periodEnd);
+    const { lines, totals } = runScenario(rules, workerData, periodEnd);
+
+    const scenario = await BonusScenario.create({
+      name,
+      description: req.body.description,
+      year,
+      periodStart,
+      periodEnd,
+      basePolicy: policyRef(basePolicy),
+      rules: pickRules(rules),
+      lines,
+      totals,
+      calculatedAt: new Date(),
+      createdBy: req.body.createdBy
+    });
+
+    res.status(201).json({ success: true, scenario });
   } catch (error) {
-    console.error('POST /bonus/calculate-date-range error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('POST /bonus/scenarios error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List scenarios (totals only), optionally for one period (startYear/startMonth/endYear/endMonth)
+router.get('/scenarios', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.startYear) {
+      const period = parseMonthRange(req.query);
+      if (period.error) {
+        return res.status(400).json({ error: period.error });
+      }
+      filter.periodStart = period.periodStart;
+      filter.periodEnd = period.periodEnd;
+    }
+
+    const scenarios = await BonusScenario.find(filter)
+      .select('-lines')
+      .sort({ periodStart: -1, createdAt: 1 });
+
+    res.json({ scenarios });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Compare scenarios for the same period: ?ids=<id>,<id>,... (the first is the baseline)
+router.get('/scenarios/compare', async (req, res) => {
+  try {
+    const ids = String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+    if (ids.length < 2) {
+      return res.status(400).json({ error: 'ids must list at least two scenarios' });
+    }
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ error: 'ids must be scenario ids' });
+    }
+
+    const found = await BonusScenario.find({ _id: { $in: ids } });
+    const scenarios = ids.map(id => found.find(s => s._id.toString() === id));
+    if (scenarios.some(s => !s)) {
+      return res.status(404).json({ error: 'Scenario not found' });
+    }
+
+    const [first] = scenarios;
+    if (scenarios.some(s => s.periodStart.getTime() !== first.periodStart.getTime() || s.periodEnd.getTime() !== first.periodEnd.getTime())) {
+      return res.status(400).json({ error: 'Only scenarios for the same period can be compared' });
+    }
+
+    res.json({
+      periodStart: first.periodStart,
+      periodEnd: first.periodEnd,
+      ...compareScenarios(scenarios)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a scenario with its per-worker lines
+router.get('/scenarios/:id', async (req, res) => {
+  try {
+    const scenario = await BonusScenario.findById(req.params.id);
+    if (!scenario) {
+      return res.status(404).json({ error: 'Scenario not found' });
+    }
+    res.json({ scenario });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-run a scenario against the current attendance
+router.post('/scenarios/:id/recalculate', async (req, res) => {
+  try {
+    const scenario = await BonusScenario.findById(req.params.id);
+    if (!scenario) {
+      return res.status(404).json({ error: 'Scenario not found' });
+    }
+    if (scenario.status === 'promoted') {
+      return res.status(409).json({ error: 'Scenario has been promoted; save a new scenario to try other figures' });
+    }
+
+    const workerData = await gatherBonusAttendance(scenario.periodStart, scenario.periodEnd);
+    const { lines, totals } = runScenario(scenario.toObject().rules, workerData, scenario.periodEnd);
+    scenario.lines = lines;
+    scenario.totals = totals;
+    scenario.calculatedAt = new Date();
+    await scenario.save();
+
+    res.json({ success: true, scenario });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a scenario (promoted bonuses and policies are kept)
+router.delete('/scenarios/:id', async (req, res) => {
+  try {
+    const scenario = await BonusScenario.findByIdAndDelete(req.params.id);
+    if (!scenario) {
+      return res.status(404).json({ error: 'Scenario not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Promote a scenario to the real calculation: its rules are saved as a bonus policy version
+// (body.policyName and body.makeDefault, see getPromotionPolicy) and the period's Bonus records are
+// calculated with it, as /calculate-date-range with persist would. Extra bonus and deposits already
+// entered are kept.
+router.post('/scenarios/:id/promote', async (req, res) => {
+  try {
+    const scenario = await BonusScenario.findById(req.params.id);
+    if (!scenario) {
+      return res.status(404).json({ error: 'Scenario not found' });
+    }
+    if (req.body.policyName && String(req.body.policyName).trim() === 'built-in') {
+      return res.status(400).json({ error: "'built-in' is reserved for calculations made without a saved policy" });
+    }
+
+    const { periodStart, periodEnd, year } = scenario;
+    const workerData = await gatherBonusAttendance(periodStart, periodEnd);
+    const { policy, error } = await getPromotionPolicy(scenario, req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const threshold = getAbsentThreshold(policy, workerData);
+
+    const bonuses = [];
+    for (const data of workerData) {
+      const calculated = calculatePolicyBonus(policy, data, periodEnd, threshold);
+      const bonusPayload = await buildPolicyBonusPayload(data, calculated, { periodStart, periodEnd, year });
+      bonuses.push(await saveBonusPayload(bonusPayload));
+    }
+
+    // The period's Bonus records now come from this scenario
+    await BonusScenario.updateMany(
+      { periodStart, periodEnd, status: 'promoted', _id: { $ne: scenario._id } },
+      { status: 'draft' }
+    );
+
+    const { lines, totals } = runScenario(scenario.toObject().rules, workerData, periodEnd);
+    scenario.lines = lines;
+    scenario.totals = totals;
+    scenario.calculatedAt = new Date();
+    scenario.status = 'promoted';
+    scenario.promotedAt = new Date();
+    scenario.promotedPolicy = policyRef(policy);
+    await scenario.save();
+
+    res.json({ success: true, scenario, policy, bonuses });
+  } catch (error) {
+    console.error('POST /bonus/scenarios/:id/promote error:', error);
+    res.status(500).json({ error: error.message });
   }
 });
 
 // Update bonus
+// An override of finalBonusAmount must give a reason and who approved it; both are kept in overrides.
+// Like every other amount, it can no longer be changed once the bonus is approved.
 router.put('/:id', async (req, res) => {
   try {
     // Only allow updating finalBonusAmount. We no longer use advanceDeduction in calculations.
-    const { finalBonusAmount } = req.body;
+    const { finalBonusAmount, reason, approvedBy } = req.body;
 
     const bonus = await Bonus.findById(req.params.id);
     if (!bonus) return res.status(404).json({ error: 'Bonus not found' });
@@ -383,6 +729,23 @@ router.put('/:id', async (req, res) => {
     const newFinal = typeof finalBonusAmount === 'number' ? finalBonusAmount : bonus.finalBonusAmount;
     const newAmountToGiveEmployee = Math.max(0, newFinal - (bonus.employeeDeposit || 0));
 
+    if (newFinal !== bonus.finalBonusAmount) {
+      const lockError = getBonusLockError(bonus);
+      if (lockError) {
+        return res.status(409).json({ error: lockError });
+      }
+      if (!reason || !String(reason).trim() || !approvedBy || !String(approvedBy).trim()) {
+        return res.status(400).json({ error: 'Overriding finalBonusAmount requires a reason and approvedBy' });
+      }
+      bonus.overrides.push({
+        previousAmount: bonus.finalBonusAmount,
+        newAmount: newFinal,
+        reason: String(reason).trim(),
+        approvedBy: String(approvedBy).trim(),
+        date: new Date()
+      });
+    }
+
     bonus.finalBonusAmount = newFinal;
     bonus.amountToGiveEmployee = newAmountToGiveEmployee;
     // Clear any legacy advanceDeduction to avoid confusion
@@ -397,14 +760,66 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// Add extra bonus to a worker's bonus
+// Review or approve bonuses in bulk (body.ids, or every bonus for body.year).
+// Bonuses not in the state the step starts from are skipped and listed.
+const moveBonusesAlongCycle = async (action, by, req, res) => {
+  const { ids, year } = req.body;
+  if (!by || !String(by).trim()) {
+    return res.status(400).json({ error: `${action === 'review' ? 'reviewedBy' : 'approvedBy'} is required` });
+  }
+
+  let filter;
+  if (Array.isArray(ids) && ids.length > 0) {
+    filter = { _id: { $in: ids } };
+  } else if (year) {
+    filter = { year: Number(year) };
+  } else {
+    return res.status(400).json({ error: 'ids or year is required' });
+  }
+
+  const bonuses = await Bonus.find(filter).populate('worker', 'name workerId');
+  const updated = [];
+  const skipped = [];
+  for (const bonus of bonuses) {
+    const error = advanceBonusCycle(bonus, action, by);
+    if (error) {
+      skipped.push({ _id: bonus._id, workerName: bonus.worker?.name, status: bonus.status, error });
+      continue;
+    }
+    await bonus.save();
+    updated.push(bonus);
+  }
+
+  res.json({ message: `${updated.length} bonuses ${action === 'review' ? 'reviewed' : 'approved'}`, bonuses: updated, skipped });
+};
+
+// Mark calculated bonuses reviewed
+router.post('/review', async (req, res) => {
+  try {
+    await moveBonusesAlongCycle('review', req.body.reviewedBy, req, res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Approve reviewed bonuses for payout
+router.post('/approve', async (req, res) => {
+  try {
+    await moveBonusesAlongCycle('approve', req.body.approvedBy, req, res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add extra bonus to a worker's bonus. Without a bonus id the worker's bonus for body.year and
+// body.mode (default policy) is used, or created.
 router.post('/add-extra-bonus/:bonusId', async (req, res) => {
   try {
     console.log(`POST /bonus/add-extra-bonus/${req.params.bonusId}`, req.body);
 
     // Fix for "undefined" ID - try to create bonus record on the fly
     if (req.params.bonusId === 'undefined' || req.params.bonusId === 'null') {
-      const { extraAmount, notes, workerId, year, periodStart, periodEnd, workerName } = req.body;
+      const { extraAmount, notes, workerId, year, periodStart, periodEnd, workerName, mode } = req.body;
       const amountVal = Number(extraAmount);
 
       if (!amountVal || amountVal <= 0) {
@@ -435,6 +850,7 @@ router.post('/add-extra-bonus/:bonusId', async (req, res) => {
       const existingBonus = await Bonus.findOne({
         worker: worker._id,
         year: currentYear,
+        ...bonusModeFilter(mode),
         $or: [
           { periodStart: startDate, periodEnd: endDate },
           { periodStart: { $lte: startDate }, periodEnd: { $gte: endDate } },
@@ -444,16 +860,18 @@ router.post('/add-extra-bonus/:bonusId', async (req, res) => {
 
       if (existingBonus) {
         console.log(`Found existing bonus for ${worker.name}, updating it instead of creating new one`);
+        const lockError = getBonusLockError(existingBonus);
+        if (lockError) {
+          return res.status(409).json({ error: lockError });
+        }
 
         // Update the existing bonus
         const currentExtra = Number(existingBonus.extraBonus) || 0;
         const newExtraBonus = currentExtra + amountVal;
 
-        const base = Number(existingBonus.baseBonusAmount) || 0;
-        const penalty = Number(existingBonus.totalPenalty) || 0;
         const deposit = Number(existingBonus.employeeDeposit) || 0;
 
-        const newFinalBonusAmount = Math.max(0, base - penalty + newExtraBonus);
+        const newFinalBonusAmount = getOverrideAmount(existingBonus) ?? Math.max(0, getPolicyBonus(existingBonus) + newExtraBonus);
         const newAmountToGiveEmployee = Math.max(0, newFinalBonusAmount - deposit);
 
         const updatedBonus = await Bonus.findByIdAndUpdate(
@@ -475,9 +893,10 @@ router.post('/add-extra-bonus/:bonusId', async (req, res) => {
       const newBonus = await Bonus.create({
         year: currentYear,
         worker: worker._id,
+        mode: mode === 'statutory' ? 'statutory' : 'policy',
         periodStart: startDate,
         periodEnd: endDate,
-        hourlyRate: worker.hourlyRate || 0,
+        hourlyRate: getRateOn(worker, endDate),
         baseBonusAmount: 0, // Will be calculated later when full calculation is done
         totalDaysWorked: 0,
         totalDaysAbsent: 0,
@@ -511,17 +930,20 @@ router.post('/add-extra-bonus/:bonusId', async (req, res) => {
       console.log('Bonus not found for ID:', req.params.bonusId);
       return res.status(404).json({ error: 'Bonus not found' });
     }
+    const lockError = getBonusLockError(bonus);
+    if (lockError) {
+      return res.status(409).json({ error: lockError });
+    }
 
     // Update extra bonus and recalculate final amounts
     const currentExtra = Number(bonus.extraBonus) || 0;
     const newExtraBonus = currentExtra + amountVal;
 
     // Recalculate derived amounts
-    const base = Number(bonus.baseBonusAmount) || 0;
-    const penalty = Number(bonus.totalPenalty) || 0;
     const deposit = Number(bonus.employeeDeposit) || 0;
 
-    const newFinalBonusAmount = Math.max(0, base - penalty + newExtraBonus);
+    // An approved override of the gross stands; the extra bonus is still recorded
+    const newFinalBonusAmount = getOverrideAmount(bonus) ?? Math.max(0, getPolicyBonus(bonus) + newExtraBonus);
     const newAmountToGiveEmployee = Math.max(0, newFinalBonusAmount - deposit);
 
     const updatedBonus = await Bonus.findByIdAndUpdate(
@@ -542,14 +964,15 @@ router.post('/add-extra-bonus/:bonusId', async (req, res) => {
   }
 });
 
-// Employee deposit towards advance repayment (deducted from bonus)
+// Employee deposit towards advance repayment (deducted from bonus). Without a bonus id the worker's
+// bonus for body.year and body.mode (default policy) is used, or created.
 router.post('/add-employee-deposit/:bonusId', async (req, res) => {
   try {
     console.log(`POST /bonus/add-employee-deposit/${req.params.bonusId}`, req.body);
 
     // Fix for "undefined" ID - try to find/create bonus record
     if (req.params.bonusId === 'undefined' || req.params.bonusId === 'null') {
-      const { depositAmount, notes, workerId, year, periodStart, periodEnd, workerName } = req.body;
+      const { depositAmount, notes, workerId, year, periodStart, periodEnd, workerName, mode } = req.body;
       const amountVal = Number(depositAmount);
 
       if (!amountVal || amountVal <= 0) {
@@ -579,6 +1002,7 @@ router.post('/add-employee-deposit/:bonusId', async (req, res) => {
       const existingBonus = await Bonus.findOne({
         worker: worker._id,
         year: currentYear,
+        ...bonusModeFilter(mode),
         $or: [
           { periodStart: startDate, periodEnd: endDate },
           { periodStart: { $lte: startDate }, periodEnd: { $gte: endDate } },
@@ -588,6 +1012,10 @@ router.post('/add-employee-deposit/:bonusId', async (req, res) => {
 
       if (existingBonus) {
         console.log(`Found existing bonus for ${worker.name}, updating deposit`);
+        const lockError = getBonusLockError(existingBonus);
+        if (lockError) {
+          return res.status(409).json({ error: lockError });
+        }
 
         // Check if deposit doesn't exceed final bonus amount
         if (amountVal > existingBonus.finalBonusAmount) {
@@ -618,9 +1046,10 @@ router.post('/add-employee-deposit/:bonusId', async (req, res) => {
       const newBonus = await Bonus.create({
         year: currentYear,
         worker: worker._id,
+        mode: mode === 'statutory' ? 'statutory' : 'policy',
         periodStart: startDate,
         periodEnd: endDate,
-        hourlyRate: worker.hourlyRate || 0,
+        hourlyRate: getRateOn(worker, endDate),
         baseBonusAmount: 0,
         totalDaysWorked: 0,
         totalDaysAbsent: 0,
@@ -653,6 +1082,10 @@ router.post('/add-employee-deposit/:bonusId', async (req, res) => {
       console.log('Bonus not found for ID:', req.params.bonusId);
       return res.status(404).json({ error: 'Bonus not found' });
     }
+    const lockError = getBonusLockError(bonus);
+    if (lockError) {
+      return res.status(409).json({ error: lockError });
+    }
 
     // Check if deposit doesn't exceed final bonus amount
     if (depositAmount > bonus.finalBonusAmount) {
@@ -812,6 +1245,7 @@ router.get('/export/excel', async (req, res) => {
       'Worker ID',
       'Worker Name',
       'Hourly Rate',
+      'Proration',
       'Base Bonus',
       'Absent Days',
       'Penalty',
@@ -836,73 +1270,218 @@ router.get('/export/excel', async (req, res) => {
       };
     });
 
-    // Data rows
-    let totalFinal = 0;
-    let totalDeposit = 0;
-    let totalAdvanceDue = 0;
+    // Data rows
+    let totalFinal = 0;
+    let totalDeposit = 0;
+    let totalAdvanceDue = 0;
+    bonuses.forEach((bonus, index) => {
+      const amountToGive = Math.round(bonus.amountToGiveEmployee || bonus.finalBonusAmount);
+      const currentAdvanceDue = Math.round(bonus.worker?.advanceBalance || 0);
+      const row = worksheet.addRow([
+        index + 1,
+        bonus.worker?.workerId || '',
+        bonus.worker?.name || '',
+        Math.round(bonus.hourlyRate || bonus.worker?.hourlyRate || 0),
+        bonus.prorationFactor ?? 1,
+        Math.round(bonus.baseBonusAmount),
+        bonus.totalDaysAbsent,
+        Math.round(bonus.totalPenalty),
+        currentAdvanceDue,
+        Math.round(bonus.extraBonus || 0),
+        Math.round(bonus.employeeDeposit || 0),
+        amountToGive
+      ]);
+
+      totalFinal += amountToGive;
+      totalDeposit += Math.round(bonus.employeeDeposit || 0);
+      totalAdvanceDue += currentAdvanceDue;
+
+      row.eachCell((cell) => {
+        cell.border = {
+          top: { style: 'thin' },
+          left: { style: 'thin' },
+          bottom: { style: 'thin' },
+          right: { style: 'thin' }
+        };
+      });
+
+      // Color deposit cell in light green if has deposit (deposit is now column 11)
+      if ((bonus.employeeDeposit || 0) > 0) {
+        row.getCell(11).fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: 'FFC8E6C9' }
+        };
+      }
+    });
+
+    // Total row
+    worksheet.addRow([]);
+    const totalRow = worksheet.addRow(['', '', '', '', '', '', '', '', totalAdvanceDue, '', totalDeposit, totalFinal]);
+    totalRow.font = { bold: true };
+
+    // Column widths
+    worksheet.columns = [
+      { width: 8 },
+      { width: 12 },
+      { width: 20 },
+      { width: 10 },
+      { width: 10 },
+      { width: 12 },
+      { width: 10 },
+      { width: 10 },
+      { width: 14 },
+      { width: 12 },
+      { width: 14 },
+      { width: 14 }
+    ];
+
+    const buffer = await workbook.xlsx.writeBuffer();
+    const base64 = Buffer.from(buffer).toString('base64');
+    const filename = `bonus_payment_${startYear}_${startMonth}_to_${endYear}_${endMonth}.xlsx`;
+
+    res.json({ base64, filename });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Statutory bonus register for an accounting year (saved /calculate-statutory results)
+router.get('/export/statutory-register', async (req, res) => {
+  try {
+    const startYear = parseInt(req.query.financialYear, 10);
+    if (Number.isNaN(startYear)) {
+      return res.status(400).json({ error: 'financialYear (the year the accounting year starts in) is required' });
+    }
+
+    const { periodStart, periodEnd, label } = getFinancialYear(startYear);
+    const bonuses = await Bonus.find({ mode: 'statutory', periodStart, periodEnd })
+      .populate('worker', 'name workerId');
+    if (bonuses.length === 0) {
+      return res.status(404).json({ error: `No statutory bonus saved for ${label}; calculate it with persist first` });
+    }
+    bonuses.sort((a, b) => (a.worker?.name || '').localeCompare(b.worker?.name || ''));
+
+    const { percentage, eligibilityCeiling, calculationCeiling, minDaysWorked } = bonuses[0].statutory || {};
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Worker Management System';
+    workbook.created = new Date();
+
+    const worksheet = workbook.addWorksheet('Bonus Register');
+
+    const settings = await Settings.findOne({ key: 'general' });
+    if (settings && settings.companyName) {
+      worksheet.mergeCells('A1:M1');
+      worksheet.getCell('A1').value = settings.companyName;
+      worksheet.getCell('A1').font = { bold: true, size: 18 };
+      worksheet.getCell('A1').alignment = { horizontal: 'center' };
+    }
+
+    const titleRow = worksheet.addRow([`Bonus Register - Payment of Bonus Act (Accounting Year ${label})`]);
+    worksheet.mergeCells(`A${titleRow.number}:M${titleRow.number}`);
+    titleRow.getCell(1).font = { bold: true, size: 16 };
+    titleRow.getCell(1).alignment = { horizontal: 'center' };
+
+    const rulesRow = worksheet.addRow([
+      `Bonus @ ${percentage}% of wages; wages counted up to ₹${calculationCeiling}/month; months above ₹${eligibilityCeiling}/month excluded; minimum ${minDaysWorked ?? STATUTORY_BONUS.minDaysWorked} days worked`
+    ]);
+    worksheet.mergeCells(`A${rulesRow.number}:M${rulesRow.number}`);
+    rulesRow.getCell(1).font = { italic: true, size: 10 };
+    rulesRow.getCell(1).alignment = { horizontal: 'center' };
+
+    worksheet.addRow([]);
+
+    const border = {
+      top: { style: 'thin' },
+      left: { style: 'thin' },
+      bottom: { style: 'thin' },
+      right: { style: 'thin' }
+    };
+
+    const headerRow = worksheet.addRow([
+      'S.No',
+      'Worker ID',
+      'Worker Name',
+      'Days Worked',
+      'Total Wages Earned',
+      'Wages for Bonus',
+      'Bonus %',
+      'Bonus Payable',
+      'Extra Bonus',
+      'Deposit Deducted',
+      'Net Payable',
+      'Remarks',
+      'Signature'
+    ]);
+    headerRow.font = { bold: true };
+    headerRow.eachCell((cell) => {
+      cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+      cell.border = border;
+    });
+
+    const totals = { wagesEarned: 0, bonusWages: 0, bonus: 0, extra: 0, deposit: 0, net: 0 };
     bonuses.forEach((bonus, index) => {
-      const amountToGive = Math.round(bonus.amountToGiveEmployee || bonus.finalBonusAmount);
-      const currentAdvanceDue = Math.round(bonus.worker?.advanceBalance || 0);
+      const statutory = bonus.statutory || {};
+      const bonusPayable = Math.round(bonus.policyBonus || 0);
+      const net = Math.round(bonus.amountToGiveEmployee || 0);
+      const remarks = statutory.ineligibleReason
+        || (statutory.excludedMonths?.length ? `Excluded (above ceiling): ${statutory.excludedMonths.join(', ')}` : '');
+
       const row = worksheet.addRow([
         index + 1,
         bonus.worker?.workerId || '',
         bonus.worker?.name || '',
-        Math.round(bonus.hourlyRate || bonus.worker?.hourlyRate || 0),
-        Math.round(bonus.baseBonusAmount),
-        bonus.totalDaysAbsent,
-        Math.round(bonus.totalPenalty),
-        currentAdvanceDue,
+        statutory.daysWorked || 0,
+        Math.round(statutory.wagesEarned || 0),
+        Math.round(statutory.bonusWages || 0),
+        statutory.percentage,
+        bonusPayable,
         Math.round(bonus.extraBonus || 0),
         Math.round(bonus.employeeDeposit || 0),
-        amountToGive
+        net,
+        remarks,
+        ''
       ]);
-
-      totalFinal += amountToGive;
-      totalDeposit += Math.round(bonus.employeeDeposit || 0);
-      totalAdvanceDue += currentAdvanceDue;
-
-      row.eachCell((cell) => {
-        cell.border = {
-          top: { style: 'thin' },
-          left: { style: 'thin' },
-          bottom: { style: 'thin' },
-          right: { style: 'thin' }
-        };
+      row.height = 24;
+      row.eachCell({ includeEmpty: true }, (cell) => {
+        cell.border = border;
       });
 
-      // Color deposit cell in light green if has deposit (deposit is now column 10)
-      if ((bonus.employeeDeposit || 0) > 0) {
-        row.getCell(10).fill = {
-          type: 'pattern',
-          pattern: 'solid',
-          fgColor: { argb: 'FFC8E6C9' }
-        };
-      }
+      totals.wagesEarned += Math.round(statutory.wagesEarned || 0);
+      totals.bonusWages += Math.round(statutory.bonusWages || 0);
+      totals.bonus += bonusPayable;
+      totals.extra += Math.round(bonus.extraBonus || 0);
+      totals.deposit += Math.round(bonus.employeeDeposit || 0);
+      totals.net += net;
     });
 
-    // Total row
     worksheet.addRow([]);
-    const totalRow = worksheet.addRow(['', '', '', '', '', '', '', totalAdvanceDue, '', totalDeposit, totalFinal]);
+    const totalRow = worksheet.addRow(['', '', 'TOTAL:', '', totals.wagesEarned, totals.bonusWages, '', totals.bonus, totals.extra, totals.deposit, totals.net]);
     totalRow.font = { bold: true };
+    totalRow.eachCell((cell) => {
+      cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFD700' } };
+    });
 
-    // Column widths
     worksheet.columns = [
       { width: 8 },
       { width: 12 },
-      { width: 20 },
-      { width: 10 },
+      { width: 22 },
       { width: 12 },
-      { width: 10 },
+      { width: 16 },
+      { width: 16 },
       { width: 10 },
       { width: 14 },
       { width: 12 },
       { width: 14 },
-      { width: 14 }
+      { width: 14 },
+      { width: 35 },
+      { width: 20 }
     ];
 
     const buffer = await workbook.xlsx.writeBuffer();
     const base64 = Buffer.from(buffer).toString('base64');
-    const filename = `bonus_payment_${startYear}_${startMonth}_to_${endYear}_${endMonth}.xlsx`;
+    const filename = `statutory_bonus_register_${label}.xlsx`;
 
     res.json({ base64, filename });
   } catch (error) {
@@ -993,12 +1572,11 @@ router.post('/export/excel', async (req, res) => {
       const payout = Math.round(Number(rec.payout) || 0);
       const newAdvance = Math.round(Number(rec.newAdvance) || 0);
 
-      const base = Math.round(Number(rec.baseBonusAmount) || 0);
       const penalty = Math.round(Number(rec.totalPenalty) || 0);
       const extra = Math.round(Number(rec.extraBonus) || 0);
 
       // Recalculate Gross and Net to ensure accuracy even if UI sent stale totals
-      const grossBonus = Math.max(0, base - penalty + extra);
+      const grossBonus = Math.max(0, Math.round(getPolicyBonus(rec)) + extra);
       const finalAmount = Math.max(0, grossBonus - deposit - payout + newAdvance);
 
       const row = worksheet.addRow([
@@ -1085,7 +1663,7 @@ router.post('/export/excel', async (req, res) => {
   }
 });
 
-// Get all bonuses for a year (placed at end to avoid shadowing routes like /date-range)
+// Get all bonuses for a year, policy ones unless ?mode=statutory (placed at end to avoid shadowing routes like /date-range)
 router.get('/:year', async (req, res) => {
   try {
     const year = parseInt(req.params.year, 10);
@@ -1093,7 +1671,7 @@ router.get('/:year', async (req, res) => {
       return res.status(400).json({ error: 'Invalid year parameter' });
     }
 
-    const bonuses = await Bonus.find({ year })
+    const bonuses = await Bonus.find({ year, ...bonusModeFilter(req.query.mode) })
       .populate('worker', 'name workerId hourlyRate advanceBalance')
       .sort({ 'worker.name': 1 });
 
@@ -1117,7 +1695,7 @@ router.post('/save-bonus-history', async (req, res) => {
       return res.status(400).json({ error: 'Missing required fields: year, periodStart, periodEnd, records' });
     }
 
-    // Process each record and record deposits to advance
+    // Process each record; its deposit and new advance are posted when the history is approved
     const processedRecords = [];
 
     for (const record of records) {
@@ -1132,67 +1710,34 @@ router.post('/save-bonus-history', async (req, res) => {
       const totalPenalty = Number(record.totalPenalty) || 0;
 
       // Recalculate derived amounts to ensure consistency with UI edits
-      // Gross = Base - Penalty + Extra
+      // Gross = Policy bonus (Base - Penalty, capped and rounded) + Extra
       // Net = Gross - Deposit - Payout + New Advance
-      const finalBonusAmount = Math.max(0, baseBonusAmount - totalPenalty + extraBonusAmount);
+      const policyBonus = getPolicyBonus(record);
+      const finalBonusAmount = Math.max(0, policyBonus + extraBonusAmount);
       const amountToGiveEmployee = Math.max(0, finalBonusAmount - depositAmount - payoutAmount + newAdvanceAmount);
 
-      if (depositAmount > 0) {
-        const newBalance = Math.max(0, worker.advanceBalance - depositAmount);
-
-        // Create advance record for the deposit
-        await Advance.create({
-          worker: worker._id,
-          type: 'deposit',
-          amount: depositAmount,
-          date: new Date(),
-          notes: `${worker.name} deposited ₹${depositAmount} from bonus`,
-          balanceAfter: newBalance
-        });
-
-        await Worker.findByIdAndUpdate(worker._id, {
-          advanceBalance: newBalance,
-          $inc: { totalAdvanceRepaid: depositAmount }
-        });
-      }
-
-      if (newAdvanceAmount > 0) {
-        // Fetch fresh worker state to ensure balance is correct
-        const freshWorker = await Worker.findById(worker._id);
-        const currentBalance = freshWorker.advanceBalance || 0;
-        const newBalance = currentBalance + newAdvanceAmount;
-
-        await Advance.create({
-          worker: worker._id,
-          type: 'advance',
-          amount: newAdvanceAmount,
-          date: new Date(),
-          notes: `${worker.name} taken advance ₹${newAdvanceAmount} with bonus`,
-          balanceAfter: newBalance
-        });
-
-        await Worker.findByIdAndUpdate(worker._id, {
-          advanceBalance: newBalance,
-          $inc: { totalAdvanceTaken: newAdvanceAmount }
-        });
-      }
-
       processedRecords.push({
         worker: worker._id,
         workerName: worker.name,
         workerId: worker.workerId,
-        hourlyRate: worker.hourlyRate,
+        hourlyRate: getRateOn(worker, parsePeriodDate(periodEnd)),
         baseBonusAmount,
+        prorationFactor: record.prorationFactor === undefined ? 1 : Number(record.prorationFactor) || 0,
         totalDaysWorked: record.totalDaysWorked || 0,
         totalDaysAbsent: record.totalDaysAbsent || 0,
         totalPenalty,
+        policyBonus,
+        mode: record.mode === 'statutory' ? 'statutory' : 'policy',
+        // Policy version the client calculated the record with
+        policy: record.policy?.name ? { id: record.policy.id || null, name: record.policy.name, version: record.policy.version } : undefined,
         extraBonus: extraBonusAmount,
         deposit: depositAmount,
         payout: payoutAmount,
         newAdvance: newAdvanceAmount,
         finalBonusAmount, // This is Gross (before deposit and payout)
         amountToGiveEmployee, // This is Net (after deposit and payout)
-        advanceBalanceAtSave: worker.advanceBalance
+        advanceBalanceAtSave: worker.advanceBalance,
+        paymentStatus: 'unpaid'
       });
     }
 
@@ -1222,7 +1767,8 @@ router.post('/save-bonus-history', async (req, res) => {
       totalNewAdvance,
       totalFinalAmount,
       notes,
-      isSaved: true
+      isSaved: true,
+      status: 'calculated'
     });
 
     await history.save();
@@ -1233,7 +1779,7 @@ router.post('/save-bonus-history', async (req, res) => {
     });
   } catch (error) {
     console.error('POST /bonus/save-bonus-history error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -1251,7 +1797,10 @@ router.get('/history/all', async (req, res) => {
       .sort({ savedDate: -1 })
       .populate('records.worker', 'name workerId');
 
-    res.json(history);
+    res.json(history.map(h => ({
+      ...h.toObject(),
+      ...summarizeRecordPayments(h, r => r.amountToGiveEmployee)
+    })));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -1273,19 +1822,283 @@ router.get('/history/:id', async (req, res) => {
   }
 });
 
-// Delete a saved bonus history
+// Mark worker lines of an approved bonus history paid (all unpaid lines when workerIds is omitted).
+// The history moves to 'disbursed' once every line is paid.
+const markBonusLinesPaid = async (history, workerIds, body, res) => {
+  if (!['approved', 'disbursed'].includes(history.status)) {
+    return res.status(400).json({ error: 'Approve the bonus before marking workers paid' });
+  }
+
+  const details = parsePaymentDetails(body);
+  if (details.error) {
+    return res.status(400).json({ error: details.error });
+  }
+
+  const records = selectRecords(history, workerIds);
+  if (records.length === 0) {
+    return res.status(404).json({ error: 'No matching workers in this bonus history' });
+  }
+
+  const updated = markRecordsPaid(records, details);
+  if (history.status === 'approved' && history.records.every(r => r.paymentStatus === 'paid')) {
+    history.status = 'disbursed';
+    history.disbursedAt = new Date();
+  }
+  await runInTransaction(async (session) => {
+    await history.save({ session });
+    await recordBonusLinePayments(history, updated, session);
+  });
+
+  res.json({
+    message: `${updated.length} workers marked paid`,
+    history,
+    payments: summarizeRecordPayments(history, r => r.amountToGiveEmployee)
+  });
+};
+
+// Mark a saved bonus history reviewed
+router.post('/history/:id/review', async (req, res) => {
+  try {
+    const history = await BonusHistory.findById(req.params.id);
+    if (!history) {
+      return res.status(404).json({ error: 'Bonus history not found' });
+    }
+
+    const error = advanceBonusCycle(history, 'review', req.body.reviewedBy);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    await history.save();
+
+    res.json({ message: 'Bonus history reviewed', history });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Approve a reviewed bonus history: posts every deposit and new advance in it
+router.post('/history/:id/approve', async (req, res) => {
+  try {
+    const { approvedBy } = req.body;
+    const history = await BonusHistory.findById(req.params.id);
+    if (!history) {
+      return res.status(404).json({ error: 'Bonus history not found' });
+    }
+
+    const error = advanceBonusCycle(history, 'approve', approvedBy);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Validate every deposit and new advance before posting anything
+    const workers = {};
+    const advancePolicy = await getAdvancePolicy();
+    for (const record of history.records) {
+      const worker = await Worker.findById(record.worker);
+      if (!worker) continue;
+      workers[worker._id.toString()] = worker;
+
+      if ((record.deposit || 0) > (worker.advanceBalance || 0)) {
+        return res.status(400).json({ error: `Deposit for ${worker.name} exceeds advance balance` });
+      }
+
+      const advanceError = await checkLineAdvance(worker, record.newAdvance, record.deposit, advancePolicy);
+      if (advanceError) {
+        return res.status(403).json({ error: advanceError });
+      }
+    }
+
+    // Either the whole history is approved or nothing is posted
+    await runInTransaction(async (session) => {
+      // Claim the history so a second approval running at the same time can't post it twice
+      const claimed = await BonusHistory.updateOne(
+        { _id: history._id, status: 'reviewed' },
+        { $set: { status: 'approved' } },
+        { session }
+      );
+      if (claimed.modifiedCount === 0) {
+        throw new MoneyMovementError('Bonus history is no longer awaiting approval', 409);
+      }
+
+      for (const record of history.records) {
+        const worker = workers[record.worker.toString()];
+        if (!worker) continue;
+
+        record.advanceBalanceAtSave = (await Worker.findById(worker._id).select('advanceBalance').session(session)).advanceBalance || 0;
+
+        if (record.deposit > 0) {
+          await postAdvanceMovement({
+            worker: worker._id,
+            type: 'deposit',
+            amount: record.deposit,
+            notes: `${worker.name} deposited ₹${record.deposit} from bonus`,
+            source: { kind: 'BonusHistory', id: history._id }
+          }, session);
+        }
+
+        if (record.newAdvance > 0) {
+          await postAdvanceMovement({
+            worker: worker._id,
+            type: 'advance',
+            amount: record.newAdvance,
+            notes: `${worker.name} taken advance ₹${record.newAdvance} with bonus`,
+            source: { kind: 'BonusHistory', id: history._id }
+          }, session);
+        }
+      }
+
+      history.totalAdvanceDue = history.records.reduce((sum, r) => sum + (r.advanceBalanceAtSave || 0), 0);
+      await history.save({ session });
+    });
+
+    res.json({ message: 'Bonus history approved', history });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Disburse an approved bonus history: lines not yet marked paid are paid now
+// (payment mode/reference are optional here)
+router.post('/history/:id/disburse', async (req, res) => {
+  try {
+    const history = await BonusHistory.findById(req.params.id);
+    if (!history) {
+      return res.status(404).json({ error: 'Bonus history not found' });
+    }
+
+    if (history.status !== 'approved') {
+      return res.status(400).json({ error: `Only approved bonuses can be disbursed (current status: ${history.status})` });
+    }
+
+    const details = req.body.paymentMode ? parsePaymentDetails(req.body) : { paidDate: new Date() };
+    if (details.error) {
+      return res.status(400).json({ error: details.error });
+    }
+    const paidRecords = markRecordsPaid(history.records, details);
+
+    history.status = 'disbursed';
+    history.disbursedAt = new Date();
+    await runInTransaction(async (session) => {
+      await history.save({ session });
+      await recordBonusLinePayments(history, paidRecords, session);
+    });
+
+    res.json({ message: 'Bonus history disbursed', history });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Mark several (or all) workers in a bonus history paid
+router.post('/history/:id/mark-paid', async (req, res) => {
+  try {
+    const history = await BonusHistory.findById(req.params.id);
+    if (!history) {
+      return res.status(404).json({ error: 'Bonus history not found' });
+    }
+
+    await markBonusLinesPaid(history, req.body.workerIds, req.body, res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mark one worker in a bonus history paid
+router.post('/history/:id/records/:workerId/mark-paid', async (req, res) => {
+  try {
+    const history = await BonusHistory.findById(req.params.id);
+    if (!history) {
+      return res.status(404).json({ error: 'Bonus history not found' });
+    }
+
+    await markBonusLinesPaid(history, [req.params.workerId], req.body, res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Clear the paid mark on worker lines (a disbursed history goes back to approved)
+router.post('/history/:id/mark-unpaid', async (req, res) => {
+  try {
+    const { workerIds } = req.body;
+    const history = await BonusHistory.findById(req.params.id);
+    if (!history) {
+      return res.status(404).json({ error: 'Bonus history not found' });
+    }
+
+    if (!Array.isArray(workerIds) || workerIds.length === 0) {
+      return res.status(400).json({ error: 'workerIds is required' });
+    }
+
+    const updated = markRecordsUnpaid(selectRecords(history, workerIds));
+    if (updated.length > 0 && history.status === 'disbursed') {
+      history.status = 'approved';
+      history.disbursedAt = undefined;
+    }
+    await runInTransaction(async (session) => {
+      await history.save({ session });
+      await removeSourcePayments('BonusHistory', history._id, updated.map(r => r.worker), session);
+    });
+
+    res.json({
+      message: `${updated.length} workers marked unpaid`,
+      history,
+      payments: summarizeRecordPayments(history, r => r.amountToGiveEmployee)
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Advance movements a bonus history generated (deposits/new advances posted on approval and edit adjustments)
+router.get('/history/:id/advance-movements', async (req, res) => {
+  try {
+    const history = await BonusHistory.findById(req.params.id).select('_id');
+    if (!history) return res.status(404).json({ error: 'Bonus history not found' });
+
+    res.json(await listSourceMovements('BonusHistory', history._id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Deposits and new advances of a bonus history are posted once it is approved
+const isHistoryPosted = (history) => ['approved', 'disbursed'].includes(history.status);
+
+// Preview what deleting a bonus history reverses: advance entries removed or compensated
+// and each worker's balance and totals before/after
+router.get('/history/:id/delete-preview', async (req, res) => {
+  try {
+    const history = await BonusHistory.findById(req.params.id);
+    if (!history) return res.status(404).json({ error: 'Bonus history not found' });
+
+    const reversal = await planHistoryReversal('BonusHistory', history, { posted: isHistoryPosted(history) });
+    res.json({ history: { _id: history._id, year: history.year, periodStart: history.periodStart, periodEnd: history.periodEnd }, ...reversal });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a saved bonus history and reverse the deposits/new advances it posted
 router.delete('/history/:id', async (req, res) => {
   try {
     const history = await BonusHistory.findById(req.params.id);
     if (!history) return res.status(404).json({ error: 'Bonus history not found' });
 
-    await BonusHistory.findByIdAndDelete(req.params.id);
+    const reversal = await planHistoryReversal('BonusHistory', history, { posted: isHistoryPosted(history) });
+    if (reversal.blocked.length > 0) {
+      return res.status(409).json({ error: reversal.blocked.join('; '), reversal });
+    }
+
+    await runInTransaction(async (session) => {
+      await executeHistoryReversal('BonusHistory', history, reversal, session);
+      await BonusHistory.findByIdAndDelete(req.params.id, { session });
+    });
 
-    // Note: We do not attempt to revert advance transactions here. Deleting a snapshot removes the saved report only.
-    res.json({ message: 'Bonus history deleted' });
+    res.json({ message: 'Bonus history deleted', reversal });
   } catch (error) {
     console.error('DELETE /bonus/history/:id error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -1303,6 +2116,17 @@ router.put('/history/:id', async (req, res) => {
       return res.status(400).json({ error: 'Invalid or missing records array' });
     }
 
+    // Lines already paid out can't be changed; mark them unpaid first
+    const paidLine = newRecords
+      .map(newRec => history.records.find(r => r.worker.toString() === newRec.workerId || r.workerId === newRec.workerId))
+      .find(r => r && r.paymentStatus === 'paid');
+    if (paidLine) {
+      return res.status(403).json({ error: `${paidLine.workerName} has already been paid; mark the line unpaid before editing it` });
+    }
+
+    // Work out each line's correction first (in memory), so a retried transaction posts the same movements
+    const corrections = [];
+    const advancePolicy = await getAdvancePolicy();
     for (const newRec of newRecords) {
       const oldRec = history.records.find(r => r.worker.toString() === newRec.workerId || r.workerId === newRec.workerId);
 
@@ -1311,36 +2135,29 @@ router.put('/history/:id', async (req, res) => {
       const worker = await Worker.findById(oldRec.worker);
       if (!worker) continue;
 
-      let balanceChange = 0;
-
       // Calculate differences
       const depositDiff = (newRec.deposit || 0) - (oldRec.deposit || 0);
       const newAdvanceDiff = (newRec.newAdvance || 0) - (oldRec.newAdvance || 0);
 
-      // deposit decreases advance balance
-      balanceChange -= depositDiff;
-      // newAdvance increases advance balance
-      balanceChange += newAdvanceDiff;
+      // deposit decreases advance balance, newAdvance increases it
+      const balanceChange = newAdvanceDiff - depositDiff;
 
-      if (balanceChange !== 0) {
-        const currentBalance = worker.advanceBalance || 0;
-        const newBalance = currentBalance + balanceChange;
+      // Nothing is posted before approval, so unapproved edits only change the lines
+      // (their new advances are checked on approval)
+      if (newAdvanceDiff > 0 && isHistoryPosted(history)) {
+        const advanceError = await checkLineAdvance(worker, newAdvanceDiff, depositDiff, advancePolicy);
+        if (advanceError) {
+          return res.status(403).json({ error: advanceError });
+        }
+      }
 
-        await Advance.create({
+      if (balanceChange !== 0 && isHistoryPosted(history)) {
+        corrections.push({
           worker: worker._id,
           type: balanceChange > 0 ? 'advance' : 'deposit',
           amount: Math.abs(balanceChange),
-          date: new Date(),
           notes: `Adjustment from editing Bonus History (Diff: Deposit ${depositDiff}, NewAdv: ${newAdvanceDiff})`,
-          balanceAfter: newBalance
-        });
-
-        await Worker.findByIdAndUpdate(worker._id, {
-          advanceBalance: newBalance,
-          $inc: {
-            totalAdvanceTaken: newAdvanceDiff > 0 ? newAdvanceDiff : 0,
-            totalAdvanceRepaid: depositDiff > 0 ? depositDiff : 0
-          }
+          source: { kind: 'BonusHistory', id: history._id }
         });
       }
 
@@ -1350,9 +2167,7 @@ router.put('/history/:id', async (req, res) => {
       oldRec.extraBonus = newRec.extraBonus || 0;
 
       // Recalculate final amounts for bonus
-      const base = oldRec.baseBonusAmount || 0;
-      const penalty = oldRec.totalPenalty || 0;
-      oldRec.finalBonusAmount = Math.max(0, base - penalty + oldRec.extraBonus);
+      oldRec.finalBonusAmount = Math.max(0, getPolicyBonus(oldRec) + oldRec.extraBonus);
       oldRec.amountToGiveEmployee = Math.max(0, oldRec.finalBonusAmount - oldRec.deposit - oldRec.payout + oldRec.newAdvance);
     }
 
@@ -1363,10 +2178,24 @@ router.put('/history/:id', async (req, res) => {
     history.totalExtraBonus = history.records.reduce((sum, r) => sum + (r.extraBonus || 0), 0);
     history.totalFinalAmount = history.records.reduce((sum, r) => sum + (r.amountToGiveEmployee || 0), 0);
 
-    await history.save();
+    // A reviewed history that is edited needs reviewing again
+    if (history.status === 'reviewed') {
+      history.status = 'calculated';
+      history.reviewedAt = undefined;
+      history.reviewedBy = undefined;
+    }
+
+    // All corrections and the edited history are saved together or not at all
+    await runInTransaction(async (session) => {
+      for (const correction of corrections) {
+        await postAdvanceMovement(correction, session);
+      }
+      await history.save({ session });
+    });
+
     res.json(history);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    res.status(error.status || 400).json({ error: error.message });
   }
 });
 
@@ -1542,4 +2371,106 @@ router.get('/export/history/:historyId', async (req, res) => {
   }
 });
 
+// Bulk NEFT/IMPS upload file for a saved bonus history.
+// Query: format (generic, hdfc, icici, sbi, axis), mode (NEFT/IMPS), paymentDate (YYYY-MM-DD), debitAccount.
+// Workers with missing or invalid bank details are returned separately for cash payment.
+router.get('/export/bank-file/:historyId', async (req, res) => {
+  try {
+    const history = await BonusHistory.findById(req.params.historyId);
+
+    if (!history) {
+      return res.status(404).json({ error: 'Bonus history not found' });
+    }
+
+    const options = await getBankFileOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    const startDateStr = formatExcelDate(history.periodStart);
+    const endDateStr = formatExcelDate(history.periodEnd);
+    const { bankPayments, cashPayments } = await splitBankPayments(
+      history.records,
+      record => record.amountToGiveEmployee,
+      `Bonus ${endDateStr}`
+    );
+
+    const content = buildBankFile(options.format, bankPayments, options);
+    const base64 = Buffer.from(content).toString('base64');
+    const filename = `bonus_bank_${options.format}_${startDateStr.replace(/\//g, '-')}_to_${endDateStr.replace(/\//g, '-')}.csv`;
+
+    res.json({
+      base64,
+      filename,
+      format: options.format,
+      mode: options.mode,
+      bankCount: bankPayments.length,
+      bankTotal: bankPayments.reduce((sum, p) => sum + p.amount, 0),
+      cashPayments,
+      cashTotal: cashPayments.reduce((sum, p) => sum + p.amount, 0)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cash payout denomination breakdown for a saved bonus history.
+// Query: denominations (e.g. 500,200,100; defaults to settings), cashOnly=true to skip workers paid by bank
+router.get('/cash-payout/:historyId', async (req, res) => {
+  try {
+    const history = await BonusHistory.findById(req.params.historyId);
+
+    if (!history) {
+      return res.status(404).json({ error: 'Bonus history not found' });
+    }
+
+    const { denominations, error } = await getDenominations(req.query.denominations);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const payout = await buildCashPayout(history.records, record => record.amountToGiveEmployee, denominations, req.query.cashOnly === 'true');
+    res.json(payout);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export the cash payout sheet (type=excel or pdf) with a signature column per worker
+router.get('/export/cash-payout/:historyId', async (req, res) => {
+  try {
+    const history = await BonusHistory.findById(req.params.historyId);
+
+    if (!history) {
+      return res.status(404).json({ error: 'Bonus history not found' });
+    }
+
+    const type = req.query.type || 'excel';
+    if (!['excel', 'pdf'].includes(type)) {
+      return res.status(400).json({ error: 'type must be excel or pdf' });
+    }
+
+    const { denominations, error } = await getDenominations(req.query.denominations);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const payout = await buildCashPayout(history.records, record => record.amountToGiveEmployee, denominations, req.query.cashOnly === 'true');
+    const settings = await Settings.findOne({ key: 'general' });
+    const startDateStr = formatExcelDate(history.periodStart);
+    const endDateStr = formatExcelDate(history.periodEnd);
+    const title = `Bonus Cash Payout (${startDateStr} to ${endDateStr})`;
+
+    const buffer = type === 'pdf'
+      ? await renderCashPayoutPdf(payout, title, settings?.companyName)
+      : await renderCashPayoutExcel(payout, title, settings?.companyName);
+    const base64 = Buffer.from(buffer).toString('base64');
+    const filename = `bonus_cash_payout_${startDateStr.replace(/\//g, '-')}_to_${endDateStr.replace(/\//g, '-')}.${type === 'pdf' ? 'pdf' : 'xlsx'}`;
+
+    res.json({ base64, filename });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 export default router;
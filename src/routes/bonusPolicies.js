@@ -0,0 +1,116 @@
+import express from 'express';
+import BonusPolicy from '../models/BonusPolicy.js';
+import { validatePolicyRules, findLatestPolicy } from '../utils/bonusPolicy.js';
+
+const router = express.Router();
+
+// List bonus policies: the latest version of each name (?all=true for every version)
+router.get('/', async (req, res) => {
+  try {
+    const policies = await BonusPolicy.find().sort({ name: 1, version: -1 });
+    if (req.query.all === 'true') {
+      return res.json({ policies });
+    }
+
+    const seen = new Set();
+    const latest = policies.filter(policy => {
+      if (seen.has(policy.name)) return false;
+      seen.add(policy.name);
+      return true;
+    });
+    res.json({ policies: latest });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Latest version of a policy with its full version history
+router.get('/:name', async (req, res) => {
+  try {
+    const versions = await BonusPolicy.find({ name: req.params.name }).sort({ version: -1 });
+    if (versions.length === 0) {
+      return res.status(404).json({ error: 'Bonus policy not found' });
+    }
+    res.json({ policy: versions[0], versions });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a new policy (version 1)
+router.post('/', async (req, res) => {
+  try {
+    const name = req.body.name ? String(req.body.name).trim() : '';
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (name === 'built-in') {
+      return res.status(400).json({ error: "'built-in' is reserved for calculations made without a saved policy" });
+    }
+    if (await BonusPolicy.exists({ name })) {
+      return res.status(409).json({ error: `Bonus policy '${name}' already exists; save a new version instead` });
+    }
+
+    const { rules, error } = validatePolicyRules(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const isDefault = req.body.isDefault === true;
+    if (isDefault) await BonusPolicy.updateMany({ isDefault: true }, { isDefault: false });
+
+    const policy = await BonusPolicy.create({ name, version: 1, ...rules, isDefault, createdBy: req.body.createdBy });
+    res.status(201).json({ success: true, policy });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Save a new version of a policy. Fields left out of the body keep their value from the
+// latest version; earlier versions are never changed so past calculations stay traceable.
+router.post('/:name/versions', async (req, res) => {
+  try {
+    const latest = await findLatestPolicy(req.params.name);
+    if (!latest) {
+      return res.status(404).json({ error: 'Bonus policy not found' });
+    }
+
+    const { rules, error } = validatePolicyRules(req.body, latest.toObject());
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const policy = await BonusPolicy.create({
+      name: latest.name,
+      version: latest.version + 1,
+      ...rules,
+      isDefault: latest.isDefault,
+      createdBy: req.body.createdBy
+    });
+    res.status(201).json({ success: true, policy });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Another version of this policy was saved at the same time; reload and try again' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Make a policy the default for calculations that don't name one
+router.put('/:name/default', async (req, res) => {
+  try {
+    if (!(await BonusPolicy.exists({ name: req.params.name }))) {
+      return res.status(404).json({ error: 'Bonus policy not found' });
+    }
+
+    await BonusPolicy.updateMany({ isDefault: true, name: { $ne: req.params.name } }, { isDefault: false });
+    await BonusPolicy.updateMany({ name: req.params.name }, { isDefault: true });
+
+    const policy = await findLatestPolicy(req.params.name);
+    res.json({ success: true, policy });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -2,6 +2,8 @@ import express from 'express';
 import DailyEntry from '../models/DailyEntry.js';
 import Worker from '../models/Worker.js';
 import Holiday from '../models/Holiday.js';
+import { getOvertimeConfig, isOffDay, calculateEntryPay, getRateOn } from '../utils/pay.js';
+import { getLockedWorkerIds } from '../utils/payroll.js';
 
 const router = express.Router();
 
@@ -92,7 +94,7 @@ router.get('/daily/:date', async (req, res) => {
         _id: worker._id,
         name: worker.name,
         workerId: worker.workerId,
-        hourlyRate: worker.hourlyRate,
+        hourlyRate: getRateOn(worker, dayStart),
         dailyWorkingHours: worker.dailyWorkingHours
       },
       entry: entryMap[worker._id.toString()] || null
@@ -130,6 +132,19 @@ router.post('/bulk', async (req, res) => {
     rangeEnd.setHours(23, 59, 59, 999);
     console.log('🌐 [SERVER] Date range:', { rangeStart, rangeEnd });
 
+    // Refuse edits for workers whose payroll run for this date is locked
+    const lockedIds = await getLockedWorkerIds(entries.map(e => e.workerId).filter(Boolean), rangeStart);
+    if (lockedIds.size > 0) {
+      return res.status(403).json({
+        error: 'Payroll for this date is locked for some workers',
+        lockedWorkers: Array.from(lockedIds)
+      });
+    }
+
+    const overtimeConfig = await getOvertimeConfig();
+    const holiday = await Holiday.findOne({ date: { $gte: rangeStart, $lte: rangeEnd } });
+    const offDay = isOffDay(rangeStart, overtimeConfig, holiday);
+
     const results = [];
 
     for (const entry of entries) {
@@ -139,13 +154,8 @@ router.post('/bulk', async (req, res) => {
       const worker = await Worker.findById(workerId);
       if (!worker) continue;
 
-      // Calculate pay
-      let totalPay = 0;
-      const hourlyRate = worker.hourlyRate || (worker.dailyPay ? worker.dailyPay / (worker.dailyWorkingHours || 8) : 0);
-
-      if (['present', 'holiday', 'half-day'].includes(status)) {
-         totalPay = (hoursWorked || 0) * hourlyRate;
-      }
+      // Rate in force on this date (not today's rate)
+      const hourlyRate = getRateOn(worker, rangeStart);
 
       // Find existing entry in range to avoid duplicates AND CLEAN UP DUPLICATES
       const existingEntries = await DailyEntry.find({
@@ -162,11 +172,21 @@ router.post('/bulk', async (req, res) => {
       const hoursValue = typeof hoursWorked === 'number' ? hoursWorked : (parseFloat(hoursWorked) >= 0 ? parseFloat(hoursWorked) : 0);
       console.log(`🌐 [SERVER] Worker ${workerId}: hoursWorked input = ${hoursWorked}, converted = ${hoursValue}`);
 
+      // Calculate pay (regular + overtime)
+      const pay = calculateEntryPay({
+        status,
+        hoursWorked: hoursValue,
+        dailyWorkingHours: worker.dailyWorkingHours,
+        hourlyRate,
+        offDay,
+        config: overtimeConfig
+      });
+
       if (dailyEntry) {
         console.log(`🌐 [SERVER] Updating existing entry ${dailyEntry._id} for worker ${workerId}`);
         dailyEntry.status = status;
         dailyEntry.hoursWorked = hoursValue;
-        dailyEntry.totalPay = totalPay;
+        Object.assign(dailyEntry, pay);
         // Normalize date to prevent future fuzzy matching issues
         dailyEntry.date = rangeStart;
         if (notes !== undefined) dailyEntry.notes = notes;
@@ -191,7 +211,7 @@ router.post('/bulk', async (req, res) => {
           date: rangeStart, // Normalize to midnight
           status,
           hoursWorked: hoursValue,
-          totalPay,
+          ...pay,
           notes
         });
         await dailyEntry.save();
@@ -239,14 +259,14 @@ router.post('/', async (req, res) => {
     const rangeEnd = new Date(rangeStart);
     rangeEnd.setHours(23, 59, 59, 999);
 
-    // Calculate pay
-    let totalPay = 0;
-    const hourlyRate = worker.hourlyRate || (worker.dailyPay ? worker.dailyPay / (worker.dailyWorkingHours || 8) : 0);
-
-    if (['present', 'holiday', 'half-day'].includes(status)) {
-       totalPay = (hoursWorked || 0) * hourlyRate;
+    const lockedIds = await getLockedWorkerIds([workerId], rangeStart);
+    if (lockedIds.size > 0) {
+      return res.status(403).json({ error: `Payroll for ${worker.name} is locked for this date` });
     }
 
+    // Rate in force on this date (not today's rate)
+    const hourlyRate = getRateOn(worker, rangeStart);
+
     // Find existing entry in range
     let dailyEntry = await DailyEntry.findOne({
       worker: workerId,
@@ -255,10 +275,22 @@ router.post('/', async (req, res) => {
 
     const hoursValue = typeof hoursWorked === 'number' ? hoursWorked : (parseFloat(hoursWorked) >= 0 ? parseFloat(hoursWorked) : 0);
 
+    // Calculate pay (regular + overtime)
+    const overtimeConfig = await getOvertimeConfig();
+    const holiday = await Holiday.findOne({ date: { $gte: rangeStart, $lte: rangeEnd } });
+    const pay = calculateEntryPay({
+      status: status || 'present',
+      hoursWorked: hoursValue,
+      dailyWorkingHours: worker.dailyWorkingHours,
+      hourlyRate,
+      offDay: isOffDay(rangeStart, overtimeConfig, holiday),
+      config: overtimeConfig
+    });
+
     if (dailyEntry) {
       dailyEntry.status = status || 'present';
       dailyEntry.hoursWorked = hoursValue;
-      dailyEntry.totalPay = totalPay;
+      Object.assign(dailyEntry, pay);
       if (notes !== undefined) dailyEntry.notes = notes;
       await dailyEntry.save();
     } else {
@@ -267,7 +299,7 @@ router.post('/', async (req, res) => {
         date: rangeStart,
         status: status || 'present',
         hoursWorked: hoursValue,
-        totalPay,
+        ...pay,
         notes
       });
       await dailyEntry.save();
@@ -307,6 +339,17 @@ router.post('/mark-holiday', async (req, res) => {
     const rangeEnd = new Date(rangeStart);
     rangeEnd.setHours(23, 59, 59, 999);
 
+    // Get all active workers
+    const workers = await Worker.find({ isActive: true });
+
+    const lockedIds = await getLockedWorkerIds(workers.map(w => w._id), rangeStart);
+    if (lockedIds.size > 0) {
+      return res.status(403).json({
+        error: 'Payroll for this date is locked for some workers',
+        lockedWorkers: Array.from(lockedIds)
+      });
+    }
+
     // Create or update holiday
     // Check if holiday exists in range
     let holiday = await Holiday.findOne({
@@ -320,13 +363,19 @@ router.post('/mark-holiday', async (req, res) => {
       await Holiday.create({ date: rangeStart, name: holidayName || 'Holiday' });
     }
 
-    // Get all active workers
-    const workers = await Worker.find({ isActive: true });
+    const overtimeConfig = await getOvertimeConfig();
 
     // Create entries for all workers with full day pay
     for (const worker of workers) {
-      const hourlyRate = worker.hourlyRate || (worker.dailyPay ? worker.dailyPay / worker.dailyWorkingHours : 0);
-      const totalPay = hourlyRate * worker.dailyWorkingHours;
+      const hourlyRate = getRateOn(worker, rangeStart);
+      const pay = calculateEntryPay({
+        status: 'holiday',
+        hoursWorked: worker.dailyWorkingHours,
+        dailyWorkingHours: worker.dailyWorkingHours,
+        hourlyRate,
+        offDay: true,
+        config: overtimeConfig
+      });
 
       let dailyEntry = await DailyEntry.findOne({
         worker: worker._id,
@@ -336,7 +385,7 @@ router.post('/mark-holiday', async (req, res) => {
       if (dailyEntry) {
         dailyEntry.status = 'holiday';
         dailyEntry.hoursWorked = worker.dailyWorkingHours;
-        dailyEntry.totalPay = totalPay;
+        Object.assign(dailyEntry, pay);
         dailyEntry.notes = holidayName || 'Holiday';
         await dailyEntry.save();
       } else {
@@ -345,7 +394,7 @@ router.post('/mark-holiday', async (req, res) => {
           date: rangeStart,
           status: 'holiday',
           hoursWorked: worker.dailyWorkingHours,
-          totalPay,
+          ...pay,
           notes: holidayName || 'Holiday'
         });
       }
@@ -360,11 +409,18 @@ router.post('/mark-holiday', async (req, res) => {
 // Delete entry
 router.delete('/:id', async (req, res) => {
   try {
-    const entry = await DailyEntry.findByIdAndDelete(req.params.id);
+    const entry = await DailyEntry.findById(req.params.id);
     if (!entry) {
       return res.status(404).json({ error: 'Entry not found' });
     }
 
+    const lockedIds = await getLockedWorkerIds([entry.worker], entry.date);
+    if (lockedIds.size > 0) {
+      return res.status(403).json({ error: 'Payroll for this date is locked' });
+    }
+
+    await DailyEntry.findByIdAndDelete(entry._id);
+
     // Update worker stats
     const presentCount = await DailyEntry.countDocuments({
       worker: entry.worker,
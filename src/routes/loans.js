@@ -0,0 +1,489 @@
+import express from 'express';
+import ExcelJS from 'exceljs';
+import Loan from '../models/Loan.js';
+import Worker from '../models/Worker.js';
+import Settings from '../models/Settings.js';
+import { recordPayment, removeSourcePayments } from '../utils/ledger.js';
+import { MoneyMovementError, runInTransaction } from '../utils/advanceMovements.js';
+import { parsePeriodDate } from '../utils/dates.js';
+import {
+  validateLoanTerms,
+  buildAmortizationSchedule,
+  allocateRepayments,
+  applyLoanRepayment,
+  getPlannedLoanDeductions,
+  buildLoanStatement
+} from '../utils/loans.js';
+
+const router = express.Router();
+
+// Helper function to format dates consistently for Excel (dd/mm/yyyy)
+const formatExcelDate = (date) => {
+  if (!date) return '';
+  const d = new Date(date);
+  if (isNaN(d.getTime())) return '';
+  const day = String(d.getDate()).padStart(2, '0');
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const year = d.getFullYear();
+  return `${day}/${month}/${year}`;
+};
+
+const border = {
+  top: { style: 'thin' },
+  left: { style: 'thin' },
+  bottom: { style: 'thin' },
+  right: { style: 'thin' }
+};
+
+// Get all loans (filters: workerId, status)
+router.get('/', async (req, res) => {
+  try {
+    const { workerId, status } = req.query;
+    const filter = {};
+    if (workerId) filter.worker = workerId;
+    if (status) filter.status = status;
+
+    const loans = await Loan.find(filter)
+      .select('-schedule -repayments')
+      .populate('worker', 'name workerId')
+      .sort({ disbursedDate: -1 });
+
+    res.json(loans);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Amortization schedule for the given terms, without creating a loan
+router.post('/preview', (req, res) => {
+  const { terms, error } = validateLoanTerms(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  res.json({ ...terms, ...buildAmortizationSchedule(terms) });
+});
+
+// Disburse a loan to a worker.
+// Body: { workerId, principal, interestMethod, interestRate, fee, tenureMonths, disbursedDate, firstDueDate, notes, paymentMode }
+router.post('/', async (req, res) => {
+  try {
+    const { workerId, notes, paymentMode } = req.body;
+
+    const worker = await Worker.findById(workerId);
+    if (!worker) {
+      return res.status(404).json({ error: 'Worker not found' });
+    }
+    if (!worker.isActive) {
+      return res.status(403).json({ error: `${worker.name} is inactive; loans can only be given to active workers` });
+    }
+
+    const { terms, error } = validateLoanTerms(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const amortization = buildAmortizationSchedule(terms);
+
+    const loan = await runInTransaction(async (session) => {
+      const [created] = await Loan.create([{
+        worker: worker._id,
+        ...terms,
+        ...amortization,
+        outstanding: amortization.totalPayable,
+        notes
+      }], { session });
+
+      // The principal handed over is a payout
+      await recordPayment({
+        worker: worker._id,
+        type: 'loan',
+        amount: terms.principal,
+        date: terms.disbursedDate,
+        paymentMode,
+        source: { kind: 'Loan', id: created._id },
+        notes
+      }, session);
+
+      return created;
+    });
+
+    const populatedLoan = await Loan.findById(loan._id).populate('worker', 'name workerId');
+    res.status(201).json(populatedLoan);
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+});
+
+// EMIs due from each worker's active loans for a salary run ending on ?periodEnd (YYYY-MM-DD)
+router.get('/due', async (req, res) => {
+  try {
+    const asOf = req.query.periodEnd ? parsePeriodDate(req.query.periodEnd) : new Date();
+    if (isNaN(asOf.getTime())) {
+      return res.status(400).json({ error: 'Invalid date format' });
+    }
+    asOf.setHours(23, 59, 59, 999);
+
+    const workerIds = (await Loan.distinct('worker', { status: 'active' })).map(String);
+    // No wages to cap against here, so the full amount due is shown
+    const planned = await getPlannedLoanDeductions(new Map(workerIds.map(id => [id, Infinity])), asOf);
+    const workers = await Worker.find({ _id: { $in: workerIds } }).select('name workerId').sort({ name: 1 });
+
+    res.json(workers
+      .map(worker => ({
+        worker: worker._id,
+        name: worker.name,
+        workerId: worker.workerId,
+        ...planned.get(worker._id.toString())
+      }))
+      .filter(row => row.amount > 0));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Loans for a worker
+router.get('/worker/:workerId', async (req, res) => {
+  try {
+    const worker = await Worker.findById(req.params.workerId);
+    if (!worker) {
+      return res.status(404).json({ error: 'Worker not found' });
+    }
+
+    const loans = await Loan.find({ worker: worker._id }).sort({ disbursedDate: -1 });
+    const active = loans.filter(loan => loan.status === 'active');
+
+    res.json({
+      worker: { _id: worker._id, name: worker.name, workerId: worker.workerId },
+      totalOutstanding: active.reduce((sum, loan) => sum + loan.outstanding, 0),
+      loans
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Statement for one loan: disbursement, repayments with running outstanding and the schedule
+router.get('/:id/statement', async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id).populate('worker', 'name workerId');
+    if (!loan) {
+      return res.status(404).json({ error: 'Loan not found' });
+    }
+
+    res.json({ loan, ...buildLoanStatement(loan) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get one loan with its schedule and repayments
+router.get('/:id', async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id).populate('worker', 'name workerId');
+    if (!loan) {
+      return res.status(404).json({ error: 'Loan not found' });
+    }
+
+    res.json(loan);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Record a repayment made directly (outside a salary run), with its line in the payments ledger.
+// Body: { amount, date, notes, paymentMode }
+router.post('/:id/repay', async (req, res) => {
+  try {
+    const { notes, paymentMode } = req.body;
+    const amount = Number(req.body.amount);
+    if (!(amount > 0)) {
+      return res.status(400).json({ error: 'amount must be greater than 0' });
+    }
+
+    const date = req.body.date ? parsePeriodDate(req.body.date) : new Date();
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({ error: 'Invalid date format' });
+    }
+
+    // Read and updated in one transaction, so two repayments at the same time can't both
+    // pass the outstanding check
+    const loan = await runInTransaction(async (session) => {
+      const current = await Loan.findById(req.params.id).session(session);
+      if (!current) {
+        throw new MoneyMovementError('Loan not found', 404);
+      }
+
+      applyLoanRepayment(current, { amount, date, source: { kind: 'manual' }, notes });
+      await current.save({ session });
+
+      await recordPayment({
+        worker: current.worker,
+        type: 'loan_repayment',
+        amount,
+        date,
+        paymentMode,
+        source: { kind: 'Loan', id: current._id },
+        notes
+      }, session);
+
+      return current;
+    });
+
+    res.json(loan);
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+});
+
+// Cancel a loan entered by mistake (only while nothing has been repaid)
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id);
+    if (!loan) {
+      return res.status(404).json({ error: 'Loan not found' });
+    }
+    if (loan.status !== 'active') {
+      return res.status(400).json({ error: `Loan is already ${loan.status}` });
+    }
+    if (loan.repayments.length > 0) {
+      return res.status(400).json({ error: 'Cannot cancel a loan that has repayments' });
+    }
+
+    loan.status = 'cancelled';
+    loan.notes = [loan.notes, req.body.reason && `Cancelled: ${req.body.reason}`].filter(Boolean).join(' | ');
+    allocateRepayments(loan);
+
+    await runInTransaction(async (session) => {
+      await loan.save({ session });
+      await removeSourcePayments('Loan', loan._id, null, session);
+    });
+
+    res.json(loan);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Export one loan's statement: terms, transactions and amortization schedule
+router.get('/export/:id/statement', async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id).populate('worker', 'name workerId');
+    if (!loan) {
+      return res.status(404).json({ error: 'Loan not found' });
+    }
+    const statement = buildLoanStatement(loan);
+
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Loan Statement');
+
+    // Optional company name at top
+    const settings = await Settings.findOne({ key: 'general' });
+    if (settings && settings.companyName) {
+      worksheet.mergeCells('A1:G1');
+      worksheet.getCell('A1').value = settings.companyName;
+      worksheet.getCell('A1').font = { bold: true, size: 18 };
+      worksheet.getCell('A1').alignment = { horizontal: 'center' };
+    }
+
+    const titleRow = worksheet.addRow([`Loan Statement - ${loan.worker?.name || ''} (${loan.worker?.workerId || ''})`]);
+    worksheet.mergeCells(`A${titleRow.number}:G${titleRow.number}`);
+    titleRow.getCell(1).font = { bold: true, size: 16 };
+    titleRow.getCell(1).alignment = { horizontal: 'center' };
+    worksheet.addRow([]);
+
+    // Loan terms
+    [
+      ['Disbursed', formatExcelDate(loan.disbursedDate)],
+      ['Principal (₹)', loan.principal],
+      ['Interest', `${loan.interestRate}% p.a. (${loan.interestMethod})`],
+      ['Fee (₹)', loan.fee || 0],
+      ['Tenure', `${loan.tenureMonths} months`],
+      ['EMI (₹)', loan.emiAmount],
+      ['Total Payable (₹)', loan.totalPayable],
+      ['Repaid (₹)', loan.amountRepaid],
+      ['Outstanding (₹)', loan.outstanding],
+      ['Overdue (₹)', statement.overdueAmount],
+      ['Status', loan.status]
+    ].forEach(([label, value]) => {
+      const row = worksheet.addRow([label, value]);
+      row.getCell(1).font = { bold: true };
+    });
+    worksheet.addRow([]);
+
+    const addHeader = (headers) => {
+      const headerRow = worksheet.addRow(headers);
+      headerRow.font = { bold: true };
+      headerRow.eachCell((cell) => {
+        cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+        cell.border = border;
+        cell.alignment = { horizontal: 'center' };
+      });
+    };
+
+    // Transactions
+    worksheet.addRow(['Transactions']).font = { bold: true, size: 12 };
+    addHeader(['Date', 'Type', 'Description', 'Debit (₹)', 'Credit (₹)', 'Outstanding (₹)']);
+    statement.transactions.forEach(t => {
+      const row = worksheet.addRow([
+        formatExcelDate(t.date),
+        t.type === 'disbursement' ? 'Disbursement' : t.type === 'salary_deduction' ? 'Salary deduction' : 'Repayment',
+        t.description,
+        t.debit || '',
+        t.credit || '',
+        t.outstanding
+      ]);
+      row.eachCell({ includeEmpty: true }, (cell) => {
+        cell.border = border;
+      });
+    });
+    worksheet.addRow([]);
+
+    // Amortization schedule
+    worksheet.addRow(['Amortization Schedule']).font = { bold: true, size: 12 };
+    addHeader(['No.', 'Due Date', 'Principal (₹)', 'Interest (₹)', 'Fee (₹)', 'EMI (₹)', 'Paid (₹)', 'Status']);
+    loan.schedule.forEach(installment => {
+      const row = worksheet.addRow([
+        installment.installmentNo,
+        formatExcelDate(installment.dueDate),
+        installment.principal,
+        installment.interest,
+        installment.fee,
+        installment.emi,
+        installment.paidAmount,
+        installment.status
+      ]);
+      row.eachCell({ includeEmpty: true }, (cell) => {
+        cell.border = border;
+        cell.alignment = { horizontal: 'center' };
+      });
+      // Unpaid installments already due
+      if (installment.status !== 'paid' && new Date(installment.dueDate) < new Date() && loan.status === 'active') {
+        row.eachCell((cell) => {
+          cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFE0E0' } };
+        });
+      }
+    });
+
+    worksheet.columns = [
+      { width: 18 },
+      { width: 18 },
+      { width: 30 },
+      { width: 14 },
+      { width: 14 },
+      { width: 16 },
+      { width: 14 },
+      { width: 12 }
+    ];
+
+    const buffer = await workbook.xlsx.writeBuffer();
+    const base64 = Buffer.from(buffer).toString('base64');
+    const filename = `loan_statement_${(loan.worker?.name || 'worker').replace(/\s+/g, '_')}_${formatExcelDate(loan.disbursedDate).replace(/\//g, '-')}.xlsx`;
+
+    res.json({ base64, filename });
+  } catch (error) {
+    console.error('Export loan statement error:', error);
+    res.status(500).json({ error: 'Failed to export loan statement', details: error.message });
+  }
+});
+
+// Export all loans (?status to filter): one row per loan with repaid, outstanding and overdue
+router.get('/export/register', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+
+    const loans = await Loan.find(filter)
+      .populate('worker', 'name workerId')
+      .sort({ disbursedDate: 1 });
+
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Loans');
+
+    // Optional company name at top
+    const settings = await Settings.findOne({ key: 'general' });
+    if (settings && settings.companyName) {
+      worksheet.mergeCells('A1:L1');
+      worksheet.getCell('A1').value = settings.companyName;
+      worksheet.getCell('A1').font = { bold: true, size: 18 };
+      worksheet.getCell('A1').alignment = { horizontal: 'center' };
+    }
+
+    const titleRow = worksheet.addRow([`Loan Register as of ${formatExcelDate(new Date())}`]);
+    worksheet.mergeCells(`A${titleRow.number}:L${titleRow.number}`);
+    titleRow.getCell(1).font = { bold: true, size: 16 };
+    titleRow.getCell(1).alignment = { horizontal: 'center' };
+    worksheet.addRow([]);
+
+    const headerRow = worksheet.addRow(['S.No', 'Worker ID', 'Name', 'Disbursed', 'Principal', 'Interest', 'Tenure', 'EMI', 'Total Payable', 'Repaid', 'Outstanding', 'Overdue']);
+    headerRow.font = { bold: true };
+    headerRow.eachCell((cell) => {
+      cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+      cell.border = border;
+      cell.alignment = { horizontal: 'center' };
+    });
+
+    const totals = { principal: 0, totalPayable: 0, amountRepaid: 0, outstanding: 0, overdue: 0 };
+    loans.forEach((loan, index) => {
+      const { overdueAmount } = buildLoanStatement(loan);
+      const row = worksheet.addRow([
+        index + 1,
+        loan.worker?.workerId || '',
+        loan.worker?.name || '',
+        formatExcelDate(loan.disbursedDate),
+        loan.principal,
+        `${loan.interestRate}% ${loan.interestMethod}`,
+        loan.tenureMonths,
+        loan.emiAmount,
+        loan.totalPayable,
+        loan.amountRepaid,
+        loan.outstanding,
+        overdueAmount
+      ]);
+      totals.principal += loan.principal;
+      totals.totalPayable += loan.totalPayable;
+      totals.amountRepaid += loan.amountRepaid;
+      totals.outstanding += loan.outstanding;
+      totals.overdue += overdueAmount;
+
+      row.eachCell((cell) => {
+        cell.border = border;
+        cell.alignment = { horizontal: 'center' };
+      });
+    });
+
+    const totalsRow = worksheet.addRow(['', '', 'TOTAL', '', totals.principal, '', '', '', totals.totalPayable, totals.amountRepaid, totals.outstanding, totals.overdue]);
+    totalsRow.font = { bold: true };
+    totalsRow.eachCell((cell) => {
+      cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFD700' } };
+      cell.border = border;
+      cell.alignment = { horizontal: 'center' };
+    });
+
+    worksheet.columns = [
+      { width: 8 },
+      { width: 15 },
+      { width: 25 },
+      { width: 14 },
+      { width: 12 },
+      { width: 16 },
+      { width: 10 },
+      { width: 12 },
+      { width: 15 },
+      { width: 12 },
+      { width: 14 },
+      { width: 12 }
+    ];
+
+    const buffer = await workbook.xlsx.writeBuffer();
+    const base64 = Buffer.from(buffer).toString('base64');
+    const filename = `loan_register_${formatExcelDate(new Date()).replace(/\//g, '-')}.xlsx`;
+
+    res.json({ base64, filename });
+  } catch (error) {
+    console.error('Export loan register error:', error);
+    res.status(500).json({ error: 'Failed to export loan register', details: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,55 @@
+import express from 'express';
+import Payment from '../models/Payment.js';
+import { parseLocalDate } from '../utils/dates.js';
+
+const router = express.Router();
+
+// Payments ledger: every payout (salary, bonus, advances, loans) and direct loan repayment, with totals.
+// Filters: workerId, type (comma separated for several), startDate, endDate (YYYY-MM-DD), paymentMode, source
+router.get('/', async (req, res) => {
+  try {
+    const { workerId, type, startDate, endDate, paymentMode, source } = req.query;
+    const filter = {};
+
+    if (workerId) filter.worker = workerId;
+    if (type) filter.type = { $in: type.split(',') };
+    if (paymentMode) filter.paymentMode = paymentMode;
+    if (source) filter['source.kind'] = source;
+
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) filter.date.$gte = parseLocalDate(startDate);
+      if (endDate) {
+        const end = parseLocalDate(endDate);
+        end.setHours(23, 59, 59, 999);
+        filter.date.$lte = end;
+      }
+    }
+
+    const payments = await Payment.find(filter)
+      .populate('worker', 'name workerId')
+      .sort({ date: -1 });
+
+    const totals = {
+      count: payments.length,
+      amount: 0,
+      advanceDeducted: 0,
+      netAmount: 0,
+      byType: {}
+    };
+    payments.forEach(p => {
+      totals.amount += p.amount || 0;
+      totals.advanceDeducted += p.advanceDeducted || 0;
+      totals.netAmount += p.netAmount || 0;
+      if (!totals.byType[p.type]) totals.byType[p.type] = { count: 0, netAmount: 0 };
+      totals.byType[p.type].count++;
+      totals.byType[p.type].netAmount += p.netAmount || 0;
+    });
+
+    res.json({ payments, totals });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
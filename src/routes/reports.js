@@ -2,9 +2,23 @@ import express from 'express';
 import ExcelJS from 'exceljs';
 import DailyEntry from '../models/DailyEntry.js';
 import Worker from '../models/Worker.js';
-import Advance from '../models/Advance.js';
 import SalaryHistory from '../models/SalaryHistory.js';
 import Settings from '../models/Settings.js';
+import Arrears from '../models/Arrears.js';
+import { getEntryBreakdown, getRateOn, summarizeEntriesByWorker } from '../utils/pay.js';
+import { findOverlappingRuns } from '../utils/payroll.js';
+import { parseLocalDate, parsePeriodDate } from '../utils/dates.js';
+import { getPlannedDeductions, applyRunToPlans } from '../utils/advancePlans.js';
+import { getAdvancePolicy, checkLineAdvance } from '../utils/advancePolicy.js';
+import { runInTransaction, postAdvanceMovement, MoneyMovementError } from '../utils/advanceMovements.js';
+import { findActiveLoans, splitLoanDeduction, getPlannedLoanDeductions, recoverLoansFromRun } from '../utils/loans.js';
+import { planHistoryReversal, executeHistoryReversal } from '../utils/historyReversal.js';
+import { listSourceMovements } from '../utils/advanceLedger.js';
+import { renderPayslips } from '../utils/payslip.js';
+import { BANK_FILE_FORMATS, getBankFileOptions, splitBankPayments, buildBankFile } from '../utils/bankFile.js';
+import { parsePaymentDetails, selectRecords, markRecordsPaid, markRecordsUnpaid, summarizeRecordPayments } from '../utils/recordPayments.js';
+import { recordSalaryLinePayments, removeSourcePayments } from '../utils/ledger.js';
+import { getDenominations, buildCashPayout, renderCashPayoutExcel, renderCashPayoutPdf } from '../utils/cashPayout.js';
 
 const router = express.Router();
 
@@ -19,19 +33,91 @@ const formatExcelDate = (date) => {
   return `${day}/${month}/${year}`;
 };
 
-// Helper function to parse date string consistently in local timezone
-const parseLocalDate = (dateString) => {
-  const [year, month, day] = dateString.split('-').map(Number);
-  const date = new Date(year, month - 1, day);
-  date.setHours(0, 0, 0, 0);
-  return date;
-};
-
 const months = [
   'January', 'February', 'March', 'April', 'May', 'June',
   'July', 'August', 'September', 'October', 'November', 'December'
 ];
 
+// Differences smaller than this (₹ / hours) are treated as rounding by the client
+const RECONCILE_TOLERANCE = 1;
+
+// Deposit and loan EMIs coming off a salary line: what the client sent, otherwise the installments
+// planned on the worker's advances and the EMIs due by the period end
+const getLineDeductions = async (workerId, record, totalPay, periodEnd) => {
+  let deposit = record.deposit;
+  if (deposit === undefined || deposit === null) {
+    const planned = await getPlannedDeductions(new Map([[String(workerId), totalPay]]), periodEnd);
+    deposit = planned.get(String(workerId))?.amount || 0;
+  }
+
+  const loans = await findActiveLoans([workerId]);
+  const loanSplit = splitLoanDeduction(loans, periodEnd, totalPay - deposit, record.loanDeduction);
+
+  return {
+    deposit,
+    loanDeduction: loanSplit.error ? Number(record.loanDeduction) || 0 : loanSplit.amount,
+    loans: loanSplit.loans || [],
+    error: loanSplit.error
+  };
+};
+
+// Recompute hours and pay from DailyEntry for each submitted record and compare with what was sent.
+// Returns one line per record (same order) with submitted vs computed values and the deductions
+// the saved line would carry.
+const reconcileSalaryRecords = async (records, periodStart, periodEnd) => {
+  const start = parsePeriodDate(periodStart);
+  start.setHours(0, 0, 0, 0);
+  const end = parsePeriodDate(periodEnd);
+  end.setHours(23, 59, 59, 999);
+
+  const workerIds = records.map(r => r.workerId).filter(Boolean);
+  const entries = await DailyEntry.find({
+    worker: { $in: workerIds },
+    date: { $gte: start, $lte: end }
+  }).populate('worker', 'name workerId hourlyRate rateHistory dailyWorkingHours');
+  const workerMap = summarizeEntriesByWorker(entries);
+
+  const lines = [];
+  for (const record of records) {
+    const summary = workerMap[String(record.workerId)];
+    const payout = record.payout || 0;
+    const newAdvance = record.newAdvance || 0;
+
+    const computed = {
+      totalHoursWorked: summary ? summary.totalHoursWorked : 0,
+      totalPay: summary ? summary.totalPay : 0
+    };
+    const deductions = record.workerId
+      ? await getLineDeductions(record.workerId, record, computed.totalPay, parsePeriodDate(periodEnd))
+      : { deposit: 0, loanDeduction: 0, loans: [] };
+    computed.finalAmount = Math.max(0, computed.totalPay - deductions.deposit - deductions.loanDeduction - payout + newAdvance);
+
+    const submitted = {
+      totalHoursWorked: record.totalHoursWorked,
+      totalPay: record.totalPay,
+      finalAmount: record.finalAmount
+    };
+
+    // Only fields the client actually sent can mismatch
+    const differences = {};
+    Object.keys(computed).forEach(field => {
+      if (submitted[field] === undefined || submitted[field] === null) return;
+      const diff = Number(submitted[field]) - computed[field];
+      if (Math.abs(diff) >= RECONCILE_TOLERANCE) differences[field] = diff;
+    });
+
+    lines.push({
+      workerId: String(record.workerId),
+      submitted,
+      computed,
+      deductions,
+      differences,
+      mismatch: Object.keys(differences).length > 0
+    });
+  }
+  return lines;
+};
+
 // Get all workers summary for a date range
 router.get('/all-workers-summary', async (req, res) => {
   try {
@@ -49,63 +135,30 @@ router.get('/all-workers-summary', async (req, res) => {
     }
 
     const entries = await DailyEntry.find(filter)
-      .populate('worker', 'name workerId hourlyRate dailyWorkingHours advanceBalance bankDetails');
+      .populate('worker', 'name workerId hourlyRate rateHistory dailyWorkingHours advanceBalance bankDetails');
 
     // Group by worker
-    const workerMap = {};
+    const workerMap = summarizeEntriesByWorker(entries);
 
-    entries.forEach(entry => {
-      if (!entry.worker) return;
-      const workerId = entry.worker._id.toString();
-      if (!workerMap[workerId]) {
-        workerMap[workerId] = {
-          worker: entry.worker,
-          totalHoursWorked: 0,
-          totalRegularHours: 0,
-          totalOvertimeHours: 0,
-          totalRegularPay: 0,
-          totalOvertimePay: 0,
-          totalPay: 0,
-          daysPresent: 0,
-          daysAbsent: 0,
-          entries: []
-        };
-      }
-      let hours = entry.hoursWorked || 0;
-      let pay = entry.totalPay || 0;
+    // Deposits start from the installments planned on the worker's advances (0 without a plan);
+    // the user can still change them in the UI before saving to history
+    const wages = new Map(Object.entries(workerMap).map(([id, item]) => [id, item.totalPay]));
+    const periodEnd = filter.date?.$lte || new Date();
+    const planned = await getPlannedDeductions(wages, periodEnd);
 
-      // Treat holidays as full working days (usually 8 hours) for report calculations
-      if (entry.status === 'holiday') {
-        hours = entry.worker.dailyWorkingHours || 8;
-        // If pay is 0 (likely as it was saved as 0 hours), calculate based on current rate
-        if (pay === 0) {
-          pay = hours * (entry.worker.hourlyRate || 0);
-        }
-      }
-
-      workerMap[workerId].totalHoursWorked += hours;
-      workerMap[workerId].totalRegularHours += entry.regularHours || 0;
-      workerMap[workerId].totalOvertimeHours += entry.overtimeHours || 0;
-      workerMap[workerId].totalRegularPay += entry.regularPay || 0;
-      workerMap[workerId].totalOvertimePay += entry.overtimePay || 0;
-      workerMap[workerId].totalPay += pay;
+    // Loan EMIs due by the end of the period come off what is left after the advance deduction
+    const afterDeposit = new Map([...wages].map(([id, pay]) => [id, pay - (planned.get(id)?.amount || 0)]));
+    const loanDue = await getPlannedLoanDeductions(afterDeposit, periodEnd);
 
-      if (entry.status === 'present' || entry.status === 'holiday') {
-        workerMap[workerId].daysPresent++;
-      } else if (entry.status === 'absent') {
-        workerMap[workerId].daysAbsent++;
-      }
-
-      workerMap[workerId].entries.push(entry);
-    });
-
-    // NOTE: Deposits are NOT fetched automatically - they start as 0
-    // User will add deposits manually in the UI, and they get saved to history
-    const report = Object.values(workerMap).map((item) => {
+    const report = Object.entries(workerMap).map(([id, item]) => {
+      const plannedDeduction = planned.get(id)?.amount || 0;
+      const loanDeduction = loanDue.get(id)?.amount || 0;
       return {
         ...item,
-        deposit: 0, // User adds this manually
-        finalAmount: item.totalPay // Initially same as totalPay
+        deposit: plannedDeduction,
+        plannedDeduction,
+        loanDeduction,
+        finalAmount: item.totalPay - plannedDeduction - loanDeduction
       };
     });
 
@@ -132,7 +185,7 @@ router.get('/export/work-summary', async (req, res) => {
     }
 
     const entries = await DailyEntry.find(filter)
-      .populate('worker', 'name workerId hourlyRate dailyWorkingHours advanceBalance');
+      .populate('worker', 'name workerId hourlyRate rateHistory dailyWorkingHours advanceBalance');
 
     // Group by worker
     const workerMap = {};
@@ -154,7 +207,7 @@ router.get('/export/work-summary', async (req, res) => {
       if (entry.status === 'holiday') {
         hours = entry.worker.dailyWorkingHours || 8;
         if (pay === 0) {
-          pay = hours * (entry.worker.hourlyRate || 0);
+          pay = hours * getRateOn(entry.worker, entry.date);
         }
       }
 
@@ -680,15 +733,16 @@ router.get('/worker-summary/:workerId', async (req, res) => {
     }
 
     const entries = await DailyEntry.find(filter).sort({ date: -1 });
+    const breakdowns = entries.map(getEntryBreakdown);
 
     const summary = {
       totalEntries: entries.length,
-      totalHoursWorked: entries.reduce((sum, e) => sum + e.hoursWorked, 0),
-      totalRegularHours: entries.reduce((sum, e) => sum + e.regularHours, 0),
-      totalOvertimeHours: entries.reduce((sum, e) => sum + e.overtimeHours, 0),
-      totalRegularPay: entries.reduce((sum, e) => sum + e.regularPay, 0),
-      totalOvertimePay: entries.reduce((sum, e) => sum + e.overtimePay, 0),
-      totalPay: entries.reduce((sum, e) => sum + e.totalPay, 0),
+      totalHoursWorked: entries.reduce((sum, e) => sum + (e.hoursWorked || 0), 0),
+      totalRegularHours: breakdowns.reduce((sum, b) => sum + b.regularHours, 0),
+      totalOvertimeHours: breakdowns.reduce((sum, b) => sum + b.overtimeHours, 0),
+      totalRegularPay: breakdowns.reduce((sum, b) => sum + b.regularPay, 0),
+      totalOvertimePay: breakdowns.reduce((sum, b) => sum + b.overtimePay, 0),
+      totalPay: entries.reduce((sum, e) => sum + (e.totalPay || 0), 0),
       entries
     };
 
@@ -698,90 +752,119 @@ router.get('/worker-summary/:workerId', async (req, res) => {
   }
 });
 
+// Compare client salary figures with the server calculation without saving
+router.post('/reconcile-salary', async (req, res) => {
+  try {
+    const { periodStart, periodEnd, records } = req.body;
+
+    if (!periodStart || !periodEnd || !records || !Array.isArray(records)) {
+      return res.status(400).json({ error: 'Missing required fields: periodStart, periodEnd, records' });
+    }
+
+    const reconciliation = await reconcileSalaryRecords(records, periodStart, periodEnd);
+
+    res.json({
+      reconciliation,
+      mismatchCount: reconciliation.filter(r => r.mismatch).length
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Save salary report to history
 router.post('/save-salary-history', async (req, res) => {
   try {
-    const { periodStart, periodEnd, records, notes } = req.body;
+    // mismatchMode: 'flag' (default) saves server figures and flags differences, 'reject' refuses the save
+    const { periodStart, periodEnd, records, notes, includeArrears, mismatchMode } = req.body;
 
     if (!periodStart || !periodEnd || !records || !Array.isArray(records)) {
       return res.status(400).json({ error: 'Missing required fields: periodStart, periodEnd, records' });
     }
 
-    // Process each record and record deposits to advance
+    // Reject runs that overlap an existing run for the same worker
+    const workerIds = records.map(r => r.workerId).filter(Boolean).map(String);
+    const overlapping = await findOverlappingRuns(workerIds, parsePeriodDate(periodStart), parsePeriodDate(periodEnd));
+    if (overlapping.length > 0) {
+      return res.status(409).json({
+        error: 'Salary period overlaps an existing payroll run for some workers',
+        conflicts: overlapping.map(run => ({
+          _id: run._id,
+          periodStart: run.periodStart,
+          periodEnd: run.periodEnd,
+          status: run.status,
+          workers: run.records
+            .filter(r => workerIds.includes(r.worker.toString()))
+            .map(r => r.workerName)
+        }))
+      });
+    }
+
+    // Hours and pay always come from DailyEntry, never from the client
+    const reconciliation = await reconcileSalaryRecords(records, periodStart, periodEnd);
+    const mismatches = reconciliation.filter(r => r.mismatch);
+    if (mismatches.length > 0 && mismatchMode === 'reject') {
+      return res.status(422).json({
+        error: `Submitted figures differ from server calculation for ${mismatches.length} workers`,
+        reconciliation
+      });
+    }
+
+    // Build the draft run. Deposits and new advances are posted only when the run is approved.
     const processedRecords = [];
 
-    for (const record of records) {
+    for (const [index, record] of records.entries()) {
       const worker = await Worker.findById(record.workerId);
       if (!worker) continue;
 
-      // Validate deposit against current advance balance
-      if (record.deposit && record.deposit > 0) {
+      const check = reconciliation[index];
+
+      // Deposit (planned installments unless sent) and loan EMIs, as reconciled
+      const { deposit, loanDeduction, loans, error: loanError } = check.deductions;
+
+      // Validate deposit against current advance balance (checked again on approval)
+      if (deposit > 0) {
         const currentBalance = worker.advanceBalance || 0;
         if (currentBalance <= 0) {
           return res.status(400).json({ error: `No advance balance for ${worker.name}` });
         }
-        if (record.deposit > currentBalance) {
+        if (deposit > currentBalance) {
           return res.status(400).json({ error: `Deposit for ${worker.name} exceeds advance balance` });
         }
-
-        const newBalance = currentBalance - record.deposit;
-
-        // Create advance record for the deposit
-        await Advance.create({
-          worker: worker._id,
-          type: 'deposit',
-          amount: record.deposit,
-          date: new Date(),
-          notes: `${worker.name} deposited ₹${record.deposit} from salary`,
-          balanceAfter: newBalance
-        });
-
-        // Update worker's advance balance
-        await Worker.findByIdAndUpdate(worker._id, {
-          advanceBalance: newBalance,
-          $inc: { totalAdvanceRepaid: record.deposit }
-        });
       }
 
-      // Handle New Advance
-      if (record.newAdvance && record.newAdvance > 0) {
-        // Fetch fresh worker incase updated above
-        const updatedWorker = await Worker.findById(worker._id);
-        const currentBalance = updatedWorker.advanceBalance || 0;
-        const newBalance = currentBalance + record.newAdvance;
-
-        await Advance.create({
-          worker: worker._id,
-          type: 'advance',
-          amount: record.newAdvance,
-          date: new Date(),
-          notes: `${worker.name} taken advance ₹${record.newAdvance} with salary`,
-          balanceAfter: newBalance
-        });
+      if (loanError) {
+        return res.status(400).json({ error: `${worker.name}: ${loanError}` });
+      }
 
-        await Worker.findByIdAndUpdate(worker._id, {
-          advanceBalance: newBalance,
-          $inc: { totalAdvanceTaken: record.newAdvance }
-        });
+      // Fold pending arrears (backdated rate changes) in as a separate line
+      let arrearsAmount = 0;
+      let arrearsRefs = [];
+      if (includeArrears) {
+        const pendingArrears = await Arrears.find({ worker: worker._id, status: 'pending' });
+        arrearsAmount = pendingArrears.reduce((sum, a) => sum + (a.arrearsAmount || 0), 0);
+        arrearsRefs = pendingArrears.map(a => a._id);
       }
 
       processedRecords.push({
         worker: worker._id,
         workerName: worker.name,
         workerId: worker.workerId,
-        hourlyRate: worker.hourlyRate,
-        totalHoursWorked: record.totalHoursWorked || 0,
-        totalPay: record.totalPay || 0,
-        deposit: record.deposit || 0,
+        hourlyRate: getRateOn(worker, parsePeriodDate(periodEnd)),
+        totalHoursWorked: check.computed.totalHoursWorked,
+        totalPay: check.computed.totalPay,
+        deposit,
         newAdvance: record.newAdvance || 0,
         payout: record.payout || 0,
-        finalAmount: record.finalAmount || 0,
-        advanceBalanceAtSave: worker.advanceBalance // Note: this is balance BEFORE new updates technically, but maybe fine. Or should be updated balance?
-        // Actually for historical record, maybe the balance *after* the salary operation is better?
-        // But `worker` var is stale. Let's stick to what it was at start or update? 
-        // Let's use `(await Worker.findById(worker._id)).advanceBalance` if we want accuracy.
-        // For now, keeping as is (snapshot at start of processing) is acceptable or slightly off. 
-        // Let's leave as is for minimal disruption, or simple fetch.
+        loanDeduction,
+        loanDeductions: loans,
+        arrears: arrearsAmount,
+        arrearsRefs,
+        finalAmount: check.computed.finalAmount + arrearsAmount,
+        advanceBalanceAtSave: worker.advanceBalance, // Refreshed on approval, before deposits/new advances post
+        submitted: check.submitted,
+        mismatch: check.mismatch,
+        paymentStatus: 'unpaid'
       });
     }
 
@@ -791,12 +874,14 @@ router.post('/save-salary-history', async (req, res) => {
     const totalDeposit = processedRecords.reduce((sum, r) => sum + r.deposit, 0);
     const totalNewAdvance = processedRecords.reduce((sum, r) => sum + r.newAdvance, 0);
     const totalPayout = processedRecords.reduce((sum, r) => sum + r.payout, 0);
+    const totalLoanDeduction = processedRecords.reduce((sum, r) => sum + r.loanDeduction, 0);
+    const totalArrears = processedRecords.reduce((sum, r) => sum + r.arrears, 0);
     const totalFinal = processedRecords.reduce((sum, r) => sum + r.finalAmount, 0);
 
     // Create history record
     const history = new SalaryHistory({
-      periodStart: new Date(periodStart),
-      periodEnd: new Date(periodEnd),
+      periodStart: parsePeriodDate(periodStart),
+      periodEnd: parsePeriodDate(periodEnd),
       savedDate: new Date(),
       records: processedRecords,
       totalHours,
@@ -804,16 +889,21 @@ router.post('/save-salary-history', async (req, res) => {
       totalDeposit,
       totalNewAdvance,
       totalPayout,
+      totalLoanDeduction,
+      totalArrears,
       totalFinal,
+      hasMismatches: mismatches.length > 0,
       notes,
+      status: 'draft',
       isSaved: true
     });
 
     await history.save();
 
     res.status(201).json({
-      message: 'Salary history saved successfully',
-      history
+      message: 'Salary history saved as draft',
+      history,
+      reconciliation
     });
   } catch (error) {
     console.error('POST /reports/save-salary-history error:', error);
@@ -821,20 +911,328 @@ router.post('/save-salary-history', async (req, res) => {
   }
 });
 
-// Delete salary report history
-router.delete('/salary-history/:id', async (req, res) => {
+// Approve a draft payroll run: posts advance deposits/new advances and loan EMIs, and settles folded arrears
+router.post('/salary-history/:id/approve', async (req, res) => {
   try {
+    const { approvedBy } = req.body;
     const history = await SalaryHistory.findById(req.params.id);
+
     if (!history) {
       return res.status(404).json({ error: 'History not found' });
     }
-    await SalaryHistory.findByIdAndDelete(req.params.id);
-    res.json({ message: 'History deleted' });
+
+    if (history.status !== 'draft') {
+      return res.status(400).json({ error: `Only draft runs can be approved (current status: ${history.status})` });
+    }
+
+    // Validate every deposit and new advance before posting anything
+    const workers = {};
+    const advancePolicy = await getAdvancePolicy();
+    for (const record of history.records) {
+      const worker = await Worker.findById(record.worker);
+      if (!worker) continue;
+      workers[worker._id.toString()] = worker;
+
+      if ((record.deposit || 0) > (worker.advanceBalance || 0)) {
+        return res.status(400).json({ error: `Deposit for ${worker.name} exceeds advance balance` });
+      }
+
+      const advanceError = await checkLineAdvance(worker, record.newAdvance, record.deposit, advancePolicy);
+      if (advanceError) {
+        return res.status(403).json({ error: advanceError });
+      }
+    }
+
+    const arrearsRefs = history.records.flatMap(r => r.arrearsRefs || []);
+    if (arrearsRefs.length > 0) {
+      const settledElsewhere = await Arrears.countDocuments({ _id: { $in: arrearsRefs }, status: { $ne: 'pending' } });
+      if (settledElsewhere > 0) {
+        return res.status(400).json({ error: 'Some arrears in this run were already settled by another run' });
+      }
+    }
+
+    // Post every deposit/new advance, plan installment and arrears settlement together:
+    // either the whole run is approved or nothing is posted
+    await runInTransaction(async (session) => {
+      // Claim the run so a second approval running at the same time can't post it twice
+      const claimed = await SalaryHistory.updateOne(
+        { _id: history._id, status: 'draft' },
+        { $set: { status: 'approved' } },
+        { session }
+      );
+      if (claimed.modifiedCount === 0) {
+        throw new MoneyMovementError('Payroll run is no longer a draft', 409);
+      }
+
+      for (const record of history.records) {
+        const worker = workers[record.worker.toString()];
+        if (!worker) continue;
+
+        let balance = (await Worker.findById(worker._id).select('advanceBalance').session(session)).advanceBalance || 0;
+        record.advanceBalanceAtSave = balance;
+
+        if (record.deposit > 0) {
+          const posted = await postAdvanceMovement({
+            worker: worker._id,
+            type: 'deposit',
+            amount: record.deposit,
+            notes: `${worker.name} deposited ₹${record.deposit} from salary`,
+            source: { kind: 'SalaryHistory', id: history._id }
+          }, session);
+          balance = posted.worker.advanceBalance;
+        }
+
+        // Installments on advances with a repayment plan (a zero deposit counts as missed)
+        await applyRunToPlans(history, record, balance, session);
+
+        if (record.newAdvance > 0) {
+          await postAdvanceMovement({
+            worker: worker._id,
+            type: 'advance',
+            amount: record.newAdvance,
+            notes: `${worker.name} taken advance ₹${record.newAdvance} with salary`,
+            source: { kind: 'SalaryHistory', id: history._id }
+          }, session);
+        }
+
+        await recoverLoansFromRun(history, record, session);
+      }
+
+      if (arrearsRefs.length > 0) {
+        await Arrears.updateMany(
+          { _id: { $in: arrearsRefs } },
+          { status: 'settled', settledIn: history._id, settledDate: new Date() },
+          { session }
+        );
+      }
+
+      history.status = 'approved';
+      history.approvedAt = new Date();
+      history.approvedBy = approvedBy;
+      await history.save({ session });
+    });
+
+    res.json({ message: 'Payroll run approved', history });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Mark an approved payroll run as paid out
+router.post('/salary-history/:id/pay', async (req, res) => {
+  try {
+    const history = await SalaryHistory.findById(req.params.id);
+    if (!history) {
+      return res.status(404).json({ error: 'History not found' });
+    }
+
+    if (history.status !== 'approved') {
+      return res.status(400).json({ error: `Only approved runs can be marked paid (current status: ${history.status})` });
+    }
+
+    // Lines not yet marked paid are paid now (payment mode/reference are optional here)
+    const details = req.body.paymentMode ? parsePaymentDetails(req.body) : { paidDate: new Date() };
+    if (details.error) {
+      return res.status(400).json({ error: details.error });
+    }
+    const paidRecords = markRecordsPaid(history.records, details);
+
+    history.status = 'paid';
+    history.paidAt = new Date();
+    await runInTransaction(async (session) => {
+      await history.save({ session });
+      await recordSalaryLinePayments(history, paidRecords, session);
+    });
+
+    res.json({ message: 'Payroll run marked paid', history });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Lock a paid payroll run (daily entries in its period can no longer be edited)
+router.post('/salary-history/:id/lock', async (req, res) => {
+  try {
+    const history = await SalaryHistory.findById(req.params.id);
+    if (!history) {
+      return res.status(404).json({ error: 'History not found' });
+    }
+
+    if (history.status !== 'paid') {
+      return res.status(400).json({ error: `Only paid runs can be locked (current status: ${history.status})` });
+    }
+
+    history.status = 'locked';
+    history.lockedAt = new Date();
+    await history.save();
+
+    res.json({ message: 'Payroll run locked', history });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mark worker lines of an approved run paid (all unpaid lines when workerIds is omitted).
+// The run moves to 'paid' once every line is paid.
+const markSalaryLinesPaid = async (history, workerIds, body, res) => {
+  if (history.status === 'draft') {
+    return res.status(400).json({ error: 'Approve the payroll run before marking workers paid' });
+  }
+  if (history.status === 'locked') {
+    return res.status(403).json({ error: 'Cannot change payments on a locked payroll run' });
+  }
+
+  const details = parsePaymentDetails(body);
+  if (details.error) {
+    return res.status(400).json({ error: details.error });
+  }
+
+  const records = selectRecords(history, workerIds);
+  if (records.length === 0) {
+    return res.status(404).json({ error: 'No matching workers in this salary history' });
+  }
+
+  const updated = markRecordsPaid(records, details);
+  if (history.status === 'approved' && history.records.every(r => r.paymentStatus === 'paid')) {
+    history.status = 'paid';
+    history.paidAt = new Date();
+  }
+  await runInTransaction(async (session) => {
+    await history.save({ session });
+    await recordSalaryLinePayments(history, updated, session);
+  });
+
+  res.json({
+    message: `${updated.length} workers marked paid`,
+    history,
+    payments: summarizeRecordPayments(history, r => r.finalAmount)
+  });
+};
+
+// Mark several (or all) workers in a salary history paid
+router.post('/salary-history/:id/mark-paid', async (req, res) => {
+  try {
+    const history = await SalaryHistory.findById(req.params.id);
+    if (!history) {
+      return res.status(404).json({ error: 'History not found' });
+    }
+
+    await markSalaryLinesPaid(history, req.body.workerIds, req.body, res);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Mark one worker in a salary history paid
+router.post('/salary-history/:id/records/:workerId/mark-paid', async (req, res) => {
+  try {
+    const history = await SalaryHistory.findById(req.params.id);
+    if (!history) {
+      return res.status(404).json({ error: 'History not found' });
+    }
+
+    await markSalaryLinesPaid(history, [req.params.workerId], req.body, res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Clear the paid mark on worker lines (a paid run goes back to approved)
+router.post('/salary-history/:id/mark-unpaid', async (req, res) => {
+  try {
+    const { workerIds } = req.body;
+    const history = await SalaryHistory.findById(req.params.id);
+    if (!history) {
+      return res.status(404).json({ error: 'History not found' });
+    }
+
+    if (history.status === 'locked') {
+      return res.status(403).json({ error: 'Cannot change payments on a locked payroll run' });
+    }
+    if (!Array.isArray(workerIds) || workerIds.length === 0) {
+      return res.status(400).json({ error: 'workerIds is required' });
+    }
+
+    const updated = markRecordsUnpaid(selectRecords(history, workerIds));
+    if (updated.length > 0 && history.status === 'paid') {
+      history.status = 'approved';
+      history.paidAt = undefined;
+    }
+    await runInTransaction(async (session) => {
+      await history.save({ session });
+      await removeSourcePayments('SalaryHistory', history._id, updated.map(r => r.worker), session);
+    });
+
+    res.json({
+      message: `${updated.length} workers marked unpaid`,
+      history,
+      payments: summarizeRecordPayments(history, r => r.finalAmount)
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Advance movements a salary history generated (approval deposits/new advances and edit adjustments)
+router.get('/salary-history/:id/advance-movements', async (req, res) => {
+  try {
+    const history = await SalaryHistory.findById(req.params.id).select('_id');
+    if (!history) {
+      return res.status(404).json({ error: 'History not found' });
+    }
+
+    res.json(await listSourceMovements('SalaryHistory', history._id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Preview what deleting a salary history reverses: advance entries removed or compensated,
+// each worker's balance and totals before/after, plan installments, loan EMIs and arrears
+router.get('/salary-history/:id/delete-preview', async (req, res) => {
+  try {
+    const history = await SalaryHistory.findById(req.params.id);
+    if (!history) {
+      return res.status(404).json({ error: 'History not found' });
+    }
+
+    const reversal = await planHistoryReversal('SalaryHistory', history, { posted: history.status !== 'draft' });
+    if (['paid', 'locked'].includes(history.status)) {
+      reversal.blocked.unshift(`Cannot delete a ${history.status} payroll run`);
+    }
+
+    res.json({ history: { _id: history._id, periodStart: history.periodStart, periodEnd: history.periodEnd, status: history.status }, ...reversal });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete salary report history and reverse everything its approval posted
+router.delete('/salary-history/:id', async (req, res) => {
+  try {
+    const history = await SalaryHistory.findById(req.params.id);
+    if (!history) {
+      return res.status(404).json({ error: 'History not found' });
+    }
+    if (['paid', 'locked'].includes(history.status)) {
+      return res.status(403).json({ error: `Cannot delete a ${history.status} payroll run` });
+    }
+
+    const reversal = await planHistoryReversal('SalaryHistory', history, { posted: history.status !== 'draft' });
+    if (reversal.blocked.length > 0) {
+      return res.status(409).json({ error: reversal.blocked.join('; '), reversal });
+    }
+
+    await runInTransaction(async (session) => {
+      await executeHistoryReversal('SalaryHistory', history, reversal, session);
+      await SalaryHistory.findByIdAndDelete(req.params.id, { session });
+    });
+    res.json({ message: 'History deleted', reversal });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 // Update salary report history
 router.put('/salary-history/:id', async (req, res) => {
   try {
@@ -849,7 +1247,21 @@ router.put('/salary-history/:id', async (req, res) => {
       return res.status(400).json({ error: 'Invalid or missing records array' });
     }
 
-    // Process differences and adjust advance balances
+    if (['paid', 'locked'].includes(history.status)) {
+      return res.status(403).json({ error: `Cannot edit a ${history.status} payroll run` });
+    }
+
+    // Lines already paid out can't be changed; mark them unpaid first
+    const paidLine = newRecords
+      .map(newRec => history.records.find(r => r.worker.toString() === newRec.workerId || r.workerId === newRec.workerId))
+      .find(r => r && r.paymentStatus === 'paid');
+    if (paidLine) {
+      return res.status(403).json({ error: `${paidLine.workerName} has already been paid; mark the line unpaid before editing it` });
+    }
+
+    // Work out each line's correction first (in memory), so a retried transaction posts the same movements
+    const corrections = [];
+    const advancePolicy = await getAdvancePolicy();
     for (const newRec of newRecords) {
       const oldRec = history.records.find(r => r.worker.toString() === newRec.workerId || r.workerId === newRec.workerId);
 
@@ -858,39 +1270,42 @@ router.put('/salary-history/:id', async (req, res) => {
       const worker = await Worker.findById(oldRec.worker);
       if (!worker) continue;
 
-      let balanceChange = 0;
+      // EMIs are posted to the loans on approval, so they can only change on a draft
+      if (newRec.loanDeduction !== undefined && Number(newRec.loanDeduction) !== (oldRec.loanDeduction || 0)) {
+        if (history.status !== 'draft') {
+          return res.status(403).json({ error: `Loan deductions for ${worker.name} can only be changed while the run is a draft` });
+        }
+        const loans = await findActiveLoans([worker._id]);
+        const loanSplit = splitLoanDeduction(loans, history.periodEnd, 0, newRec.loanDeduction);
+        if (loanSplit.error) {
+          return res.status(400).json({ error: `${worker.name}: ${loanSplit.error}` });
+        }
+        oldRec.loanDeduction = loanSplit.amount;
+        oldRec.loanDeductions = loanSplit.loans;
+      }
 
       // Calculate differences
       const depositDiff = (newRec.deposit || 0) - (oldRec.deposit || 0);
       const newAdvanceDiff = (newRec.newAdvance || 0) - (oldRec.newAdvance || 0);
 
-      // If deposit increased, balance should decrease -> balanceChange -= depositDiff
-      balanceChange -= depositDiff;
-
-      // If newAdvance increased, balance should increase -> balanceChange += newAdvanceDiff
-      balanceChange += newAdvanceDiff;
+      // Deposit increase lowers the balance, new advance increase raises it
+      const balanceChange = newAdvanceDiff - depositDiff;
 
-      if (balanceChange !== 0) {
-        const currentBalance = worker.advanceBalance || 0;
-        const newBalance = currentBalance + balanceChange;
+      // Drafts have not posted anything yet; their new advances are checked on approval
+      if (newAdvanceDiff > 0 && history.status !== 'draft') {
+        const advanceError = await checkLineAdvance(worker, newAdvanceDiff, depositDiff, advancePolicy);
+        if (advanceError) {
+          return res.status(403).json({ error: advanceError });
+        }
+      }
 
-        // Create Advance log for this correction
-        await Advance.create({
+      if (balanceChange !== 0 && history.status !== 'draft') {
+        corrections.push({
           worker: worker._id,
           type: balanceChange > 0 ? 'advance' : 'deposit',
           amount: Math.abs(balanceChange),
-          date: new Date(),
           notes: `Adjustment from editing Report History (Diff: Deposit ${depositDiff}, NewAdv: ${newAdvanceDiff})`,
-          balanceAfter: newBalance
-        });
-
-        // Update worker balance
-        await Worker.findByIdAndUpdate(worker._id, {
-          advanceBalance: newBalance,
-          $inc: {
-            totalAdvanceTaken: newAdvanceDiff > 0 ? newAdvanceDiff : 0,
-            totalAdvanceRepaid: depositDiff > 0 ? depositDiff : 0
-          }
+          source: { kind: 'SalaryHistory', id: history._id }
         });
       }
 
@@ -900,28 +1315,38 @@ router.put('/salary-history/:id', async (req, res) => {
       oldRec.payout = newRec.payout || 0;
 
       // Recalculate finalAmount for this record
-      oldRec.finalAmount = Math.max(0, (oldRec.totalPay || 0) - oldRec.deposit - oldRec.payout + oldRec.newAdvance);
+      oldRec.finalAmount = Math.max(0, (oldRec.totalPay || 0) + (oldRec.arrears || 0) - oldRec.deposit - (oldRec.loanDeduction || 0) - oldRec.payout + oldRec.newAdvance);
     }
 
     // Recalculate summary totals
     history.totalDeposit = history.records.reduce((sum, r) => sum + (r.deposit || 0), 0);
     history.totalNewAdvance = history.records.reduce((sum, r) => sum + (r.newAdvance || 0), 0);
     history.totalPayout = history.records.reduce((sum, r) => sum + (r.payout || 0), 0);
+    history.totalLoanDeduction = history.records.reduce((sum, r) => sum + (r.loanDeduction || 0), 0);
     history.totalFinal = history.records.reduce((sum, r) => sum + (r.finalAmount || 0), 0);
 
-    await history.save();
+    // All corrections and the edited run are saved together or not at all
+    await runInTransaction(async (session) => {
+      for (const correction of corrections) {
+        await postAdvanceMovement(correction, session);
+      }
+      await history.save({ session });
+    });
+
     res.json(history);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    res.status(error.status || 400).json({ error: error.message });
   }
 });
 
 // Get all salary history
 router.get('/salary-history', async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, status } = req.query;
 
     const filter = {};
+    // Runs saved before the lifecycle existed have no status stored and count as approved
+    if (status) filter.status = status === 'approved' ? { $in: ['approved', null] } : status;
     if (startDate || endDate) {
       filter.savedDate = {};
       if (startDate) filter.savedDate.$gte = parseLocalDate(startDate);
@@ -936,7 +1361,10 @@ router.get('/salary-history', async (req, res) => {
       .sort({ savedDate: -1 })
       .populate('records.worker', 'name workerId');
 
-    res.json(history);
+    res.json(history.map(h => ({
+      ...h.toObject(),
+      ...summarizeRecordPayments(h, r => r.finalAmount)
+    })));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -978,12 +1406,12 @@ router.get('/export/salary-history/:historyId', async (req, res) => {
     const savedDateStr = formatExcelDate(history.savedDate);
 
     // Title
-    worksheet.mergeCells('A1:J1');
+    worksheet.mergeCells('A1:K1');
     worksheet.getCell('A1').value = `Salary Report (${startDateStr} to ${endDateStr})`;
     worksheet.getCell('A1').font = { bold: true, size: 16 };
     worksheet.getCell('A1').alignment = { horizontal: 'center' };
 
-    worksheet.mergeCells('A2:J2');
+    worksheet.mergeCells('A2:K2');
     worksheet.getCell('A2').value = `Saved on: ${savedDateStr}`;
     worksheet.getCell('A2').font = { italic: true, size: 10 };
     worksheet.getCell('A2').alignment = { horizontal: 'center' };
@@ -1001,6 +1429,7 @@ router.get('/export/salary-history/:historyId', async (req, res) => {
       'Payout (Left) (₹)',
       'Deposit (Repay) (₹)',
       'New Advance (₹)',
+      'Arrears (₹)',
       'Final Amount (₹)'
     ]);
 
@@ -1031,6 +1460,7 @@ router.get('/export/salary-history/:historyId', async (req, res) => {
         Math.round(record.payout || 0),
         Math.round(record.deposit || 0),
         Math.round(record.newAdvance || 0),
+        Math.round(record.arrears || 0),
         Math.round(record.finalAmount || 0)
       ]);
 
@@ -1079,6 +1509,7 @@ router.get('/export/salary-history/:historyId', async (req, res) => {
       Math.round(history.totalPayout || 0),
       Math.round(history.totalDeposit),
       Math.round(history.totalNewAdvance || 0),
+      Math.round(history.totalArrears || 0),
       Math.round(history.totalFinal)
     ]);
     totalRow.font = { bold: true };
@@ -1094,6 +1525,7 @@ router.get('/export/salary-history/:historyId', async (req, res) => {
       { width: 15 },
       { width: 15 },
       { width: 15 },
+      { width: 15 },
       { width: 18 }
     ];
 
@@ -1107,4 +1539,177 @@ router.get('/export/salary-history/:historyId', async (req, res) => {
   }
 });
 
+// Payslips (PDF) for a saved salary history.
+// Returns one combined PDF by default, or one file per worker with ?perWorker=true
+router.get('/payslips/:historyId', async (req, res) => {
+  try {
+    const history = await SalaryHistory.findById(req.params.historyId);
+
+    if (!history) {
+      return res.status(404).json({ error: 'Salary history not found' });
+    }
+
+    const settings = await Settings.findOne({ key: 'general' });
+    const companyName = settings?.companyName || '';
+    const startDateStr = formatExcelDate(history.periodStart).replace(/\//g, '-');
+    const endDateStr = formatExcelDate(history.periodEnd).replace(/\//g, '-');
+
+    if (req.query.perWorker === 'true') {
+      const files = [];
+      for (const record of history.records) {
+        const buffer = await renderPayslips(history, [record], companyName);
+        files.push({
+          workerId: record.workerId,
+          workerName: record.workerName,
+          base64: buffer.toString('base64'),
+          filename: `payslip_${record.workerId || record.worker}_${startDateStr}_to_${endDateStr}.pdf`
+        });
+      }
+      return res.json({ files });
+    }
+
+    const buffer = await renderPayslips(history, history.records, companyName);
+    const base64 = buffer.toString('base64');
+    const filename = `payslips_${startDateStr}_to_${endDateStr}.pdf`;
+
+    res.json({ base64, filename });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Payslip (PDF) for one worker in a saved salary history
+router.get('/payslips/:historyId/worker/:workerId', async (req, res) => {
+  try {
+    const history = await SalaryHistory.findById(req.params.historyId);
+
+    if (!history) {
+      return res.status(404).json({ error: 'Salary history not found' });
+    }
+
+    const record = history.records.find(r => r.worker.toString() === req.params.workerId);
+    if (!record) {
+      return res.status(404).json({ error: 'Worker not found in this salary history' });
+    }
+
+    const settings = await Settings.findOne({ key: 'general' });
+    const buffer = await renderPayslips(history, [record], settings?.companyName || '');
+    const base64 = buffer.toString('base64');
+    const startDateStr = formatExcelDate(history.periodStart).replace(/\//g, '-');
+    const endDateStr = formatExcelDate(history.periodEnd).replace(/\//g, '-');
+    const filename = `payslip_${record.workerId || record.worker}_${startDateStr}_to_${endDateStr}.pdf`;
+
+    res.json({ base64, filename });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Available bank upload formats
+router.get('/bank-file-formats', (req, res) => {
+  res.json(Object.entries(BANK_FILE_FORMATS).map(([key, layout]) => ({ key, label: layout.label })));
+});
+
+// Bulk NEFT/IMPS upload file for a saved salary history.
+// Query: format (generic, hdfc, icici, sbi, axis), mode (NEFT/IMPS), paymentDate (YYYY-MM-DD), debitAccount.
+// Workers with missing or invalid bank details are returned separately for cash payment.
+router.get('/export/bank-file/:historyId', async (req, res) => {
+  try {
+    const history = await SalaryHistory.findById(req.params.historyId);
+
+    if (!history) {
+      return res.status(404).json({ error: 'Salary history not found' });
+    }
+
+    const options = await getBankFileOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    const startDateStr = formatExcelDate(history.periodStart);
+    const endDateStr = formatExcelDate(history.periodEnd);
+    const { bankPayments, cashPayments } = await splitBankPayments(
+      history.records,
+      record => record.finalAmount,
+      `Salary ${endDateStr}`
+    );
+
+    const content = buildBankFile(options.format, bankPayments, options);
+    const base64 = Buffer.from(content).toString('base64');
+    const filename = `salary_bank_${options.format}_${startDateStr.replace(/\//g, '-')}_to_${endDateStr.replace(/\//g, '-')}.csv`;
+
+    res.json({
+      base64,
+      filename,
+      format: options.format,
+      mode: options.mode,
+      bankCount: bankPayments.length,
+      bankTotal: bankPayments.reduce((sum, p) => sum + p.amount, 0),
+      cashPayments,
+      cashTotal: cashPayments.reduce((sum, p) => sum + p.amount, 0)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cash payout denomination breakdown for a saved salary history.
+// Query: denominations (e.g. 500,200,100; defaults to settings), cashOnly=true to skip workers paid by bank
+router.get('/cash-payout/:historyId', async (req, res) => {
+  try {
+    const history = await SalaryHistory.findById(req.params.historyId);
+
+    if (!history) {
+      return res.status(404).json({ error: 'Salary history not found' });
+    }
+
+    const { denominations, error } = await getDenominations(req.query.denominations);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const payout = await buildCashPayout(history.records, record => record.finalAmount, denominations, req.query.cashOnly === 'true');
+    res.json(payout);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export the cash payout sheet (type=excel or pdf) with a signature column per worker
+router.get('/export/cash-payout/:historyId', async (req, res) => {
+  try {
+    const history = await SalaryHistory.findById(req.params.historyId);
+
+    if (!history) {
+      return res.status(404).json({ error: 'Salary history not found' });
+    }
+
+    const type = req.query.type || 'excel';
+    if (!['excel', 'pdf'].includes(type)) {
+      return res.status(400).json({ error: 'type must be excel or pdf' });
+    }
+
+    const { denominations, error } = await getDenominations(req.query.denominations);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const payout = await buildCashPayout(history.records, record => record.finalAmount, denominations, req.query.cashOnly === 'true');
+    const settings = await Settings.findOne({ key: 'general' });
+    const startDateStr = formatExcelDate(history.periodStart);
+    const endDateStr = formatExcelDate(history.periodEnd);
+    const title = `Salary Cash Payout (${startDateStr} to ${endDateStr})`;
+
+    const buffer = type === 'pdf'
+      ? await renderCashPayoutPdf(payout, title, settings?.companyName)
+      : await renderCashPayoutExcel(payout, title, settings?.companyName);
+    const base64 = Buffer.from(buffer).toString('base64');
+    const filename = `salary_cash_payout_${startDateStr.replace(/\//g, '-')}_to_${endDateStr.replace(/\//g, '-')}.${type === 'pdf' ? 'pdf' : 'xlsx'}`;
+
+    res.json({ base64, filename });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 export default router;
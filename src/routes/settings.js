@@ -1,5 +1,6 @@
 import express from 'express';
 import Settings from '../models/Settings.js';
+import { validateAdvancePolicy } from '../utils/advancePolicy.js';
 
 const router = express.Router();
 
@@ -13,14 +14,42 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Update settings (only allow companyName for now)
+// Update settings (company name, debit account, cash denominations, advance policy and overtime configuration)
 router.put('/', async (req, res) => {
   try {
-    const { companyName } = req.body;
+    const { companyName, debitAccountNumber, cashDenominations, advancePolicy, overtimeMultiplier, offDayOvertimeMultiplier, weeklyOffDays } = req.body;
     let settings = await Settings.findOne({ key: 'general' });
     if (!settings) settings = new Settings({ key: 'general' });
 
+    if (overtimeMultiplier !== undefined && !(Number(overtimeMultiplier) >= 1)) {
+      return res.status(400).json({ error: 'overtimeMultiplier must be at least 1' });
+    }
+    if (offDayOvertimeMultiplier !== undefined && !(Number(offDayOvertimeMultiplier) >= 1)) {
+      return res.status(400).json({ error: 'offDayOvertimeMultiplier must be at least 1' });
+    }
+    if (weeklyOffDays !== undefined && (!Array.isArray(weeklyOffDays) || weeklyOffDays.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+      return res.status(400).json({ error: 'weeklyOffDays must be an array of day numbers (0 = Sunday ... 6 = Saturday)' });
+    }
+    if (cashDenominations !== undefined && (!Array.isArray(cashDenominations) || cashDenominations.length === 0 || cashDenominations.some(d => !Number.isInteger(d) || d <= 0))) {
+      return res.status(400).json({ error: 'cashDenominations must be a list of positive whole rupee amounts' });
+    }
+
+    let policy;
+    if (advancePolicy !== undefined) {
+      const validated = validateAdvancePolicy(advancePolicy);
+      if (validated.error) {
+        return res.status(400).json({ error: validated.error });
+      }
+      policy = validated.policy;
+    }
+
     if (companyName !== undefined) settings.companyName = companyName;
+    if (debitAccountNumber !== undefined) settings.debitAccountNumber = debitAccountNumber;
+    if (cashDenominations !== undefined) settings.cashDenominations = [...new Set(cashDenominations)].sort((a, b) => b - a);
+    if (policy) Object.entries(policy).forEach(([field, value]) => settings.set(`advancePolicy.${field}`, value));
+    if (overtimeMultiplier !== undefined) settings.overtimeMultiplier = Number(overtimeMultiplier);
+    if (offDayOvertimeMultiplier !== undefined) settings.offDayOvertimeMultiplier = Number(offDayOvertimeMultiplier);
+    if (weeklyOffDays !== undefined) settings.weeklyOffDays = weeklyOffDays;
 
     await settings.save();
     res.json({ success: true, settings });
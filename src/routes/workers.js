@@ -4,21 +4,37 @@ import DailyEntry from '../models/DailyEntry.js';
 import Advance from '../models/Advance.js';
 import Payment from '../models/Payment.js';
 import Bonus from '../models/Bonus.js';
+import { getRateOn, applyRateChange } from '../utils/pay.js';
+import { parseLocalDate } from '../utils/dates.js';
 
 const router = express.Router();
 
+// Rate history sorted oldest first, split into applied and scheduled (future) rates
+const buildRateSummary = (worker) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const history = (worker.rateHistory || [])
+    .map(item => (item.toObject ? item.toObject() : item))
+    .sort((a, b) => new Date(a.effectiveFrom) - new Date(b.effectiveFrom));
+
+  return {
+    workerId: worker._id,
+    currentRate: getRateOn(worker, new Date()),
+    history,
+    scheduled: history.filter(item => new Date(item.effectiveFrom) > today)
+  };
+};
+
 // Get all workers
 router.get('/', async (req, res) => {
   try {
     // Return all workers regardless of active status
     const workers = await Worker.find({}).sort({ name: 1 });
     
-    // Normalize salary field for older records that may still have dailyPay stored
+    // Normalize salary field: rate in force today (also covers older records that still have dailyPay stored)
     const normalized = workers.map(w => {
       const obj = w.toObject ? w.toObject() : w;
-      if (!obj.hourlyRate && obj.dailyPay) {
-        obj.hourlyRate = obj.dailyPay / (obj.dailyWorkingHours || 8);
-      }
+      obj.hourlyRate = getRateOn(obj, new Date());
       return obj;
     });
 
@@ -37,9 +53,7 @@ router.get('/:id', async (req, res) => {
     }
 
     const obj = worker.toObject ? worker.toObject() : worker;
-    if (!obj.hourlyRate && obj.dailyPay) {
-      obj.hourlyRate = obj.dailyPay / (obj.dailyWorkingHours || 8);
-    }
+    obj.hourlyRate = getRateOn(obj, new Date());
 
     res.json(obj);
   } catch (error) {
@@ -55,7 +69,8 @@ router.post('/', async (req, res) => {
       name,
       dailyWorkingHours,
       hourlyRate,
-      bankDetails
+      bankDetails,
+      joiningDate
     } = req.body;
 
     const existingWorker = await Worker.findOne({ workerId });
@@ -63,12 +78,18 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ error: 'Worker ID already exists' });
     }
 
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
     const worker = new Worker({
       workerId,
       name,
       dailyWorkingHours: dailyWorkingHours || 8,
       hourlyRate,
-      bankDetails: bankDetails || {}
+      rateHistory: hourlyRate ? [{ rate: hourlyRate, effectiveFrom: today, notes: 'Initial rate' }] : [],
+      bankDetails: bankDetails || {},
+      // Left unset when not given, like workers added before employment dates were kept
+      joiningDate: joiningDate ? parseLocalDate(joiningDate) : undefined
     });
 
     await worker.save();
@@ -86,8 +107,12 @@ router.put('/:id', async (req, res) => {
       name,
       dailyWorkingHours,
       hourlyRate,
+      rateEffectiveFrom,
+      rateNotes,
       bankDetails,
-      isActive
+      isActive,
+      joiningDate,
+      leavingDate
     } = req.body;
 
     // Check if workerId is being changed and if it conflicts
@@ -101,15 +126,38 @@ router.put('/:id', async (req, res) => {
       }
     }
 
+    const existing = await Worker.findById(req.params.id).select('isActive joiningDate leavingDate');
+    if (!existing) {
+      return res.status(404).json({ error: 'Worker not found' });
+    }
+
+    // Deactivating records today as the leaving date unless one is given; reactivating clears it
+    const dates = {};
+    if (joiningDate !== undefined) dates.joiningDate = joiningDate ? parseLocalDate(joiningDate) : null;
+    if (leavingDate !== undefined) {
+      dates.leavingDate = leavingDate ? parseLocalDate(leavingDate) : null;
+    } else if (isActive === false && existing.isActive !== false && !existing.leavingDate) {
+      dates.leavingDate = new Date();
+      dates.leavingDate.setHours(0, 0, 0, 0);
+    } else if (isActive === true && existing.isActive === false) {
+      dates.leavingDate = null;
+    }
+
+    const effectiveJoining = dates.joiningDate !== undefined ? dates.joiningDate : existing.joiningDate;
+    const effectiveLeaving = dates.leavingDate !== undefined ? dates.leavingDate : existing.leavingDate;
+    if (effectiveJoining && effectiveLeaving && effectiveLeaving < effectiveJoining) {
+      return res.status(400).json({ error: 'leavingDate cannot be before joiningDate' });
+    }
+
     const worker = await Worker.findByIdAndUpdate(
       req.params.id,
       {
         workerId,
         name,
         dailyWorkingHours,
-        hourlyRate,
         bankDetails,
-        isActive
+        isActive,
+        ...dates
       },
       { new: true, runValidators: true }
     );
@@ -118,12 +166,92 @@ router.put('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Worker not found' });
     }
 
+    // Rate changes are added to the history (effective today unless a date is given)
+    // so days before the change keep their old rate
+    if (hourlyRate !== undefined && hourlyRate !== null) {
+      const effectiveFrom = rateEffectiveFrom ? parseLocalDate(rateEffectiveFrom) : new Date();
+      if (getRateOn(worker, effectiveFrom) !== Number(hourlyRate)) {
+        applyRateChange(worker, Number(hourlyRate), effectiveFrom, rateNotes);
+        await worker.save();
+      }
+    }
+
     res.json(worker);
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
+// Get rate history for a worker
+router.get('/:id/rates', async (req, res) => {
+  try {
+    const worker = await Worker.findById(req.params.id);
+    if (!worker) {
+      return res.status(404).json({ error: 'Worker not found' });
+    }
+
+    res.json(buildRateSummary(worker));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add a rate change (effectiveFrom may be in the future to schedule an increment)
+router.post('/:id/rates', async (req, res) => {
+  try {
+    const { rate, effectiveFrom, notes } = req.body;
+    const rateValue = Number(rate);
+
+    if (!rateValue || rateValue <= 0) {
+      return res.status(400).json({ error: 'Rate must be greater than 0' });
+    }
+    if (!effectiveFrom) {
+      return res.status(400).json({ error: 'effectiveFrom is required' });
+    }
+
+    const worker = await Worker.findById(req.params.id);
+    if (!worker) {
+      return res.status(404).json({ error: 'Worker not found' });
+    }
+
+    applyRateChange(worker, rateValue, parseLocalDate(effectiveFrom), notes);
+    await worker.save();
+
+    res.status(201).json(buildRateSummary(worker));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Cancel a scheduled (future) rate change
+router.delete('/:id/rates/:rateId', async (req, res) => {
+  try {
+    const worker = await Worker.findById(req.params.id);
+    if (!worker) {
+      return res.status(404).json({ error: 'Worker not found' });
+    }
+
+    const item = worker.rateHistory.id(req.params.rateId);
+    if (!item) {
+      return res.status(404).json({ error: 'Rate entry not found' });
+    }
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (new Date(item.effectiveFrom) <= today) {
+      return res.status(400).json({ error: 'Only scheduled (future) rate changes can be removed' });
+    }
+
+    item.deleteOne();
+    worker.hourlyRate = getRateOn(worker, new Date());
+    await worker.save();
+
+    res.json(buildRateSummary(worker));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Delete worker permanently
 router.delete('/:id', async (req, res) => {
   try {
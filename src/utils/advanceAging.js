@@ -0,0 +1,90 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const AGING_BUCKETS = [
+  { key: '0-30', label: '0-30 days', maxDays: 30 },
+  { key: '31-90', label: '31-90 days', maxDays: 90 },
+  { key: '91-180', label: '91-180 days', maxDays: 180 },
+  { key: '180+', label: '180+ days', maxDays: Infinity }
+];
+
+// Bucket key for an amount outstanding for the given number of days
+const getBucket = (days) => AGING_BUCKETS.find(bucket => days <= bucket.maxDays).key;
+
+const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+
+// Age one worker's outstanding advance as of a date.
+// advances: the worker's Advance entries sorted oldest first. Repayments and deposits settle
+// the oldest unpaid advances first (FIFO); whatever is left of each advance is aged from its date.
+export const ageWorkerAdvances = (advances, asOf) => {
+  const lots = [];
+  let lastRepaymentDate = null;
+
+  advances.forEach(advance => {
+    if (advance.type === 'advance') {
+      lots.push({ date: advance.date, remaining: advance.amount });
+      return;
+    }
+
+    lastRepaymentDate = advance.date;
+    let amount = advance.amount;
+    for (const lot of lots) {
+      if (amount <= 0) break;
+      const settled = Math.min(lot.remaining, amount);
+      lot.remaining -= settled;
+      amount -= settled;
+    }
+  });
+
+  const buckets = emptyBuckets();
+  let oldestUnpaidDate = null;
+  lots.filter(lot => lot.remaining > 0).forEach(lot => {
+    const days = Math.max(0, Math.floor((asOf - new Date(lot.date)) / DAY_MS));
+    buckets[getBucket(days)] += lot.remaining;
+    if (!oldestUnpaidDate) oldestUnpaidDate = lot.date;
+  });
+
+  return {
+    buckets,
+    outstanding: Object.values(buckets).reduce((sum, amount) => sum + amount, 0),
+    oldestUnpaidDate,
+    daysOutstanding: oldestUnpaidDate ? Math.floor((asOf - new Date(oldestUnpaidDate)) / DAY_MS) : 0,
+    lastRepaymentDate,
+    daysSinceRepayment: lastRepaymentDate ? Math.floor((asOf - new Date(lastRepaymentDate)) / DAY_MS) : null
+  };
+};
+
+// Aging rows for workers who owe money, with overdue flags and bucket totals.
+// advancesByWorker: Map of worker id -> Advance entries (oldest first).
+// A worker is overdue when nothing has been repaid for staleDays (counting from the oldest
+// unpaid advance when there has never been a repayment).
+export const buildAgingReport = (workers, advancesByWorker, asOf, staleDays) => {
+  const totals = { ...emptyBuckets(), outstanding: 0 };
+
+  const rows = workers
+    .map(worker => {
+      const aging = ageWorkerAdvances(advancesByWorker.get(worker._id.toString()) || [], asOf);
+      const idleDays = aging.daysSinceRepayment ?? aging.daysOutstanding;
+      return {
+        worker: worker._id,
+        name: worker.name,
+        workerId: worker.workerId,
+        isActive: worker.isActive,
+        ...aging,
+        noRecentRepayment: aging.outstanding > 0 && idleDays > staleDays,
+        inactiveWithBalance: aging.outstanding > 0 && !worker.isActive
+      };
+    })
+    .filter(row => row.outstanding > 0);
+
+  rows.forEach(row => {
+    AGING_BUCKETS.forEach(bucket => { totals[bucket.key] += row.buckets[bucket.key]; });
+    totals.outstanding += row.outstanding;
+  });
+
+  return {
+    rows,
+    totals,
+    overdueCount: rows.filter(row => row.noRecentRepayment).length,
+    inactiveWithBalanceCount: rows.filter(row => row.inactiveWithBalance).length
+  };
+};
@@ -0,0 +1,179 @@
+import mongoose from 'mongoose';
+import Advance from '../models/Advance.js';
+import Worker from '../models/Worker.js';
+
+const TOLERANCE = 0.005;
+
+// Replay a worker's Advance entries in date order and compare the running balance
+// and totals with what is stored on each row and on the worker
+export const replayWorkerLedger = async (worker, session) => {
+  const advances = await Advance.find({ worker: worker._id }).sort({ date: 1, createdAt: 1 }).session(session || null);
+
+  let balance = 0;
+  let totalAdvanceTaken = 0;
+  let totalAdvanceRepaid = 0;
+  const rowMismatches = [];
+
+  advances.forEach(advance => {
+    if (advance.type === 'advance') {
+      balance += advance.amount;
+      totalAdvanceTaken += advance.amount;
+    } else {
+      balance -= advance.amount;
+      totalAdvanceRepaid += advance.amount;
+    }
+
+    if (Math.abs((advance.balanceAfter || 0) - balance) >= TOLERANCE) {
+      rowMismatches.push({
+        advance: advance._id,
+        date: advance.date,
+        type: advance.type,
+        amount: advance.amount,
+        storedBalanceAfter: advance.balanceAfter,
+        expectedBalanceAfter: balance
+      });
+    }
+  });
+
+  const stored = {
+    advanceBalance: worker.advanceBalance || 0,
+    totalAdvanceTaken: worker.totalAdvanceTaken || 0,
+    totalAdvanceRepaid: worker.totalAdvanceRepaid || 0
+  };
+  const expected = { advanceBalance: balance, totalAdvanceTaken, totalAdvanceRepaid };
+  const totalMismatches = Object.keys(expected).filter(field => Math.abs(stored[field] - expected[field]) >= TOLERANCE);
+
+  return {
+    worker: worker._id,
+    workerName: worker.name,
+    workerId: worker.workerId,
+    entries: advances.length,
+    stored,
+    expected,
+    totalMismatches,
+    rowMismatches,
+    mismatch: totalMismatches.length > 0 || rowMismatches.length > 0
+  };
+};
+
+// Write the replayed figures back: balanceAfter on every mismatched row and the worker's totals
+export const repairWorkerLedger = async (worker, session) => {
+  const result = await replayWorkerLedger(worker, session);
+  if (!result.mismatch) return result;
+
+  if (result.rowMismatches.length > 0) {
+    await Advance.bulkWrite(result.rowMismatches.map(row => ({
+      updateOne: {
+        filter: { _id: row.advance },
+        update: { $set: { balanceAfter: row.expectedBalanceAfter } }
+      }
+    })), { session });
+  }
+
+  await Worker.findByIdAndUpdate(worker._id, result.expected, { session });
+
+  return { ...result, repaired: true };
+};
+
+// Advance taken, repaid and balance per worker from entries dated on or before asOf
+// (or strictly before it with exclusive = true). Returns a Map keyed by worker id.
+export const getBalancesAsOf = async (asOf, { workerIds, exclusive } = {}) => {
+  const match = { date: exclusive ? { $lt: asOf } : { $lte: asOf } };
+  if (workerIds) match.worker = { $in: workerIds.map(id => new mongoose.Types.ObjectId(String(id))) };
+
+  const rows = await Advance.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$worker',
+        totalAdvanceTaken: { $sum: { $cond: [{ $eq: ['$type', 'advance'] }, '$amount', 0] } },
+        totalAdvanceRepaid: { $sum: { $cond: [{ $eq: ['$type', 'advance'] }, 0, '$amount'] } }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [row._id.toString(), {
+    totalAdvanceTaken: row.totalAdvanceTaken,
+    totalAdvanceRepaid: row.totalAdvanceRepaid,
+    balance: row.totalAdvanceTaken - row.totalAdvanceRepaid
+  }]));
+};
+
+// Opening balance, movements and closing balance per worker for [from, to]
+export const getAdvanceStatement = async (from, to, workerIds) => {
+  const opening = await getBalancesAsOf(from, { workerIds, exclusive: true });
+
+  const filter = { date: { $gte: from, $lte: to } };
+  if (workerIds) filter.worker = { $in: workerIds };
+  const movements = await Advance.find(filter).sort({ date: 1, createdAt: 1 });
+
+  const statements = new Map();
+  const getStatement = (workerId) => {
+    if (!statements.has(workerId)) {
+      const openingBalance = opening.get(workerId)?.balance || 0;
+      statements.set(workerId, {
+        worker: workerId,
+        openingBalance,
+        advances: 0,
+        repayments: 0,
+        closingBalance: openingBalance,
+        transactions: []
+      });
+    }
+    return statements.get(workerId);
+  };
+
+  opening.forEach((value, workerId) => getStatement(workerId));
+
+  movements.forEach(advance => {
+    const statement = getStatement(advance.worker.toString());
+    if (advance.type === 'advance') {
+      statement.advances += advance.amount;
+      statement.closingBalance += advance.amount;
+    } else {
+      statement.repayments += advance.amount;
+      statement.closingBalance -= advance.amount;
+    }
+    statement.transactions.push({
+      _id: advance._id,
+      date: advance.date,
+      type: advance.type,
+      amount: advance.amount,
+      notes: advance.notes,
+      balance: statement.closingBalance
+    });
+  });
+
+  return statements;
+};
+
+export const ADVANCE_SOURCE_KINDS = ['manual', 'SalaryHistory', 'BonusHistory', 'Bonus', 'Payment'];
+
+// Query on Advance.source; entries saved before sources were recorded count as manual
+export const getSourceFilter = (kind, id) => {
+  const filter = kind === 'manual'
+    ? { 'source.kind': { $in: ['manual', null] } }
+    : { 'source.kind': kind };
+  if (id) filter['source.id'] = id;
+  return filter;
+};
+
+// Every advance movement a document generated, oldest first, with the net change it made to balances
+export const listSourceMovements = async (kind, id) => {
+  const movements = await Advance.find(getSourceFilter(kind, id))
+    .populate('worker', 'name workerId advanceBalance')
+    .sort({ date: 1, createdAt: 1 });
+
+  const totals = { advances: 0, repayments: 0, netChange: 0 };
+  movements.forEach(advance => {
+    if (advance.type === 'advance') {
+      totals.advances += advance.amount;
+      totals.netChange += advance.amount;
+    } else {
+      totals.repayments += advance.amount;
+      totals.netChange -= advance.amount;
+    }
+  });
+
+  return { source: { kind, id }, movements, totals };
+};
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+import Advance from '../models/Advance.js';
+import Worker from '../models/Worker.js';
+
+// Error raised inside a money movement; status is the HTTP status to answer with
+export class MoneyMovementError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Whether the connected server can run transactions: a replica set member or mongos.
+// Checked once at startup so a standalone server is reported before any request is taken.
+export const supportsTransactions = async (connection = mongoose.connection) => {
+  const hello = await connection.db.admin().command({ hello: 1 });
+  return Boolean(hello.setName) || hello.msg === 'isdbgrid';
+};
+
+// Run fn(session) inside a MongoDB transaction so every write in it applies fully or not at all.
+// Transactions need a replica set (or mongos), which the server checks for at startup; should
+// the server still turn out not to support them, money movements are refused rather than run
+// half-applied.
+export const runInTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } catch (error) {
+    // IllegalOperation: "Transaction numbers are only allowed on a replica set member or mongos"
+    if (error.code === 20) {
+      throw new MoneyMovementError('Money movements need MongoDB running as a replica set; transactions are not available on this server', 503);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Post one advance movement: $inc the worker's balance and totals in a single update and
+// write the Advance row with the resulting balance. Repayments and deposits only match
+// while the balance still covers them, so two concurrent deductions can't overdraw it.
+export const postAdvanceMovement = async ({ worker, type, amount, date, notes, repaymentPlan, source }, session) => {
+  const isAdvance = type === 'advance';
+  const filter = { _id: worker };
+  if (!isAdvance) filter.advanceBalance = { $gte: amount };
+
+  const inc = isAdvance
+    ? { advanceBalance: amount, totalAdvanceTaken: amount }
+    : { advanceBalance: -amount, totalAdvanceRepaid: amount };
+
+  const updated = await Worker.findOneAndUpdate(filter, { $inc: inc }, { new: true, session });
+  if (!updated) {
+    const existing = await Worker.findById(worker).select('name').session(session);
+    if (!existing) throw new MoneyMovementError('Worker not found', 404);
+    throw new MoneyMovementError(`${type === 'repayment' ? 'Repayment' : 'Deposit'} for ${existing.name} exceeds advance balance`);
+  }
+
+  const [advance] = await Advance.create([{
+    worker,
+    type,
+    amount,
+    date: date || new Date(),
+    notes,
+    balanceAfter: updated.advanceBalance,
+    repaymentPlan,
+    source
+  }], { session });
+
+  return { advance, worker: updated };
+};
@@ -0,0 +1,198 @@
+import Advance from '../models/Advance.js';
+import Worker from '../models/Worker.js';
+import SalaryHistory from '../models/SalaryHistory.js';
+import { parsePeriodDate } from './dates.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Validate a repayment plan from a request body; returns { plan } or { error }
+export const validateRepaymentPlan = (plan) => {
+  if (!plan || typeof plan !== 'object') {
+    return { error: 'repaymentPlan must be an object' };
+  }
+
+  const { mode, installmentAmount, percentOfWages, maxInstallment } = plan;
+  const startDate = plan.startDate ? parsePeriodDate(plan.startDate) : new Date();
+  if (isNaN(startDate.getTime())) {
+    return { error: 'repaymentPlan.startDate is not a valid date' };
+  }
+
+  if (mode === 'fixed') {
+    if (!(Number(installmentAmount) > 0)) {
+      return { error: 'installmentAmount must be greater than 0 for a fixed plan' };
+    }
+    return { plan: { mode, installmentAmount: Number(installmentAmount), startDate } };
+  }
+
+  if (mode === 'percentage') {
+    const percent = Number(percentOfWages);
+    if (!(percent > 0 && percent <= 100)) {
+      return { error: 'percentOfWages must be between 0 and 100 for a percentage plan' };
+    }
+    if (maxInstallment !== undefined && maxInstallment !== null && !(Number(maxInstallment) > 0)) {
+      return { error: 'maxInstallment must be greater than 0' };
+    }
+    return {
+      plan: {
+        mode,
+        percentOfWages: percent,
+        maxInstallment: maxInstallment ? Number(maxInstallment) : undefined,
+        startDate
+      }
+    };
+  }
+
+  return { error: "repaymentPlan.mode must be 'fixed' or 'percentage'" };
+};
+
+// Amount of the advance still to be recovered through its plan
+const getPlanRemaining = (advance) => Math.max(0, (advance.amount || 0) - (advance.repaymentPlan?.amountRecovered || 0));
+
+// Installment due on one plan for a salary run with the given wages
+export const getInstallmentDue = (advance, wages) => {
+  const plan = advance.repaymentPlan;
+  let due = plan.mode === 'fixed'
+    ? plan.installmentAmount || 0
+    : (wages || 0) * (plan.percentOfWages || 0) / 100;
+
+  if (plan.mode === 'percentage' && plan.maxInstallment) {
+    due = Math.min(due, plan.maxInstallment);
+  }
+
+  return Math.round(Math.min(due, getPlanRemaining(advance)));
+};
+
+// Advances with an active plan for the given workers that has started by the end of the run,
+// oldest first. Plans that start after the run are left for a later one.
+const findActivePlans = (workerIds, periodEnd, session) => Advance.find({
+  worker: { $in: workerIds },
+  type: 'advance',
+  'repaymentPlan.status': 'active',
+  $or: [
+    { 'repaymentPlan.startDate': { $lte: periodEnd } },
+    { 'repaymentPlan.startDate': null }
+  ]
+}).sort({ date: 1 }).session(session || null);
+
+// Planned salary deductions per worker for a run ending on periodEnd.
+// wagesByWorker: Map of worker id (string) -> wages in the run.
+// Returns a Map of worker id -> { amount, plans: [{ advance, date, due }] }.
+export const getPlannedDeductions = async (wagesByWorker, periodEnd = new Date()) => {
+  const workerIds = [...wagesByWorker.keys()];
+  const advances = await findActivePlans(workerIds, periodEnd);
+  const workers = await Worker.find({ _id: { $in: workerIds } }).select('advanceBalance');
+  const balances = new Map(workers.map(w => [w._id.toString(), w.advanceBalance || 0]));
+
+  const planned = new Map();
+  advances.forEach(advance => {
+    const workerId = advance.worker.toString();
+    const entry = planned.get(workerId) || { amount: 0, plans: [] };
+    const due = getInstallmentDue(advance, wagesByWorker.get(workerId));
+    entry.plans.push({ advance: advance._id, date: advance.date, due });
+    entry.amount += due;
+    planned.set(workerId, entry);
+  });
+
+  // Never plan to deduct more than the worker owes or earns in the run
+  planned.forEach((entry, workerId) => {
+    entry.amount = Math.max(0, Math.min(entry.amount, balances.get(workerId) || 0, wagesByWorker.get(workerId) || 0));
+  });
+
+  return planned;
+};
+
+// Record an approved salary run against the worker's active plans.
+// The run's deposit covers each plan's installment (oldest advance first); anything left
+// over goes toward the oldest remaining balances. Plans close once recovered or when the
+// worker's advance balance reaches zero.
+export const applyRunToPlans = async (history, record, balanceAfter, session) => {
+  const advances = await findActivePlans([record.worker], history.periodEnd, session);
+  if (advances.length === 0) return;
+
+  const dues = advances.map(advance => getInstallmentDue(advance, record.totalPay));
+  const paid = advances.map(() => 0);
+  let available = record.deposit || 0;
+
+  advances.forEach((advance, i) => {
+    paid[i] = Math.min(available, dues[i]);
+    available -= paid[i];
+  });
+  advances.forEach((advance, i) => {
+    const extra = Math.min(available, getPlanRemaining(advance) - paid[i]);
+    paid[i] += extra;
+    available -= extra;
+  });
+
+  for (const [i, advance] of advances.entries()) {
+    const plan = advance.repaymentPlan;
+    let status = 'missed';
+    if (paid[i] > 0) status = paid[i] >= dues[i] ? 'paid' : 'partial';
+
+    plan.installments.push({
+      salaryHistory: history._id,
+      date: new Date(),
+      dueAmount: dues[i],
+      paidAmount: paid[i],
+      status
+    });
+    plan.amountRecovered = (plan.amountRecovered || 0) + paid[i];
+
+    if (getPlanRemaining(advance) <= 0 || balanceAfter <= 0) {
+      plan.status = 'completed';
+      plan.completedAt = new Date();
+    }
+
+    await advance.save({ session });
+  }
+};
+
+// Length in days of the worker's most recent salary run (30 when there is none yet)
+export const getRunLengthDays = async (workerId) => {
+  const last = await SalaryHistory.findOne({ 'records.worker': workerId })
+    .sort({ periodEnd: -1 })
+    .select('periodStart periodEnd');
+  if (!last) return 30;
+  return Math.max(1, Math.round((last.periodEnd - last.periodStart) / DAY_MS) + 1);
+};
+
+// Plan progress: installments paid/missed, remaining amount and projected payoff date
+export const summarizePlan = (advance, runLengthDays) => {
+  const plan = advance.repaymentPlan;
+  const installments = plan.installments || [];
+  const remaining = plan.status === 'active' ? getPlanRemaining(advance) : 0;
+
+  const summary = {
+    advance: advance._id,
+    worker: advance.worker,
+    amount: advance.amount,
+    date: advance.date,
+    plan,
+    amountRecovered: plan.amountRecovered || 0,
+    remaining,
+    installmentsPaid: installments.filter(i => i.status === 'paid').length,
+    installmentsPartial: installments.filter(i => i.status === 'partial').length,
+    installmentsMissed: installments.filter(i => i.status === 'missed').length,
+    expectedInstallment: null,
+    runsRemaining: plan.status === 'active' ? null : 0,
+    projectedPayoffDate: plan.completedAt || null
+  };
+
+  if (plan.status !== 'active') return summary;
+
+  // Fixed plans pay the installment; percentage plans are projected from what they have recovered so far
+  const recovered = installments.filter(i => i.paidAmount > 0);
+  let expected = plan.installmentAmount;
+  if (plan.mode === 'percentage') {
+    expected = recovered.length > 0
+      ? recovered.reduce((sum, i) => sum + i.paidAmount, 0) / recovered.length
+      : plan.maxInstallment;
+  }
+  if (!expected) return summary;
+
+  const lastDate = installments.length > 0 ? installments[installments.length - 1].date : plan.startDate;
+  summary.expectedInstallment = Math.round(expected);
+  summary.runsRemaining = Math.ceil(remaining / expected);
+  summary.projectedPayoffDate = new Date(new Date(lastDate).getTime() + summary.runsRemaining * runLengthDays * DAY_MS);
+
+  return summary;
+};
@@ -0,0 +1,107 @@
+import Settings from '../models/Settings.js';
+import DailyEntry from '../models/DailyEntry.js';
+import { summarizeEntriesByWorker } from './pay.js';
+
+// Advance policy from settings, with defaults when nothing is saved yet
+export const getAdvancePolicy = async () => {
+  const settings = await Settings.findOne({ key: 'general' });
+  const policy = settings?.advancePolicy || {};
+  return {
+    maxOutstandingMultiple: policy.maxOutstandingMultiple ?? null,
+    maxSingleAdvance: policy.maxSingleAdvance ?? null,
+    blockInactiveWorkers: policy.blockInactiveWorkers ?? true,
+    earningsMonths: policy.earningsMonths || 3
+  };
+};
+
+// Validate an advancePolicy object from a settings update; returns { policy } or { error }
+export const validateAdvancePolicy = (input) => {
+  if (!input || typeof input !== 'object') {
+    return { error: 'advancePolicy must be an object' };
+  }
+
+  const policy = {};
+  for (const field of ['maxOutstandingMultiple', 'maxSingleAdvance']) {
+    if (input[field] === undefined) continue;
+    if (input[field] === null || input[field] === '') {
+      policy[field] = null;
+    } else if (!(Number(input[field]) > 0)) {
+      return { error: `${field} must be greater than 0 (or null for no limit)` };
+    } else {
+      policy[field] = Number(input[field]);
+    }
+  }
+
+  if (input.blockInactiveWorkers !== undefined) {
+    policy.blockInactiveWorkers = Boolean(input.blockInactiveWorkers);
+  }
+
+  if (input.earningsMonths !== undefined) {
+    const months = Number(input.earningsMonths);
+    if (!Number.isInteger(months) || months < 1 || months > 12) {
+      return { error: 'earningsMonths must be a whole number between 1 and 12' };
+    }
+    policy.earningsMonths = months;
+  }
+
+  return { policy };
+};
+
+// Average monthly earnings over the last `months` months of daily entries
+export const getMonthlyEarnings = async (worker, months) => {
+  const since = new Date();
+  since.setMonth(since.getMonth() - months);
+  since.setHours(0, 0, 0, 0);
+
+  const entries = await DailyEntry.find({ worker: worker._id, date: { $gte: since } })
+    .populate('worker', 'name workerId hourlyRate rateHistory dailyWorkingHours');
+  const summary = summarizeEntriesByWorker(entries)[worker._id.toString()];
+
+  return summary ? summary.totalPay / months : 0;
+};
+
+// Check an advance against the policy (outstanding: the balance it adds to, by default the worker's).
+// Returns { blocked } when it must be refused outright, otherwise { reasons, policyCheck };
+// a non-empty reasons list means the advance needs approval before it is posted.
+export const checkAdvancePolicy = async (worker, amount, policy, outstanding = worker.advanceBalance || 0) => {
+  const config = policy || await getAdvancePolicy();
+
+  if (config.blockInactiveWorkers && !worker.isActive) {
+    return { blocked: `${worker.name} is inactive; advances to inactive workers are blocked` };
+  }
+
+  const reasons = [];
+  const policyCheck = { outstanding, maxSingleAdvance: config.maxSingleAdvance };
+
+  if (config.maxSingleAdvance && amount > config.maxSingleAdvance) {
+    reasons.push(`Advance of ${amount} exceeds the single advance limit of ${config.maxSingleAdvance}`);
+  }
+
+  if (config.maxOutstandingMultiple) {
+    const monthlyEarnings = await getMonthlyEarnings(worker, config.earningsMonths);
+    const maxOutstanding = Math.round(monthlyEarnings * config.maxOutstandingMultiple);
+    policyCheck.monthlyEarnings = Math.round(monthlyEarnings);
+    policyCheck.maxOutstanding = maxOutstanding;
+
+    if (outstanding + amount > maxOutstanding) {
+      reasons.push(`Outstanding balance would be ${outstanding + amount}, over the limit of ${maxOutstanding} (${config.maxOutstandingMultiple} x monthly earnings)`);
+    }
+  }
+
+  return { reasons, policyCheck };
+};
+
+// Check a new advance given on a salary or bonus history line, after the deposit the same line
+// pays back. These lines have no approval queue, so an advance the policy would hold back is
+// refused. Returns an error message, or null when the advance is within the policy.
+export const checkLineAdvance = async (worker, amount, deposit, policy) => {
+  if (!(amount > 0)) return null;
+
+  const outstanding = Math.max(0, (worker.advanceBalance || 0) - (deposit || 0));
+  const check = await checkAdvancePolicy(worker, amount, policy, outstanding);
+  if (check.blocked) return check.blocked;
+  if (check.reasons.length > 0) {
+    return `New advance for ${worker.name} is over the advance policy (${check.reasons.join('; ')}); give it as a separate advance so it can be approved`;
+  }
+  return null;
+};
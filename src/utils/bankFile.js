@@ -0,0 +1,158 @@
+import Worker from '../models/Worker.js';
+import Settings from '../models/Settings.js';
+
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const ACCOUNT_PATTERN = /^\d{9,18}$/;
+export const PAYMENT_MODES = ['NEFT', 'IMPS'];
+
+// dd/mm/yyyy
+const formatSlashDate = (date) => {
+  const d = new Date(date);
+  return `${String(d.getDate()).padStart(2, '0')}/${String(d.getMonth() + 1).padStart(2, '0')}/${d.getFullYear()}`;
+};
+
+// dd-Mon-yyyy (ICICI style)
+const formatMonthDate = (date) => {
+  const d = new Date(date);
+  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  return `${String(d.getDate()).padStart(2, '0')}-${months[d.getMonth()]}-${d.getFullYear()}`;
+};
+
+// Banks reject names/narrations with special characters, so keep letters, digits and spaces
+const cleanText = (value, maxLength) => String(value || '').replace(/[^A-Za-z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, maxLength);
+
+const formatAmount = (value) => (Math.round((value || 0) * 100) / 100).toFixed(2);
+
+// Upload layouts. Each format lists its header row (null for headerless files)
+// and maps a payment to the columns the bank expects.
+export const BANK_FILE_FORMATS = {
+  generic: {
+    label: 'Generic CSV',
+    header: ['Worker ID', 'Beneficiary Name', 'Account Number', 'IFSC', 'Bank Name', 'Amount', 'Payment Mode', 'Payment Date', 'Narration'],
+    row: (p, opts) => [p.workerId, p.name, p.accountNumber, p.ifscCode, p.bankName, formatAmount(p.amount), opts.mode, formatSlashDate(opts.paymentDate), p.narration]
+  },
+  hdfc: {
+    label: 'HDFC Bank (ENet bulk upload)',
+    header: null,
+    // Transaction type N = NEFT, I = IMPS; unused optional columns are left blank
+    row: (p, opts) => [
+      opts.mode === 'IMPS' ? 'I' : 'N', p.workerId, p.accountNumber, formatAmount(p.amount), cleanText(p.name, 40),
+      '', '', '', '', '', '', '', '', cleanText(p.narration, 20), '', '', '', '', '', '', '',
+      formatSlashDate(opts.paymentDate), '', p.ifscCode, cleanText(p.bankName, 40), '', ''
+    ]
+  },
+  icici: {
+    label: 'ICICI Bank (CIB bulk payment)',
+    header: ['Debit Ac No', 'Beneficiary Ac No', 'Beneficiary Name', 'Amt', 'Pay Mod', 'Date', 'IFSC', 'Payable Location', 'Print Location', 'Bene Mobile No.', 'Bene email ID', 'Bene add1', 'Bene add2', 'Bene add3', 'Bene add4', 'Add details 1', 'Add details 2', 'Add details 3', 'Add details 4', 'Add details 5', 'Remarks'],
+    // Pay mode N = NEFT, M = IMPS
+    row: (p, opts) => [
+      opts.debitAccount, p.accountNumber, cleanText(p.name, 32), formatAmount(p.amount), opts.mode === 'IMPS' ? 'M' : 'N',
+      formatMonthDate(opts.paymentDate), p.ifscCode, '', '', '', '', '', '', '', '', p.workerId, '', '', '', '', cleanText(p.narration, 30)
+    ]
+  },
+  sbi: {
+    label: 'State Bank of India (CINB bulk upload)',
+    header: ['Beneficiary Name', 'Beneficiary Account Number', 'IFSC', 'Transaction Type', 'Debit Account Number', 'Transaction Date', 'Amount', 'Currency', 'Beneficiary Reference', 'Remarks'],
+    row: (p, opts) => [cleanText(p.name, 35), p.accountNumber, p.ifscCode, opts.mode, opts.debitAccount, formatSlashDate(opts.paymentDate), formatAmount(p.amount), 'INR', p.workerId, cleanText(p.narration, 30)]
+  },
+  axis: {
+    label: 'Axis Bank (corporate bulk upload)',
+    header: ['Payment Method', 'Amount', 'Debit Account Number', 'Value Date', 'Beneficiary Name', 'Beneficiary Account Number', 'Beneficiary IFSC', 'Beneficiary Code', 'Remarks'],
+    row: (p, opts) => [opts.mode, formatAmount(p.amount), opts.debitAccount, formatSlashDate(opts.paymentDate), cleanText(p.name, 35), p.accountNumber, p.ifscCode, p.workerId, cleanText(p.narration, 30)]
+  }
+};
+
+const toCsvValue = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Reason the worker's bank details can't be used for a transfer, or null when they are fine
+export const getBankDetailsProblem = (bankDetails) => {
+  const accountNumber = (bankDetails?.accountNumber || '').replace(/\s/g, '');
+  const ifscCode = (bankDetails?.ifscCode || '').replace(/\s/g, '').toUpperCase();
+
+  if (!accountNumber && !ifscCode) return 'No bank details';
+  if (!accountNumber) return 'Missing account number';
+  if (!ACCOUNT_PATTERN.test(accountNumber)) return 'Invalid account number';
+  if (!ifscCode) return 'Missing IFSC code';
+  if (!IFSC_PATTERN.test(ifscCode)) return 'Invalid IFSC code';
+  return null;
+};
+
+// Split history records into bank transfers and cash payments using each worker's current bank details.
+// getAmount picks the payable amount from a record; records with nothing to pay are skipped.
+export const splitBankPayments = async (records, getAmount, narration) => {
+  const workers = await Worker.find({ _id: { $in: records.map(r => r.worker) } }).select('name workerId bankDetails');
+  const workerMap = new Map(workers.map(w => [w._id.toString(), w]));
+
+  const bankPayments = [];
+  const cashPayments = [];
+
+  records.forEach(record => {
+    const amount = Math.round((getAmount(record) || 0) * 100) / 100;
+    if (amount <= 0) return;
+
+    const worker = workerMap.get(record.worker.toString());
+    const bankDetails = worker?.bankDetails;
+    const problem = worker ? getBankDetailsProblem(bankDetails) : 'Worker not found';
+    const payment = {
+      worker: record.worker,
+      workerId: record.workerId || worker?.workerId || '',
+      name: record.workerName || worker?.name || '',
+      amount
+    };
+
+    if (problem) {
+      cashPayments.push({ ...payment, reason: problem });
+      return;
+    }
+
+    bankPayments.push({
+      ...payment,
+      accountNumber: bankDetails.accountNumber.replace(/\s/g, ''),
+      ifscCode: bankDetails.ifscCode.replace(/\s/g, '').toUpperCase(),
+      bankName: bankDetails.bankName || '',
+      narration
+    });
+  });
+
+  return { bankPayments, cashPayments };
+};
+
+// Read format, payment mode, payment date and debit account from the query string.
+// The debit account defaults to the one saved in settings.
+export const getBankFileOptions = async (query) => {
+  const format = (query.format || 'generic').toLowerCase();
+  const mode = (query.mode || 'NEFT').toUpperCase();
+
+  if (!BANK_FILE_FORMATS[format]) {
+    return { error: `Unknown format. Available formats: ${Object.keys(BANK_FILE_FORMATS).join(', ')}` };
+  }
+  if (!PAYMENT_MODES.includes(mode)) {
+    return { error: `Payment mode must be one of: ${PAYMENT_MODES.join(', ')}` };
+  }
+
+  let paymentDate = new Date();
+  if (query.paymentDate) {
+    const [year, month, day] = query.paymentDate.split('-').map(Number);
+    paymentDate = new Date(year, month - 1, day);
+    if (isNaN(paymentDate.getTime())) {
+      return { error: 'paymentDate must be in YYYY-MM-DD format' };
+    }
+  }
+
+  const settings = await Settings.findOne({ key: 'general' });
+  const debitAccount = query.debitAccount || settings?.debitAccountNumber || '';
+
+  return { format, mode, paymentDate, debitAccount };
+};
+
+// Build the upload file (CSV text) for the chosen format
+export const buildBankFile = (format, payments, opts) => {
+  const layout = BANK_FILE_FORMATS[format];
+  const lines = [];
+  if (layout.header) lines.push(layout.header.map(toCsvValue).join(','));
+  payments.forEach(p => lines.push(layout.row(p, opts).map(toCsvValue).join(',')));
+  return lines.join('\r\n') + '\r\n';
+};
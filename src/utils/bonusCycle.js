@@ -0,0 +1,36 @@
+// Bonus cycle: calculated -> reviewed -> approved -> disbursed. Bonuses and saved bonus
+// histories follow the same states; only approved ones can be paid out.
+export const BONUS_CYCLE_STATES = ['calculated', 'reviewed', 'approved', 'disbursed'];
+
+const CYCLE_STEPS = {
+  review: { from: 'calculated', to: 'reviewed', actor: 'reviewedBy' },
+  approve: { from: 'reviewed', to: 'approved', actor: 'approvedBy' }
+};
+
+// Move a bonus or bonus history one step along the cycle ('review' or 'approve') and record
+// who did it. Returns an error message, or null once the document has been updated (not saved).
+export const advanceBonusCycle = (doc, action, by) => {
+  const step = CYCLE_STEPS[action];
+  if (!by || !String(by).trim()) return `${step.actor} is required`;
+  const status = getBonusStatus(doc);
+  if (status !== step.from) {
+    return `Only ${step.from} bonuses can be marked ${step.to} (current status: ${status})`;
+  }
+
+  doc.status = step.to;
+  doc[step.actor] = String(by).trim();
+  doc[`${step.to}At`] = new Date();
+  return null;
+};
+
+// Cycle state of a bonus; one marked paid is disbursed whatever its status says (bonuses paid
+// before the cycle existed were saved without one)
+export const getBonusStatus = (bonus) => (bonus.isPaid ? 'disbursed' : bonus.status);
+
+// Amounts on a bonus can change until it is approved
+export const getBonusLockError = (bonus) => {
+  const status = getBonusStatus(bonus);
+  return ['approved', 'disbursed'].includes(status)
+    ? `Bonus is ${status}; its amounts can no longer be changed`
+    : null;
+};
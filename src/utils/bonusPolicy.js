@@ -0,0 +1,170 @@
+import mongoose from 'mongoose';
+import BonusPolicy from '../models/BonusPolicy.js';
+import { getRateOn } from './pay.js';
+
+export const PENALTY_MODES = ['none', 'per-day', 'daily-wage'];
+export const THRESHOLD_MODES = ['none', 'min-absent', 'fixed'];
+export const ROUNDING_MODES = ['none', 'nearest', 'up', 'down'];
+
+// Rules used when no policy has been saved yet: the original 30 days × 8 hours base, with the
+// threshold each calculate endpoint always applied and the per-day deduction sent with the request
+export const builtInPolicy = (thresholdMode, amountPerDay) => ({
+  _id: null,
+  name: 'built-in',
+  version: 0,
+  baseDays: 30,
+  baseHours: 8,
+  penaltyRule: { mode: 'per-day', amountPerDay: Number(amountPerDay) || 0 },
+  thresholdRule: { mode: thresholdMode, days: 0 },
+  minDaysWorked: 0,
+  cap: null,
+  rounding: { mode: 'none', step: 1 }
+});
+
+// Reference stored on a calculation to record the policy version that produced it
+export const policyRef = (policy) => ({ id: policy._id || null, name: policy.name, version: policy.version });
+
+// Validate policy rules from a request body, on top of `base` (the previous version when
+// saving a new one); returns { rules } or { error }
+export const validatePolicyRules = (body, base = {}) => {
+  const pick = (field) => (body[field] !== undefined ? body[field] : base[field]);
+  const rules = {
+    description: pick('description'),
+    baseDays: Number(pick('baseDays') ?? 30),
+    baseHours: Number(pick('baseHours') ?? 8),
+    penaltyRule: { mode: 'per-day', amountPerDay: 0, ...(base.penaltyRule || {}), ...(body.penaltyRule || {}) },
+    thresholdRule: { mode: 'none', days: 0, ...(base.thresholdRule || {}), ...(body.thresholdRule || {}) },
+    minDaysWorked: Number(pick('minDaysWorked') ?? 0),
+    cap: pick('cap') === undefined || pick('cap') === null || pick('cap') === '' ? null : Number(pick('cap')),
+    rounding: { mode: 'none', step: 1, ...(base.rounding || {}), ...(body.rounding || {}) }
+  };
+
+  if (!(rules.baseDays > 0) || !(rules.baseHours > 0)) {
+    return { error: 'baseDays and baseHours must be greater than 0' };
+  }
+  if (!PENALTY_MODES.includes(rules.penaltyRule.mode)) {
+    return { error: `penaltyRule.mode must be one of: ${PENALTY_MODES.join(', ')}` };
+  }
+  rules.penaltyRule.amountPerDay = Number(rules.penaltyRule.amountPerDay) || 0;
+  if (rules.penaltyRule.amountPerDay < 0) {
+    return { error: 'penaltyRule.amountPerDay cannot be negative' };
+  }
+  if (!THRESHOLD_MODES.includes(rules.thresholdRule.mode)) {
+    return { error: `thresholdRule.mode must be one of: ${THRESHOLD_MODES.join(', ')}` };
+  }
+  rules.thresholdRule.days = Number(rules.thresholdRule.days) || 0;
+  if (rules.thresholdRule.days < 0) {
+    return { error: 'thresholdRule.days cannot be negative' };
+  }
+  if (!(rules.minDaysWorked >= 0)) {
+    return { error: 'minDaysWorked cannot be negative' };
+  }
+  if (rules.cap !== null && !(rules.cap > 0)) {
+    return { error: 'cap must be greater than 0 (or null for no cap)' };
+  }
+  if (!ROUNDING_MODES.includes(rules.rounding.mode)) {
+    return { error: `rounding.mode must be one of: ${ROUNDING_MODES.join(', ')}` };
+  }
+  rules.rounding.step = Number(rules.rounding.step) || 1;
+  if (rules.rounding.step <= 0) {
+    return { error: 'rounding.step must be greater than 0' };
+  }
+
+  return { rules };
+};
+
+// Latest version of a named policy
+export const findLatestPolicy = (name) => BonusPolicy.findOne({ name }).sort({ version: -1 });
+
+// Policy for a calculation: a specific version by id, the latest version by name, or the
+// latest version of the default policy. Returns null when none applies (use builtInPolicy).
+export const resolvePolicy = async ({ policyId, policyName } = {}) => {
+  if (policyId) {
+    if (!mongoose.Types.ObjectId.isValid(policyId)) return null;
+    return BonusPolicy.findById(policyId);
+  }
+  if (policyName) return findLatestPolicy(policyName);
+
+  const defaultPolicy = await BonusPolicy.findOne({ isDefault: true }).sort({ version: -1 });
+  return defaultPolicy ? findLatestPolicy(defaultPolicy.name) : null;
+};
+
+const roundBonus = (amount, rounding) => {
+  const step = rounding?.step || 1;
+  switch (rounding?.mode) {
+    case 'nearest': return Math.round(amount / step) * step;
+    case 'up': return Math.ceil(amount / step) * step;
+    case 'down': return Math.floor(amount / step) * step;
+    default: return amount;
+  }
+};
+
+// Unpenalised absent days under the policy's threshold rule for this group of workers.
+// 'min-absent' compares workers employed for the whole period when there are any, so a
+// joiner's or leaver's short attendance doesn't lower everyone's allowance.
+export const getAbsentThreshold = (policy, workerData) => {
+  const { mode, days } = policy.thresholdRule || {};
+  if (mode === 'fixed') return days || 0;
+  if (mode === 'min-absent') {
+    const fullPeriod = workerData.filter(w => (w.prorationFactor ?? 1) >= 1);
+    const compared = fullPeriod.length > 0 ? fullPeriod : workerData;
+    return compared.length > 0 ? Math.min(...compared.map(w => w.totalDaysAbsent)) : 0;
+  }
+  return 0;
+};
+
+// Bonus for one worker under a policy (before extra bonus and deposits).
+// threshold: unpenalised absent days from getAbsentThreshold; the base is pro-rated by
+// prorationFactor (share of the period the worker was employed, 1 when not given).
+export const calculatePolicyBonus = (policy, { worker, totalDaysWorked, totalDaysAbsent, prorationFactor = 1 }, periodEnd, threshold) => {
+  const hourlyRate = getRateOn(worker, periodEnd);
+  const baseBonusAmount = policy.baseDays * policy.baseHours * hourlyRate * prorationFactor;
+  const eligible = totalDaysWorked >= (policy.minDaysWorked || 0);
+
+  const extraAbsents = Math.max(0, totalDaysAbsent - threshold);
+  const absentPenaltyPerDay = policy.penaltyRule.mode === 'daily-wage'
+    ? policy.baseHours * hourlyRate
+    : policy.penaltyRule.mode === 'per-day' ? policy.penaltyRule.amountPerDay || 0 : 0;
+  const totalPenalty = extraAbsents * absentPenaltyPerDay;
+
+  let policyBonus = eligible ? Math.max(0, baseBonusAmount - totalPenalty) : 0;
+  const capped = policy.cap !== null && policy.cap !== undefined && policyBonus > policy.cap;
+  if (capped) policyBonus = policy.cap;
+  policyBonus = roundBonus(policyBonus, policy.rounding);
+
+  return {
+    hourlyRate,
+    prorationFactor,
+    baseBonusAmount,
+    minAbsentThreshold: threshold,
+    extraAbsents,
+    absentPenaltyPerDay,
+    totalPenalty,
+    eligible,
+    capped,
+    policyBonus,
+    policy: policyRef(policy)
+  };
+};
+
+// Policy part of a bonus record (base - penalty after eligibility, cap and rounding).
+// Records calculated before policies existed only carry base and penalty.
+export const getPolicyBonus = (record) => {
+  if (record.policyBonus !== undefined && record.policyBonus !== null) return Number(record.policyBonus) || 0;
+  return Math.max(0, (Number(record.baseBonusAmount) || 0) - (Number(record.totalPenalty) || 0));
+};
+
+// Gross amount set by the latest approved override (PUT /api/bonus/:id), or null without one.
+// An override stands until it is overridden again.
+export const getOverrideAmount = (bonus) => {
+  const overrides = bonus?.overrides || [];
+  return overrides.length > 0 ? Number(overrides[overrides.length - 1].newAmount) || 0 : null;
+};
+
+// Set a bonus's derived amounts from its canonical fields:
+// finalBonusAmount = policy bonus + extra bonus (or the override amount), amountToGiveEmployee = finalBonusAmount - employee deposit
+export const recalculateBonusAmounts = (bonus) => {
+  bonus.finalBonusAmount = getOverrideAmount(bonus) ?? Math.max(0, getPolicyBonus(bonus) + (Number(bonus.extraBonus) || 0));
+  bonus.amountToGiveEmployee = Math.max(0, bonus.finalBonusAmount - (Number(bonus.employeeDeposit) || 0));
+  return bonus;
+};
@@ -0,0 +1,84 @@
+import Worker from '../models/Worker.js';
+import DailyEntry from '../models/DailyEntry.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+// Calendar days from start to end, both included
+const daysBetween = (start, end) => Math.round((startOfDay(end) - startOfDay(start)) / DAY_MS) + 1;
+
+// Days the worker was employed in the period and the share of the base bonus that earns.
+// Workers saved before joining dates were recorded count from the start of the period.
+export const getProration = (worker, periodStart, periodEnd, lastEntryDate) => {
+  const periodDays = daysBetween(periodStart, periodEnd);
+
+  // Inactive workers without a leaving date are taken to have left after their last daily entry
+  const left = worker.leavingDate || (worker.isActive === false ? lastEntryDate : null);
+  if (worker.isActive === false && !left) {
+    return { daysEmployed: 0, periodDays, prorationFactor: 0 };
+  }
+
+  const from = worker.joiningDate && worker.joiningDate > periodStart ? worker.joiningDate : periodStart;
+  const to = left && left < periodEnd ? left : periodEnd;
+  const daysEmployed = from > to ? 0 : Math.min(periodDays, daysBetween(from, to));
+
+  return {
+    daysEmployed,
+    periodDays,
+    prorationFactor: Math.round((daysEmployed / periodDays) * 10000) / 10000
+  };
+};
+
+// Workers owed a bonus for the period with their proration: active workers employed in it
+// and workers who left during it. Returns [{ worker, daysEmployed, periodDays, prorationFactor }].
+export const findBonusWorkers = async (periodStart, periodEnd) => {
+  const workers = await Worker.find({
+    $or: [
+      { isActive: true },
+      { leavingDate: { $gte: periodStart } },
+      { isActive: false, leavingDate: null }
+    ]
+  });
+
+  const undated = workers.filter(w => w.isActive === false && !w.leavingDate).map(w => w._id);
+  const lastEntries = undated.length === 0 ? [] : await DailyEntry.aggregate([
+    { $match: { worker: { $in: undated } } },
+    { $group: { _id: '$worker', last: { $max: '$date' } } }
+  ]);
+  const lastEntryByWorker = new Map(lastEntries.map(row => [row._id.toString(), row.last]));
+
+  return workers
+    .map(worker => ({
+      worker,
+      ...getProration(worker, periodStart, periodEnd, lastEntryByWorker.get(worker._id.toString()))
+    }))
+    .filter(line => line.daysEmployed > 0);
+};
+
+// Attendance in the period for every worker owed a bonus. Gathered for all of them before
+// any bonus is worked out, since the threshold rule may compare workers.
+export const gatherBonusAttendance = async (periodStart, periodEnd) => {
+  const employed = await findBonusWorkers(periodStart, periodEnd);
+
+  const workerData = [];
+  for (const { worker, daysEmployed, prorationFactor } of employed) {
+    const entries = await DailyEntry.find({
+      worker: worker._id,
+      date: { $gte: periodStart, $lte: periodEnd }
+    }).select('status');
+
+    workerData.push({
+      worker,
+      totalDaysWorked: entries.filter(e => e.status === 'present' || e.status === 'holiday').length,
+      totalDaysAbsent: entries.filter(e => e.status === 'absent').length,
+      daysEmployed,
+      prorationFactor
+    });
+  }
+  return workerData;
+};
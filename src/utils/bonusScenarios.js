@@ -0,0 +1,121 @@
+import BonusPolicy from '../models/BonusPolicy.js';
+import { getAbsentThreshold, calculatePolicyBonus, findLatestPolicy } from './bonusPolicy.js';
+
+const RULE_FIELDS = ['baseDays', 'baseHours', 'penaltyRule', 'thresholdRule', 'minDaysWorked', 'cap', 'rounding'];
+
+// Rule fields of a policy or scenario as a plain object (for storing and comparing)
+export const pickRules = (source) => {
+  const plain = source.toObject ? source.toObject() : source;
+  const rules = {};
+  RULE_FIELDS.forEach(field => {
+    const value = plain[field];
+    rules[field] = value && typeof value === 'object'
+      ? Object.fromEntries(Object.entries(value).filter(([key]) => key !== '_id'))
+      : value ?? null;
+  });
+  return rules;
+};
+
+const sameRules = (a, b) => JSON.stringify(pickRules(a)) === JSON.stringify(pickRules(b));
+
+// Work out a scenario's rules over gathered attendance (see gatherBonusAttendance)
+export const runScenario = (rules, workerData, periodEnd) => {
+  const threshold = getAbsentThreshold(rules, workerData);
+  const totals = { workers: 0, eligibleWorkers: 0, baseBonusAmount: 0, totalPenalty: 0, policyBonus: 0 };
+
+  const lines = workerData.map(data => {
+    const calculated = calculatePolicyBonus(rules, data, periodEnd, threshold);
+    totals.workers++;
+    if (calculated.eligible) totals.eligibleWorkers++;
+    totals.baseBonusAmount += calculated.baseBonusAmount;
+    totals.totalPenalty += calculated.totalPenalty;
+    totals.policyBonus += calculated.policyBonus;
+
+    return {
+      worker: data.worker._id,
+      workerId: data.worker.workerId,
+      workerName: data.worker.name,
+      hourlyRate: calculated.hourlyRate,
+      prorationFactor: calculated.prorationFactor,
+      totalDaysWorked: data.totalDaysWorked,
+      totalDaysAbsent: data.totalDaysAbsent,
+      extraAbsents: calculated.extraAbsents,
+      baseBonusAmount: calculated.baseBonusAmount,
+      totalPenalty: calculated.totalPenalty,
+      eligible: calculated.eligible,
+      capped: calculated.capped,
+      policyBonus: calculated.policyBonus
+    };
+  });
+
+  lines.sort((a, b) => (a.workerName || '').localeCompare(b.workerName || ''));
+  return { lines, totals };
+};
+
+// Side-by-side view of scenarios: totals per scenario (with the difference from the first one)
+// and each worker's bonus under every scenario (null where the worker is not in a scenario)
+export const compareScenarios = (scenarios) => {
+  const baseline = scenarios[0].totals?.policyBonus || 0;
+  const summary = scenarios.map(scenario => ({
+    _id: scenario._id,
+    name: scenario.name,
+    status: scenario.status,
+    rules: scenario.rules,
+    calculatedAt: scenario.calculatedAt,
+    totals: scenario.totals,
+    differenceFromFirst: (scenario.totals?.policyBonus || 0) - baseline
+  }));
+
+  const workers = new Map();
+  scenarios.forEach((scenario, index) => {
+    scenario.lines.forEach(line => {
+      const key = line.worker.toString();
+      if (!workers.has(key)) {
+        workers.set(key, {
+          worker: line.worker,
+          workerId: line.workerId,
+          workerName: line.workerName,
+          amounts: scenarios.map(() => null)
+        });
+      }
+      workers.get(key).amounts[index] = line.policyBonus;
+    });
+  });
+
+  const lines = [...workers.values()].map(line => {
+    const present = line.amounts.filter(amount => amount !== null);
+    const min = Math.min(...present);
+    const max = Math.max(...present);
+    return { ...line, min, max, spread: max - min };
+  });
+  lines.sort((a, b) => (a.workerName || '').localeCompare(b.workerName || ''));
+
+  return { scenarios: summary, workers: lines };
+};
+
+// Policy version to promote a scenario with. The rules are saved under policyName (default: the
+// policy the scenario started from, else the scenario's name) unless the latest version of that
+// policy already has exactly these rules. A new version of the default policy would change every
+// later calculation that names no policy, so it is only saved when makeDefault is set.
+export const getPromotionPolicy = async (scenario, { policyName, createdBy, makeDefault } = {}) => {
+  let name = policyName ? String(policyName).trim() : '';
+  if (!name) name = scenario.basePolicy?.name && scenario.basePolicy.name !== 'built-in' ? scenario.basePolicy.name : scenario.name;
+
+  const rules = pickRules(scenario.toObject ? scenario.toObject().rules : scenario.rules);
+  const latest = await findLatestPolicy(name);
+  if (latest && sameRules(latest, rules)) return { policy: latest };
+
+  if (latest?.isDefault && makeDefault !== true) {
+    return { error: `'${name}' is the default bonus policy; give another policyName, or set makeDefault to change the default rules` };
+  }
+
+  const policy = await BonusPolicy.create({
+    name,
+    version: latest ? latest.version + 1 : 1,
+    ...rules,
+    description: `Promoted from bonus scenario "${scenario.name}"`,
+    isDefault: latest?.isDefault || false,
+    createdBy
+  });
+  return { policy };
+};
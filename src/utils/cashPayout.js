@@ -0,0 +1,227 @@
+import ExcelJS from 'exceljs';
+import PDFDocument from 'pdfkit';
+import Settings from '../models/Settings.js';
+import { splitBankPayments } from './bankFile.js';
+import { PDF_CURRENCY } from './payslip.js';
+
+export const DEFAULT_DENOMINATIONS = [500, 200, 100, 50, 20, 10, 5, 2, 1];
+
+// Denominations to pay out in, largest first. A comma separated query value
+// (e.g. "500,200,100") overrides the list saved in settings.
+export const getDenominations = async (override) => {
+  let denominations;
+  if (override) {
+    denominations = String(override).split(',').map(Number);
+  } else {
+    const settings = await Settings.findOne({ key: 'general' });
+    denominations = settings?.cashDenominations?.length ? settings.cashDenominations : DEFAULT_DENOMINATIONS;
+  }
+
+  if (denominations.some(d => !Number.isInteger(d) || d <= 0)) {
+    return { error: 'Denominations must be positive whole rupee amounts' };
+  }
+
+  return { denominations: [...new Set(denominations)].sort((a, b) => b - a) };
+};
+
+// Count of each denomination needed for an amount (largest notes first).
+// Amounts are rounded to whole rupees; anything the list can't make up is returned as remainder.
+export const breakDownAmount = (amount, denominations) => {
+  let remaining = Math.round(amount || 0);
+  const counts = {};
+  denominations.forEach(d => {
+    counts[d] = Math.floor(remaining / d);
+    remaining -= counts[d] * d;
+  });
+  return { counts, remainder: remaining };
+};
+
+// Per-worker and total denomination breakdown for history records.
+// With cashOnly, workers who can be paid by bank transfer are left out.
+export const buildCashPayout = async (records, getAmount, denominations, cashOnly) => {
+  let payable = records
+    .map(record => ({
+      worker: record.worker,
+      workerId: record.workerId || '',
+      workerName: record.workerName || '',
+      amount: Math.round(getAmount(record) || 0)
+    }))
+    .filter(line => line.amount > 0);
+
+  if (cashOnly) {
+    const { cashPayments } = await splitBankPayments(records, getAmount, '');
+    const cashWorkers = new Set(cashPayments.map(p => p.worker.toString()));
+    payable = payable.filter(line => cashWorkers.has(line.worker.toString()));
+  }
+
+  const totals = {};
+  denominations.forEach(d => { totals[d] = 0; });
+  let totalRemainder = 0;
+
+  const lines = payable.map(line => {
+    const { counts, remainder } = breakDownAmount(line.amount, denominations);
+    denominations.forEach(d => { totals[d] += counts[d]; });
+    totalRemainder += remainder;
+    return { ...line, counts, remainder };
+  });
+
+  return {
+    denominations,
+    lines,
+    totals,
+    totalRemainder,
+    totalAmount: lines.reduce((sum, l) => sum + l.amount, 0)
+  };
+};
+
+// Excel sheet: one row per worker with note counts and a signature column
+export const renderCashPayoutExcel = async (payout, title, companyName) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Worker Management System';
+  workbook.created = new Date();
+
+  const worksheet = workbook.addWorksheet('Cash Payout');
+  const headers = ['S.No', 'Worker ID', 'Name', 'Amount (₹)', ...payout.denominations.map(d => `₹${d}`), 'Signature'];
+  const lastColumn = worksheet.getColumn(headers.length).letter;
+
+  if (companyName) {
+    worksheet.mergeCells(`A1:${lastColumn}1`);
+    worksheet.getCell('A1').value = companyName;
+    worksheet.getCell('A1').font = { bold: true, size: 18 };
+    worksheet.getCell('A1').alignment = { horizontal: 'center' };
+  }
+
+  const titleRow = worksheet.addRow([title]);
+  worksheet.mergeCells(`A${titleRow.number}:${lastColumn}${titleRow.number}`);
+  titleRow.getCell(1).font = { bold: true, size: 16 };
+  titleRow.getCell(1).alignment = { horizontal: 'center' };
+  worksheet.addRow([]);
+
+  const border = {
+    top: { style: 'thin' },
+    left: { style: 'thin' },
+    bottom: { style: 'thin' },
+    right: { style: 'thin' }
+  };
+
+  const headerRow = worksheet.addRow(headers);
+  headerRow.font = { bold: true };
+  headerRow.eachCell((cell) => {
+    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+    cell.border = border;
+  });
+
+  payout.lines.forEach((line, index) => {
+    const row = worksheet.addRow([
+      index + 1,
+      line.workerId,
+      line.workerName,
+      line.amount,
+      ...payout.denominations.map(d => line.counts[d] || ''),
+      ''
+    ]);
+    row.height = 28;
+    row.eachCell({ includeEmpty: true }, (cell) => {
+      cell.border = border;
+    });
+  });
+
+  worksheet.addRow([]);
+  const totalRow = worksheet.addRow(['', '', 'TOTAL:', payout.totalAmount, ...payout.denominations.map(d => payout.totals[d])]);
+  totalRow.font = { bold: true };
+
+  const cashRow = worksheet.addRow(['', '', 'Cash (₹):', '', ...payout.denominations.map(d => payout.totals[d] * d)]);
+  cashRow.font = { italic: true };
+
+  worksheet.columns = [
+    { width: 8 },
+    { width: 15 },
+    { width: 25 },
+    { width: 15 },
+    ...payout.denominations.map(() => ({ width: 9 })),
+    { width: 25 }
+  ];
+
+  return workbook.xlsx.writeBuffer();
+};
+
+// PDF sheet (A4 landscape) with the same columns as the Excel version. When the note columns
+// don't fit across the page they are split into groups, each printed as its own set of pages
+// (the signature column goes with the last group).
+export const renderCashPayoutPdf = (payout, title, companyName) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 30 });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+
+  const fixed = [30, 60, 120, 60];
+  const signatureWidth = 110;
+  const minNoteWidth = 24;
+  const fixedWidth = fixed.reduce((a, b) => a + b, 0);
+  const perGroup = Math.max(1, Math.floor((width - fixedWidth - signatureWidth) / minNoteWidth));
+
+  const groups = [];
+  for (let i = 0; i < payout.denominations.length; i += perGroup) {
+    groups.push(payout.denominations.slice(i, i + perGroup));
+  }
+  if (groups.length === 0) groups.push([]);
+
+  groups.forEach((denominations, groupIndex) => {
+    const withSignature = groupIndex === groups.length - 1;
+    const rest = width - fixedWidth - (withSignature ? signatureWidth : 0);
+    const noteWidth = denominations.length ? Math.max(minNoteWidth, rest / denominations.length) : 0;
+    const widths = [...fixed, ...denominations.map(() => noteWidth), ...(withSignature ? [signatureWidth] : [])];
+    const signature = withSignature ? [''] : [];
+    const headers = ['S.No', 'Worker ID', 'Name', 'Amount', ...denominations.map(String), ...(withSignature ? ['Signature'] : [])];
+    const lastAmountColumn = fixed.length + denominations.length - 1;
+
+    const drawRow = (values, y, height, bold) => {
+      let x = left;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      values.forEach((value, i) => {
+        doc.rect(x, y, widths[i], height).stroke();
+        doc.text(String(value ?? ''), x + 3, y + (height - 9) / 2, { width: widths[i] - 6, align: i >= 3 && i <= lastAmountColumn ? 'right' : 'left', lineBreak: false, ellipsis: true });
+        x += widths[i];
+      });
+    };
+
+    const drawHeader = () => {
+      if (companyName) doc.font('Helvetica-Bold').fontSize(16).text(companyName, left, doc.y, { width, align: 'center' });
+      doc.font('Helvetica-Bold').fontSize(12).text(title, left, doc.y, { width, align: 'center' });
+      const part = groups.length > 1 ? ` (notes ${groupIndex + 1} of ${groups.length})` : '';
+      doc.font('Helvetica').fontSize(9).text(`Amounts in ${PDF_CURRENCY}; note columns show the number of notes/coins${part}`, left, doc.y, { width, align: 'center' });
+      doc.moveDown(0.5);
+      const y = doc.y;
+      drawRow(headers, y, 18, true);
+      return y + 18;
+    };
+
+    if (groupIndex > 0) doc.addPage();
+    let y = drawHeader();
+    const rowHeight = 26;
+
+    payout.lines.forEach((line, index) => {
+      if (y + rowHeight > bottom) {
+        doc.addPage();
+        y = drawHeader();
+      }
+      drawRow([index + 1, line.workerId, line.workerName, line.amount, ...denominations.map(d => line.counts[d] || ''), ...signature], y, rowHeight, false);
+      y += rowHeight;
+    });
+
+    if (y + 36 > bottom) {
+      doc.addPage();
+      y = doc.page.margins.top;
+    }
+    drawRow(['', '', 'TOTAL', payout.totalAmount, ...denominations.map(d => payout.totals[d]), ...signature], y, 18, true);
+    drawRow(['', '', `Cash (${PDF_CURRENCY})`, '', ...denominations.map(d => payout.totals[d] * d), ...signature], y + 18, 18, false);
+  });
+
+  doc.end();
+});
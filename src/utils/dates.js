@@ -0,0 +1,12 @@
+// Parse a yyyy-mm-dd string as local midnight (new Date('yyyy-mm-dd') would give UTC midnight)
+export const parseLocalDate = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+// Period dates arrive as yyyy-mm-dd from the app, or as full ISO strings from older clients
+export const parsePeriodDate = (value) => (
+  /^\d{4}-\d{2}-\d{2}$/.test(value) ? parseLocalDate(value) : new Date(value)
+);
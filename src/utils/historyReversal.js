@@ -0,0 +1,160 @@
+import Advance from '../models/Advance.js';
+import Worker from '../models/Worker.js';
+import Arrears from '../models/Arrears.js';
+import Loan from '../models/Loan.js';
+import Payment from '../models/Payment.js';
+import { repairWorkerLedger } from './advanceLedger.js';
+import { postAdvanceMovement, MoneyMovementError } from './advanceMovements.js';
+import { reverseLoanRepayments } from './loans.js';
+
+const LABELS = { SalaryHistory: 'salary run', BonusHistory: 'bonus history' };
+
+// Change an entry made to the advance balance
+const balanceEffect = (type, amount) => (type === 'advance' ? amount : -amount);
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN');
+
+// One worker's part of a history reversal: the linked entries to remove, a compensating entry
+// for whatever the history line changed without a linked one, and the balances before and after.
+// `record` is the worker's history line (if any), `entries` the Advance rows linked to the history.
+export const buildReversalLine = (worker, record, entries, { posted, source, notes }) => {
+  const recordEffect = posted && record ? (record.newAdvance || 0) - (record.deposit || 0) : 0;
+  const linkedEffect = entries.reduce((sum, a) => sum + balanceEffect(a.type, a.amount), 0);
+  const unlinked = recordEffect - linkedEffect;
+
+  const compensations = [];
+  if (Math.abs(unlinked) >= 0.005) {
+    compensations.push({
+      worker: worker._id,
+      type: unlinked > 0 ? 'deposit' : 'advance',
+      amount: Math.abs(unlinked),
+      notes,
+      source
+    });
+  }
+
+  const sumOf = (rows, match) => rows.filter(r => match(r.type)).reduce((sum, r) => sum + r.amount, 0);
+  const totalAdvanceTaken = (worker.totalAdvanceTaken || 0)
+    - sumOf(entries, t => t === 'advance') + sumOf(compensations, t => t === 'advance');
+  const totalAdvanceRepaid = (worker.totalAdvanceRepaid || 0)
+    - sumOf(entries, t => t !== 'advance') + sumOf(compensations, t => t !== 'advance');
+
+  return {
+    worker: worker._id,
+    workerName: worker.name,
+    workerId: worker.workerId,
+    removeEntries: entries.map(a => ({ _id: a._id, date: a.date, type: a.type, amount: a.amount, notes: a.notes })),
+    compensations,
+    before: {
+      advanceBalance: worker.advanceBalance || 0,
+      totalAdvanceTaken: worker.totalAdvanceTaken || 0,
+      totalAdvanceRepaid: worker.totalAdvanceRepaid || 0
+    },
+    after: {
+      advanceBalance: (worker.advanceBalance || 0) - recordEffect,
+      totalAdvanceTaken,
+      totalAdvanceRepaid
+    }
+  };
+};
+
+// Work out what deleting a salary/bonus history takes back out, without changing anything.
+// Movements linked to the history are removed. Whatever the history changed without a linked
+// entry (histories saved before entries were linked) is undone with a compensating entry,
+// which keeps the deleted history as its source.
+// `posted` is false for histories whose deposits/new advances were never posted (draft runs).
+export const planHistoryReversal = async (kind, history, { posted = true } = {}) => {
+  const linked = await Advance.find({ 'source.kind': kind, 'source.id': history._id }).sort({ date: 1 });
+  const workerIds = [...new Set([
+    ...history.records.map(r => r.worker.toString()),
+    ...linked.map(a => a.worker.toString())
+  ])];
+  const workers = await Worker.find({ _id: { $in: workerIds } });
+  const label = `${LABELS[kind]} ${formatDate(history.periodStart)} - ${formatDate(history.periodEnd)}`;
+
+  const lines = workers.map(worker => {
+    const id = worker._id.toString();
+    const record = history.records.find(r => r.worker.toString() === id);
+    const entries = linked.filter(a => a.worker.toString() === id);
+    return buildReversalLine(worker, record, entries, {
+      posted,
+      source: { kind, id: history._id },
+      notes: `Reversal of deleted ${label}`
+    });
+  }).filter(line => line.removeEntries.length > 0 || line.compensations.length > 0);
+
+  // Repayment plan installments recorded by a salary run
+  const planAdvances = kind === 'SalaryHistory'
+    ? await Advance.find({ 'repaymentPlan.installments.salaryHistory': history._id })
+    : [];
+  const plans = planAdvances.map(advance => {
+    const installment = advance.repaymentPlan.installments.find(i => i.salaryHistory?.toString() === history._id.toString());
+    return { advance: advance._id, worker: advance.worker, paidAmount: installment.paidAmount, reopens: advance.repaymentPlan.status === 'completed' };
+  });
+
+  const loans = (await Loan.find({ 'repayments.source.kind': kind, 'repayments.source.id': history._id }))
+    .map(loan => ({
+      loan: loan._id,
+      worker: loan.worker,
+      amount: loan.repayments
+        .filter(r => r.source?.kind === kind && r.source.id?.toString() === history._id.toString())
+        .reduce((sum, r) => sum + r.amount, 0)
+    }));
+
+  const arrears = kind === 'SalaryHistory' ? await Arrears.find({ settledIn: history._id }).select('_id worker arrearsAmount') : [];
+  const payments = await Payment.countDocuments({ 'source.kind': kind, 'source.id': history._id });
+
+  // New advances the worker has already repaid can't be taken back out without a negative balance
+  const blocked = lines
+    .filter(line => line.after.advanceBalance < -0.005)
+    .map(line => `${line.workerName} would be left with a negative advance balance (${line.after.advanceBalance})`);
+
+  return { workers: lines, plans, loans, arrears, paymentsRemoved: payments, blocked };
+};
+
+// Apply a reversal worked out by planHistoryReversal (the caller deletes the history itself)
+export const executeHistoryReversal = async (kind, history, reversal, session) => {
+  const entryIds = reversal.workers.flatMap(line => line.removeEntries.map(e => e._id));
+  if (entryIds.length > 0) {
+    await Advance.deleteMany({ _id: { $in: entryIds } }, { session });
+  }
+
+  // Replay the remaining entries first so compensations post against the corrected balance
+  for (const line of reversal.workers) {
+    const worker = await Worker.findById(line.worker).session(session || null);
+    if (line.removeEntries.length > 0) await repairWorkerLedger(worker, session);
+
+    for (const compensation of line.compensations) {
+      await postAdvanceMovement(compensation, session);
+    }
+
+    const updated = await Worker.findById(line.worker).select('name advanceBalance').session(session || null);
+    if ((updated.advanceBalance || 0) < -0.005) {
+      throw new MoneyMovementError(`${updated.name} would be left with a negative advance balance`, 409);
+    }
+  }
+
+  for (const plan of reversal.plans) {
+    const advance = await Advance.findById(plan.advance).session(session || null);
+    const repaymentPlan = advance.repaymentPlan;
+    repaymentPlan.installments = repaymentPlan.installments.filter(i => i.salaryHistory?.toString() !== history._id.toString());
+    repaymentPlan.amountRecovered = Math.max(0, (repaymentPlan.amountRecovered || 0) - (plan.paidAmount || 0));
+    if (plan.reopens) {
+      repaymentPlan.status = 'active';
+      repaymentPlan.completedAt = undefined;
+    }
+    await advance.save({ session });
+  }
+
+  await reverseLoanRepayments(kind, history._id, session);
+
+  if (reversal.arrears.length > 0) {
+    await Arrears.updateMany(
+      { _id: { $in: reversal.arrears.map(a => a._id) } },
+      { $set: { status: 'pending' }, $unset: { settledIn: '', settledDate: '' } },
+      { session }
+    );
+  }
+
+  await Payment.deleteMany({ 'source.kind': kind, 'source.id': history._id }, { session });
+};
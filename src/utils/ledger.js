@@ -0,0 +1,58 @@
+import Payment from '../models/Payment.js';
+
+// Write one line to the payments ledger
+export const recordPayment = async (data, session) => {
+  const [payment] = await Payment.create([{
+    ...data,
+    netAmount: data.netAmount ?? data.amount
+  }], { session });
+  return payment;
+};
+
+// Remove ledger lines written for a source (optionally only for some workers),
+// e.g. when a payment mark is undone or the source document is deleted
+export const removeSourcePayments = (kind, id, workerIds, session) => {
+  const filter = { 'source.kind': kind, 'source.id': id };
+  if (workerIds) filter.worker = { $in: workerIds };
+  return Payment.deleteMany(filter, { session });
+};
+
+// Ledger lines for salary history records that were just marked paid.
+// Written one at a time: operations inside a transaction must not run in parallel.
+export const recordSalaryLinePayments = async (history, records, session) => {
+  for (const record of records) {
+    await recordPayment({
+      worker: record.worker,
+      type: 'salary',
+      amount: (record.totalPay || 0) + (record.arrears || 0),
+      advanceDeducted: record.deposit || 0,
+      loanDeducted: record.loanDeduction || 0,
+      netAmount: record.finalAmount || 0,
+      date: record.paidDate,
+      periodStart: history.periodStart,
+      periodEnd: history.periodEnd,
+      paymentMode: record.paymentMode,
+      reference: record.paymentReference,
+      source: { kind: 'SalaryHistory', id: history._id }
+    }, session);
+  }
+};
+
+// Ledger lines for bonus history records that were just marked paid
+export const recordBonusLinePayments = async (history, records, session) => {
+  for (const record of records) {
+    await recordPayment({
+      worker: record.worker,
+      type: 'bonus',
+      amount: record.finalBonusAmount || 0,
+      advanceDeducted: record.deposit || 0,
+      netAmount: record.amountToGiveEmployee || 0,
+      date: record.paidDate,
+      periodStart: history.periodStart,
+      periodEnd: history.periodEnd,
+      paymentMode: record.paymentMode,
+      reference: record.paymentReference,
+      source: { kind: 'BonusHistory', id: history._id }
+    }, session);
+  }
+};
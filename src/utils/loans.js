@@ -0,0 +1,284 @@
+import Loan from '../models/Loan.js';
+import { MoneyMovementError } from './advanceMovements.js';
+import { parsePeriodDate } from './dates.js';
+
+export const INTEREST_METHODS = ['flat', 'reducing'];
+
+// Same day n months later (clamped to the month's last day, e.g. 31 Jan + 1 month = 28/29 Feb)
+const addMonths = (date, n) => {
+  const d = new Date(date);
+  const day = d.getDate();
+  d.setDate(1);
+  d.setMonth(d.getMonth() + n);
+  d.setDate(Math.min(day, new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate()));
+  return d;
+};
+
+// Validate loan terms from a request body; returns { terms } or { error }
+export const validateLoanTerms = (body) => {
+  const principal = Number(body.principal);
+  const interestRate = Number(body.interestRate || 0);
+  const fee = Number(body.fee || 0);
+  const tenureMonths = Number(body.tenureMonths);
+  const interestMethod = body.interestMethod || 'flat';
+
+  if (!(principal > 0)) {
+    return { error: 'principal must be greater than 0' };
+  }
+  if (!INTEREST_METHODS.includes(interestMethod)) {
+    return { error: `interestMethod must be one of: ${INTEREST_METHODS.join(', ')}` };
+  }
+  if (!(interestRate >= 0 && interestRate <= 100)) {
+    return { error: 'interestRate must be an annual percentage between 0 and 100' };
+  }
+  if (!(fee >= 0)) {
+    return { error: 'fee cannot be negative' };
+  }
+  if (!Number.isInteger(tenureMonths) || tenureMonths < 1 || tenureMonths > 120) {
+    return { error: 'tenureMonths must be a whole number of months between 1 and 120' };
+  }
+
+  const disbursedDate = body.disbursedDate ? parsePeriodDate(body.disbursedDate) : new Date();
+  const firstDueDate = body.firstDueDate ? parsePeriodDate(body.firstDueDate) : addMonths(disbursedDate, 1);
+  if (isNaN(disbursedDate.getTime()) || isNaN(firstDueDate.getTime())) {
+    return { error: 'Invalid date format' };
+  }
+  if (firstDueDate < disbursedDate) {
+    return { error: 'firstDueDate cannot be before disbursedDate' };
+  }
+
+  return { terms: { principal, interestMethod, interestRate, fee, tenureMonths, disbursedDate, firstDueDate } };
+};
+
+// Monthly amortization schedule in whole rupees; the last installment absorbs the rounding.
+// Flat: interest on the full principal for the whole tenure, split evenly.
+// Reducing: a level EMI where each month's interest is charged on the principal still owed.
+export const buildAmortizationSchedule = ({ principal, interestMethod, interestRate, fee, tenureMonths, firstDueDate }) => {
+  const n = tenureMonths;
+  const monthlyRate = interestRate / 1200;
+  const feePerInstallment = Math.round((fee || 0) / n);
+  const flatInterest = Math.round(principal * interestRate / 100 * n / 12);
+
+  let levelEmi = 0;
+  if (interestMethod === 'reducing') {
+    levelEmi = monthlyRate === 0
+      ? principal / n
+      : principal * monthlyRate * Math.pow(1 + monthlyRate, n) / (Math.pow(1 + monthlyRate, n) - 1);
+    levelEmi = Math.round(levelEmi);
+  }
+
+  const schedule = [];
+  let balance = principal;
+  let interestCharged = 0;
+  let feeCharged = 0;
+
+  for (let k = 1; k <= n; k++) {
+    const last = k === n;
+    let interest;
+    let principalPart;
+
+    if (interestMethod === 'flat') {
+      interest = last ? flatInterest - interestCharged : Math.round(flatInterest / n);
+      principalPart = last ? balance : Math.round(principal / n);
+    } else {
+      interest = Math.round(balance * monthlyRate);
+      principalPart = last ? balance : Math.min(balance, levelEmi - interest);
+    }
+
+    const feePart = last ? (fee || 0) - feeCharged : feePerInstallment;
+    balance -= principalPart;
+    interestCharged += interest;
+    feeCharged += feePart;
+
+    schedule.push({
+      installmentNo: k,
+      dueDate: addMonths(firstDueDate, k - 1),
+      principal: principalPart,
+      interest,
+      fee: feePart,
+      emi: principalPart + interest + feePart,
+      balanceAfter: balance,
+      paidAmount: 0,
+      status: 'pending'
+    });
+  }
+
+  return {
+    schedule,
+    emiAmount: schedule[0].emi,
+    totalInterest: interestCharged,
+    totalPayable: principal + interestCharged + (fee || 0)
+  };
+};
+
+// Spread the loan's repayments over its installments in order and refresh the totals and status
+export const allocateRepayments = (loan) => {
+  let available = loan.repayments.reduce((sum, r) => sum + (r.amount || 0), 0);
+  loan.amountRepaid = available;
+
+  loan.schedule.forEach(installment => {
+    installment.paidAmount = Math.min(available, installment.emi);
+    available -= installment.paidAmount;
+    if (installment.paidAmount >= installment.emi) installment.status = 'paid';
+    else installment.status = installment.paidAmount > 0 ? 'partial' : 'pending';
+  });
+
+  loan.outstanding = Math.max(0, loan.totalPayable - loan.amountRepaid);
+
+  if (loan.status !== 'cancelled') {
+    if (loan.outstanding <= 0 && loan.status === 'active') {
+      loan.status = 'closed';
+      loan.closedAt = new Date();
+    } else if (loan.outstanding > 0 && loan.status === 'closed') {
+      // A reversed repayment reopens the loan
+      loan.status = 'active';
+      loan.closedAt = undefined;
+    }
+  }
+
+  return loan;
+};
+
+// EMIs due on or before asOf that are still unpaid
+export const getDueAmount = (loan, asOf) => loan.schedule
+  .filter(installment => new Date(installment.dueDate) <= asOf)
+  .reduce((sum, installment) => sum + (installment.emi - (installment.paidAmount || 0)), 0);
+
+// Active loans for the given workers, oldest first
+export const findActiveLoans = (workerIds, session) => Loan.find({
+  worker: { $in: workerIds },
+  status: 'active'
+}).sort({ disbursedDate: 1, createdAt: 1 }).session(session || null);
+
+// Split a salary-run loan deduction across a worker's active loans (oldest first).
+// Without `requested`, the EMIs due by asOf are deducted, capped at the run's wages.
+// A requested amount covers the dues first and any extra prepays the oldest loans.
+// Returns { amount, loans: [{ loan, amount }] } or { error }.
+export const splitLoanDeduction = (loans, asOf, wages, requested) => {
+  const dues = loans.map(loan => Math.min(getDueAmount(loan, asOf), loan.outstanding));
+  const totalOutstanding = loans.reduce((sum, loan) => sum + loan.outstanding, 0);
+
+  let available;
+  if (requested === undefined || requested === null) {
+    available = Math.max(0, Math.min(dues.reduce((sum, due) => sum + due, 0), wages || 0));
+  } else {
+    available = Number(requested);
+    if (!(available >= 0)) return { error: 'loanDeduction cannot be negative' };
+    if (available > totalOutstanding) return { error: 'loanDeduction exceeds the outstanding loan balance' };
+  }
+
+  const amounts = loans.map(() => 0);
+  loans.forEach((loan, i) => {
+    amounts[i] = Math.min(available, dues[i]);
+    available -= amounts[i];
+  });
+  loans.forEach((loan, i) => {
+    const extra = Math.min(available, loan.outstanding - amounts[i]);
+    amounts[i] += extra;
+    available -= extra;
+  });
+
+  const split = loans
+    .map((loan, i) => ({ loan: loan._id, amount: amounts[i] }))
+    .filter(line => line.amount > 0);
+
+  return { amount: split.reduce((sum, line) => sum + line.amount, 0), loans: split };
+};
+
+// Planned EMI deductions for a salary run ending on asOf.
+// wagesByWorker: Map of worker id (string) -> wages in the run. Returns a Map of worker id -> split.
+export const getPlannedLoanDeductions = async (wagesByWorker, asOf) => {
+  const loans = await findActiveLoans([...wagesByWorker.keys()]);
+  const byWorker = new Map();
+  loans.forEach(loan => {
+    const workerId = loan.worker.toString();
+    if (!byWorker.has(workerId)) byWorker.set(workerId, []);
+    byWorker.get(workerId).push(loan);
+  });
+
+  const planned = new Map();
+  byWorker.forEach((workerLoans, workerId) => {
+    planned.set(workerId, splitLoanDeduction(workerLoans, asOf, wagesByWorker.get(workerId)));
+  });
+  return planned;
+};
+
+// Record a repayment on a loan document (the caller saves it)
+export const applyLoanRepayment = (loan, { amount, date, source, notes }) => {
+  if (loan.status !== 'active') {
+    throw new MoneyMovementError(`Loan is ${loan.status} and cannot take repayments`);
+  }
+  if (amount > loan.outstanding) {
+    throw new MoneyMovementError(`Repayment of ${amount} exceeds the outstanding loan balance of ${loan.outstanding}`);
+  }
+
+  loan.repayments.push({ date: date || new Date(), amount, source: source || { kind: 'manual' }, notes });
+  return allocateRepayments(loan);
+};
+
+// Post the EMI deductions of an approved salary run line against its loans
+export const recoverLoansFromRun = async (history, record, session) => {
+  for (const line of record.loanDeductions || []) {
+    const loan = await Loan.findById(line.loan).session(session || null);
+    if (!loan) throw new MoneyMovementError(`Loan for ${record.workerName} no longer exists`, 404);
+
+    applyLoanRepayment(loan, {
+      amount: line.amount,
+      date: history.periodEnd,
+      source: { kind: 'SalaryHistory', id: history._id },
+      notes: `EMI deducted from salary (${record.workerName})`
+    });
+    await loan.save({ session });
+  }
+};
+
+// Remove the repayments a source posted (e.g. a deleted salary run) and reopen the loans they closed
+export const reverseLoanRepayments = async (kind, id, session) => {
+  const loans = await Loan.find({ 'repayments.source.kind': kind, 'repayments.source.id': id }).session(session || null);
+  for (const loan of loans) {
+    loan.repayments = loan.repayments.filter(r => !(r.source?.kind === kind && r.source.id?.toString() === id.toString()));
+    allocateRepayments(loan);
+    await loan.save({ session });
+  }
+  return loans.length;
+};
+
+// Statement for one loan: disbursement and repayments with the running outstanding,
+// plus what is overdue and the next installment
+export const buildLoanStatement = (loan, asOf = new Date()) => {
+  let outstanding = loan.totalPayable;
+  const transactions = [{
+    date: loan.disbursedDate,
+    type: 'disbursement',
+    description: `Principal ${loan.principal} + interest ${loan.totalInterest}${loan.fee ? ` + fee ${loan.fee}` : ''}`,
+    debit: loan.totalPayable,
+    credit: 0,
+    outstanding
+  }];
+
+  loan.repayments
+    .slice()
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .forEach(repayment => {
+      outstanding -= repayment.amount;
+      transactions.push({
+        date: repayment.date,
+        type: repayment.source?.kind === 'SalaryHistory' ? 'salary_deduction' : 'repayment',
+        description: repayment.notes || '',
+        debit: 0,
+        credit: repayment.amount,
+        outstanding,
+        source: repayment.source
+      });
+    });
+
+  const nextInstallment = loan.schedule.find(installment => installment.status !== 'paid') || null;
+
+  return {
+    transactions,
+    overdueAmount: loan.status === 'active' ? getDueAmount(loan, asOf) : 0,
+    installmentsPaid: loan.schedule.filter(installment => installment.status === 'paid').length,
+    installmentsRemaining: loan.schedule.filter(installment => installment.status !== 'paid').length,
+    nextInstallment
+  };
+};
@@ -0,0 +1,196 @@
+import Settings from '../models/Settings.js';
+
+const PAID_STATUSES = ['present', 'holiday', 'half-day'];
+
+// Load overtime settings, falling back to defaults when nothing is saved yet
+export const getOvertimeConfig = async () => {
+  const settings = await Settings.findOne({ key: 'general' });
+  return {
+    overtimeMultiplier: settings?.overtimeMultiplier ?? 1.5,
+    offDayOvertimeMultiplier: settings?.offDayOvertimeMultiplier ?? 2,
+    weeklyOffDays: settings?.weeklyOffDays || []
+  };
+};
+
+// A day is "off" when it is a declared holiday or one of the configured weekly offs
+export const isOffDay = (date, config, holiday) => {
+  if (holiday) return true;
+  return config.weeklyOffDays.includes(new Date(date).getDay());
+};
+
+// Split hours into regular and overtime and price each part.
+// - Normal day: hours up to dailyWorkingHours are regular, the rest is overtime
+// - Paid holiday (status 'holiday'): standard hours are regular, extra hours are off-day overtime
+// - Working on an off day: every hour is off-day overtime
+export const calculateEntryPay = ({ status, hoursWorked, dailyWorkingHours, hourlyRate, offDay, config }) => {
+  const result = {
+    regularHours: 0,
+    overtimeHours: 0,
+    regularPay: 0,
+    overtimePay: 0,
+    overtimeMultiplier: 1,
+    totalPay: 0
+  };
+
+  if (!PAID_STATUSES.includes(status)) return result;
+
+  const hours = hoursWorked || 0;
+  const standardHours = dailyWorkingHours || 8;
+  const rate = hourlyRate || 0;
+
+  if (offDay && status !== 'holiday') {
+    result.overtimeHours = hours;
+  } else {
+    result.regularHours = Math.min(hours, standardHours);
+    result.overtimeHours = Math.max(0, hours - standardHours);
+  }
+
+  result.overtimeMultiplier = offDay ? config.offDayOvertimeMultiplier : config.overtimeMultiplier;
+  result.regularPay = result.regularHours * rate;
+  result.overtimePay = result.overtimeHours * rate * result.overtimeMultiplier;
+  result.totalPay = result.regularPay + result.overtimePay;
+
+  return result;
+};
+
+// Regular/overtime breakdown for an entry. Entries saved before the split existed
+// only carry hoursWorked/totalPay, so treat all of it as regular time.
+export const getEntryBreakdown = (entry) => {
+  const regularHours = entry.regularHours || 0;
+  const overtimeHours = entry.overtimeHours || 0;
+
+  if (regularHours === 0 && overtimeHours === 0 && (entry.hoursWorked || 0) > 0) {
+    return {
+      regularHours: entry.hoursWorked || 0,
+      overtimeHours: 0,
+      regularPay: entry.totalPay || 0,
+      overtimePay: 0
+    };
+  }
+
+  return {
+    regularHours,
+    overtimeHours,
+    regularPay: entry.regularPay || 0,
+    overtimePay: entry.overtimePay || 0
+  };
+};
+
+// Start of the given day (local time)
+const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+// Hourly rate in force on a given date.
+// Workers without a rate history (older records) fall back to hourlyRate / dailyPay.
+// Dates before the first history entry use the earliest known rate.
+export const getRateOn = (worker, date) => {
+  if (!worker) return 0;
+  const fallback = worker.hourlyRate || (worker.dailyPay ? worker.dailyPay / (worker.dailyWorkingHours || 8) : 0);
+  const history = (worker.rateHistory || [])
+    .slice()
+    .sort((a, b) => new Date(a.effectiveFrom) - new Date(b.effectiveFrom));
+
+  if (history.length === 0) return fallback;
+
+  const day = startOfDay(date || new Date());
+  let rate = history[0].rate;
+  for (const item of history) {
+    if (new Date(item.effectiveFrom) <= day) {
+      rate = item.rate;
+    } else {
+      break;
+    }
+  }
+  return rate;
+};
+
+// Add (or replace) a rate effective from the given date on a Worker document.
+// The worker's existing rate is seeded into the history first so past days keep it.
+// hourlyRate is refreshed to the rate in force today. Caller saves the document.
+export const applyRateChange = (worker, rate, effectiveFrom, notes) => {
+  const effectiveDay = startOfDay(effectiveFrom || new Date());
+
+  if (!worker.rateHistory || worker.rateHistory.length === 0) {
+    const previousRate = getRateOn(worker, effectiveDay);
+    const seedDay = startOfDay(worker.createdAt || new Date(0));
+    // Nothing to keep if the new rate goes back to (or before) the day the worker was added
+    if (previousRate && seedDay < effectiveDay) {
+      worker.rateHistory = [{ rate: previousRate, effectiveFrom: seedDay, notes: 'Initial rate' }];
+    }
+  }
+
+  const existing = worker.rateHistory.find(
+    item => startOfDay(item.effectiveFrom).getTime() === effectiveDay.getTime()
+  );
+
+  if (existing) {
+    existing.rate = rate;
+    if (notes !== undefined) existing.notes = notes;
+  } else {
+    worker.rateHistory.push({ rate, effectiveFrom: effectiveDay, notes });
+  }
+
+  worker.hourlyRate = getRateOn(worker, new Date());
+  return worker;
+};
+
+// Per-worker hours and pay totals for entries populated with their worker.
+// Holidays count as full working days, as on the salary summary screen.
+export const summarizeEntriesByWorker = (entries) => {
+  const workerMap = {};
+
+  entries.forEach(entry => {
+    if (!entry.worker) return;
+    const workerId = entry.worker._id.toString();
+    if (!workerMap[workerId]) {
+      workerMap[workerId] = {
+        worker: entry.worker,
+        totalHoursWorked: 0,
+        totalRegularHours: 0,
+        totalOvertimeHours: 0,
+        totalRegularPay: 0,
+        totalOvertimePay: 0,
+        totalPay: 0,
+        daysPresent: 0,
+        daysAbsent: 0,
+        entries: []
+      };
+    }
+    let hours = entry.hoursWorked || 0;
+    let pay = entry.totalPay || 0;
+    const breakdown = getEntryBreakdown(entry);
+
+    // Treat holidays as full working days (usually 8 hours) for report calculations
+    if (entry.status === 'holiday') {
+      hours = entry.worker.dailyWorkingHours || 8;
+      // If pay is 0 (likely as it was saved as 0 hours), calculate based on the rate in force that day
+      if (pay === 0) {
+        pay = hours * getRateOn(entry.worker, entry.date);
+      }
+      if (breakdown.regularHours === 0) {
+        breakdown.regularHours = hours;
+        breakdown.regularPay = pay;
+      }
+    }
+
+    workerMap[workerId].totalHoursWorked += hours;
+    workerMap[workerId].totalRegularHours += breakdown.regularHours;
+    workerMap[workerId].totalOvertimeHours += breakdown.overtimeHours;
+    workerMap[workerId].totalRegularPay += breakdown.regularPay;
+    workerMap[workerId].totalOvertimePay += breakdown.overtimePay;
+    workerMap[workerId].totalPay += pay;
+
+    if (entry.status === 'present' || entry.status === 'holiday') {
+      workerMap[workerId].daysPresent++;
+    } else if (entry.status === 'absent') {
+      workerMap[workerId].daysAbsent++;
+    }
+
+    workerMap[workerId].entries.push(entry);
+  });
+
+  return workerMap;
+};
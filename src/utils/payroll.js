@@ -0,0 +1,43 @@
+import SalaryHistory from '../models/SalaryHistory.js';
+
+// Day range (local time) for a date
+const dayRange = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setHours(23, 59, 59, 999);
+  return { start, end };
+};
+
+// Payroll runs covering [periodStart, periodEnd] that include any of the given workers
+export const findOverlappingRuns = async (workerIds, periodStart, periodEnd, excludeId) => {
+  const filter = {
+    periodStart: { $lte: dayRange(periodEnd).end },
+    periodEnd: { $gte: dayRange(periodStart).start },
+    'records.worker': { $in: workerIds }
+  };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  return SalaryHistory.find(filter).select('periodStart periodEnd status records.worker records.workerName');
+};
+
+// Ids (as strings) of the given workers whose payroll for this day is locked
+export const getLockedWorkerIds = async (workerIds, date) => {
+  const { start, end } = dayRange(date);
+  const runs = await SalaryHistory.find({
+    status: 'locked',
+    periodStart: { $lte: end },
+    periodEnd: { $gte: start },
+    'records.worker': { $in: workerIds }
+  }).select('records.worker');
+
+  const wanted = new Set(workerIds.map(id => id.toString()));
+  const locked = new Set();
+  runs.forEach(run => {
+    run.records.forEach(r => {
+      const id = r.worker.toString();
+      if (wanted.has(id)) locked.add(id);
+    });
+  });
+  return locked;
+};
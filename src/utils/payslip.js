@@ -0,0 +1,87 @@
+import PDFDocument from 'pdfkit';
+
+// dd/mm/yyyy, same as the Excel exports
+const formatDate = (date) => {
+  if (!date) return '';
+  const d = new Date(date);
+  if (isNaN(d.getTime())) return '';
+  const day = String(d.getDate()).padStart(2, '0');
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  return `${day}/${month}/${d.getFullYear()}`;
+};
+
+// The built-in PDF fonts have no ₹ glyph, so PDF amounts are labelled "Rs."
+export const PDF_CURRENCY = 'Rs.';
+
+const formatAmount = (value) => `${PDF_CURRENCY} ${Math.round(value || 0).toLocaleString('en-IN')}`;
+
+// Draw one payslip on the current page
+const drawPayslip = (doc, history, record, companyName) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  doc.font('Helvetica-Bold').fontSize(16).text(companyName || 'Wage Slip', { align: 'center' });
+  doc.font('Helvetica').fontSize(11).text('Wage Slip', { align: 'center' });
+  doc.fontSize(10).text(`Period: ${formatDate(history.periodStart)} to ${formatDate(history.periodEnd)}`, { align: 'center' });
+  doc.moveDown();
+
+  doc.font('Helvetica-Bold').fontSize(11).text(`${record.workerName || ''}`, left);
+  doc.font('Helvetica').fontSize(10).text(`Worker ID: ${record.workerId || ''}`);
+  doc.moveDown(0.5);
+
+  const carriedForward = (record.advanceBalanceAtSave || 0) - (record.deposit || 0) + (record.newAdvance || 0);
+  const rows = [
+    ['Hours worked', `${Math.round((record.totalHoursWorked || 0) * 100) / 100}`],
+    ['Rate per hour', formatAmount(record.hourlyRate)],
+    ['Gross pay', formatAmount(record.totalPay)]
+  ];
+  if (record.arrears) rows.push(['Arrears', formatAmount(record.arrears)]);
+  rows.push(
+    ['Deposit toward advance', formatAmount(record.deposit)]
+  );
+  if (record.loanDeduction) rows.push(['Loan EMI', formatAmount(record.loanDeduction)]);
+  rows.push(
+    ['New advance', formatAmount(record.newAdvance)],
+    ['Payout (already paid)', formatAmount(record.payout)],
+    ['Net amount', formatAmount(record.finalAmount)],
+    ['Advance balance carried forward', formatAmount(carriedForward)]
+  );
+
+  const rowHeight = 20;
+  let y = doc.y;
+  rows.forEach(([label, value], index) => {
+    const isNet = label === 'Net amount';
+    doc.rect(left, y, width, rowHeight).stroke();
+    doc.font(isNet ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+    doc.text(label, left + 6, y + 6, { width: width / 2 });
+    doc.text(value, left + width / 2, y + 6, { width: width / 2 - 6, align: 'right' });
+    y += rowHeight;
+    if (index === rows.length - 1) doc.y = y;
+  });
+
+  // Signature / thumbprint box
+  y += 24;
+  const boxHeight = 70;
+  doc.rect(left, y, width / 2 - 10, boxHeight).stroke();
+  doc.rect(left + width / 2 + 10, y, width / 2 - 10, boxHeight).stroke();
+  doc.font('Helvetica').fontSize(9);
+  doc.text('Worker signature / thumbprint', left, y + boxHeight + 4, { width: width / 2 - 10, align: 'center' });
+  doc.text('Authorised signatory', left + width / 2 + 10, y + boxHeight + 4, { width: width / 2 - 10, align: 'center' });
+};
+
+// Render payslips for the given history records (one slip per page) into a PDF buffer
+export const renderPayslips = (history, records, companyName) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A5', margin: 36, autoFirstPage: false });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  records.forEach(record => {
+    doc.addPage();
+    drawPayslip(doc, history, record, companyName);
+  });
+
+  doc.end();
+});
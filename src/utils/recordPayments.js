@@ -0,0 +1,68 @@
+export const RECORD_PAYMENT_MODES = ['cash', 'bank', 'upi'];
+
+// Validate payment mode / paid date / reference from a request body
+export const parsePaymentDetails = (body) => {
+  const { paymentMode, paidDate, paymentReference } = body;
+
+  if (!RECORD_PAYMENT_MODES.includes(paymentMode)) {
+    return { error: `paymentMode must be one of: ${RECORD_PAYMENT_MODES.join(', ')}` };
+  }
+
+  let date = new Date();
+  if (paidDate) {
+    const [year, month, day] = String(paidDate).split('-').map(Number);
+    date = new Date(year, month - 1, day);
+    if (isNaN(date.getTime())) {
+      return { error: 'paidDate must be in YYYY-MM-DD format' };
+    }
+  }
+
+  return { paymentMode, paidDate: date, paymentReference: paymentReference ? String(paymentReference).trim() : undefined };
+};
+
+// History records for the given worker ids (all records when workerIds is empty)
+export const selectRecords = (history, workerIds) => {
+  if (!Array.isArray(workerIds) || workerIds.length === 0) return history.records;
+  const wanted = new Set(workerIds.map(String));
+  return history.records.filter(r => wanted.has(r.worker.toString()) || wanted.has(r.workerId));
+};
+
+// Mark records paid and return the ones that changed; lines already paid are left as they are
+export const markRecordsPaid = (records, details) => {
+  const updated = records.filter(record => record.paymentStatus !== 'paid');
+  updated.forEach(record => {
+    record.paymentStatus = 'paid';
+    record.paidDate = details.paidDate;
+    record.paymentMode = details.paymentMode;
+    record.paymentReference = details.paymentReference;
+  });
+  return updated;
+};
+
+// Undo a payment mark (e.g. wrong worker ticked off) and return the records that changed
+export const markRecordsUnpaid = (records) => {
+  const updated = records.filter(record => record.paymentStatus === 'paid');
+  updated.forEach(record => {
+    record.paymentStatus = 'unpaid';
+    record.paidDate = undefined;
+    record.paymentMode = undefined;
+    record.paymentReference = undefined;
+  });
+  return updated;
+};
+
+// Paid vs outstanding totals for a history; getAmount picks the payable amount from a record
+export const summarizeRecordPayments = (history, getAmount) => {
+  const summary = { paidCount: 0, unpaidCount: 0, paidAmount: 0, outstandingAmount: 0 };
+  history.records.forEach(record => {
+    const amount = getAmount(record) || 0;
+    if (record.paymentStatus === 'paid') {
+      summary.paidCount++;
+      summary.paidAmount += amount;
+    } else if (amount > 0) {
+      summary.unpaidCount++;
+      summary.outstandingAmount += amount;
+    }
+  });
+  return summary;
+};
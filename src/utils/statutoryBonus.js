@@ -0,0 +1,101 @@
+// Payment of Bonus Act defaults. The ceilings are notified amounts and change from time to
+// time (the calculation ceiling is also raised to the minimum wage where that is higher),
+// so a request can override them.
+export const STATUTORY_BONUS = {
+  minPercentage: 8.33,
+  maxPercentage: 20,
+  // Workers earning more than this in a month are outside the Act for that month
+  eligibilityCeiling: 21000,
+  // Monthly wages above this are counted at this amount
+  calculationCeiling: 7000,
+  minDaysWorked: 30,
+  // Minimum bonus for an eligible worker (8.33% or this amount, whichever is higher)
+  minimumBonus: 100
+};
+
+// Accounting year starting 1 April of startYear and ending 31 March of the next year
+export const getFinancialYear = (startYear) => ({
+  periodStart: new Date(startYear, 3, 1),
+  periodEnd: new Date(startYear + 1, 2, 31, 23, 59, 59, 999),
+  label: `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`
+});
+
+// Validate statutory options from a request body; returns { options } or { error }
+export const validateStatutoryOptions = (body) => {
+  const pick = (field) => (body[field] === undefined || body[field] === null || body[field] === '' ? STATUTORY_BONUS[field] : Number(body[field]));
+  const percentage = body.percentage === undefined ? STATUTORY_BONUS.minPercentage : Number(body.percentage);
+
+  if (!(percentage >= STATUTORY_BONUS.minPercentage && percentage <= STATUTORY_BONUS.maxPercentage)) {
+    return { error: `percentage must be between ${STATUTORY_BONUS.minPercentage} and ${STATUTORY_BONUS.maxPercentage}` };
+  }
+
+  const options = {
+    percentage,
+    eligibilityCeiling: pick('eligibilityCeiling'),
+    calculationCeiling: pick('calculationCeiling'),
+    minDaysWorked: pick('minDaysWorked'),
+    minimumBonus: pick('minimumBonus')
+  };
+
+  if (!(options.eligibilityCeiling > 0) || !(options.calculationCeiling > 0)) {
+    return { error: 'eligibilityCeiling and calculationCeiling must be greater than 0' };
+  }
+  if (!(options.minDaysWorked >= 0) || !(options.minimumBonus >= 0)) {
+    return { error: 'minDaysWorked and minimumBonus cannot be negative' };
+  }
+
+  return { options };
+};
+
+// Statutory bonus for one worker from their DailyEntry rows in the accounting year.
+// Wages are the entries' totalPay, grouped by calendar month. Present days and paid
+// holidays count as days worked, half-days as half.
+export const calculateStatutoryBonus = (entries, options) => {
+  const monthly = new Map();
+  let daysWorked = 0;
+
+  entries.forEach(entry => {
+    if (entry.status === 'present' || entry.status === 'holiday') daysWorked += 1;
+    else if (entry.status === 'half-day') daysWorked += 0.5;
+
+    const date = new Date(entry.date);
+    const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    monthly.set(key, (monthly.get(key) || 0) + (entry.totalPay || 0));
+  });
+
+  let wagesEarned = 0;
+  let bonusWages = 0;
+  const months = [...monthly.keys()].sort().map(month => {
+    const wages = monthly.get(month);
+    const excluded = wages > options.eligibilityCeiling;
+    const countedWages = excluded ? 0 : Math.min(wages, options.calculationCeiling);
+    wagesEarned += wages;
+    bonusWages += countedWages;
+    return { month, wages, countedWages, excluded };
+  });
+
+  let ineligibleReason = null;
+  if (daysWorked < options.minDaysWorked) {
+    ineligibleReason = `Worked ${daysWorked} days (minimum ${options.minDaysWorked})`;
+  } else if (bonusWages <= 0) {
+    ineligibleReason = months.length > 0
+      ? `Wages above ₹${options.eligibilityCeiling} a month in every month`
+      : 'No wages in the accounting year';
+  }
+
+  const eligible = ineligibleReason === null;
+  const bonusAmount = eligible
+    ? Math.round(Math.max(bonusWages * options.percentage / 100, options.minimumBonus))
+    : 0;
+
+  return {
+    daysWorked,
+    wagesEarned,
+    bonusWages,
+    months,
+    excludedMonths: months.filter(m => m.excluded).map(m => m.month),
+    eligible,
+    ineligibleReason,
+    bonusAmount
+  };
+};
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getProration } from '../src/utils/bonusProration.js';
+
+const periodStart = new Date(2024, 0, 1);
+const periodEnd = new Date(2024, 11, 31, 23, 59, 59, 999);
+
+test('a worker employed all period gets the full base', () => {
+  assert.deepEqual(getProration({ isActive: true }, periodStart, periodEnd), { daysEmployed: 366, periodDays: 366, prorationFactor: 1 });
+});
+
+test('a joiner is pro-rated from the joining date', () => {
+  const proration = getProration({ isActive: true, joiningDate: new Date(2024, 6, 1) }, periodStart, periodEnd);
+
+  assert.equal(proration.daysEmployed, 184);
+  assert.equal(proration.prorationFactor, 0.5027);
+});
+
+test('a leaver is pro-rated up to the leaving date', () => {
+  const proration = getProration({ isActive: false, leavingDate: new Date(2024, 2, 31) }, periodStart, periodEnd);
+
+  assert.equal(proration.daysEmployed, 91);
+});
+
+test('an inactive worker without a leaving date is taken to have left after the last entry', () => {
+  assert.equal(getProration({ isActive: false }, periodStart, periodEnd, new Date(2024, 0, 10)).daysEmployed, 10);
+  assert.equal(getProration({ isActive: false }, periodStart, periodEnd).prorationFactor, 0);
+});
+
+test('a worker who joined after the period earns nothing for it', () => {
+  const proration = getProration({ isActive: true, joiningDate: new Date(2025, 0, 5) }, periodStart, periodEnd);
+
+  assert.equal(proration.daysEmployed, 0);
+  assert.equal(proration.prorationFactor, 0);
+});
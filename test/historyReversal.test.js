@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildReversalLine } from '../src/utils/historyReversal.js';
+
+const worker = { _id: 'w1', name: 'Ravi', workerId: 'W1', advanceBalance: 1000, totalAdvanceTaken: 1500, totalAdvanceRepaid: 500 };
+const options = { posted: true, source: { kind: 'SalaryHistory', id: 'h1' }, notes: 'Reversal of deleted salary run' };
+
+test('linked entries are removed and their effect taken off the balances', () => {
+  const entries = [
+    { _id: 'a1', type: 'advance', amount: 500 },
+    { _id: 'a2', type: 'deposit', amount: 200 }
+  ];
+  const line = buildReversalLine(worker, { newAdvance: 500, deposit: 200 }, entries, options);
+
+  assert.deepEqual(line.removeEntries.map(e => e._id), ['a1', 'a2']);
+  assert.deepEqual(line.compensations, []);
+  assert.deepEqual(line.after, { advanceBalance: 700, totalAdvanceTaken: 1000, totalAdvanceRepaid: 300 });
+});
+
+test('a line posted without linked entries is undone with a compensating entry', () => {
+  const line = buildReversalLine(worker, { newAdvance: 500, deposit: 200 }, [], options);
+
+  assert.deepEqual(line.compensations, [{
+    worker: 'w1', type: 'deposit', amount: 300, notes: options.notes, source: options.source
+  }]);
+  assert.deepEqual(line.after, { advanceBalance: 700, totalAdvanceTaken: 1500, totalAdvanceRepaid: 800 });
+});
+
+test('an unlinked deposit is given back as an advance', () => {
+  const line = buildReversalLine(worker, { newAdvance: 0, deposit: 200 }, [], options);
+
+  assert.equal(line.compensations.length, 1);
+  assert.equal(line.compensations[0].type, 'advance');
+  assert.equal(line.compensations[0].amount, 200);
+  assert.deepEqual(line.after, { advanceBalance: 1200, totalAdvanceTaken: 1700, totalAdvanceRepaid: 500 });
+});
+
+test('only the part of a line without linked entries is compensated', () => {
+  const line = buildReversalLine(worker, { newAdvance: 500, deposit: 200 }, [{ _id: 'a1', type: 'advance', amount: 500 }], options);
+
+  assert.deepEqual(line.removeEntries.map(e => e._id), ['a1']);
+  assert.equal(line.compensations.length, 1);
+  assert.equal(line.compensations[0].type, 'advance');
+  assert.equal(line.compensations[0].amount, 200);
+  assert.deepEqual(line.after, { advanceBalance: 700, totalAdvanceTaken: 1200, totalAdvanceRepaid: 500 });
+});
+
+test('a history that was never posted changes nothing', () => {
+  const line = buildReversalLine(worker, { newAdvance: 500, deposit: 200 }, [], { ...options, posted: false });
+
+  assert.deepEqual(line.compensations, []);
+  assert.deepEqual(line.after, line.before);
+});
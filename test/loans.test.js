@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildAmortizationSchedule, splitLoanDeduction } from '../src/utils/loans.js';
+
+const sum = (rows, field) => rows.reduce((total, row) => total + row[field], 0);
+
+test('flat interest is charged on the full principal and split evenly', () => {
+  const { schedule, emiAmount, totalInterest, totalPayable } = buildAmortizationSchedule({
+    principal: 12000, interestMethod: 'flat', interestRate: 12, fee: 0, tenureMonths: 12, firstDueDate: new Date(2024, 0, 15)
+  });
+
+  assert.equal(schedule.length, 12);
+  assert.equal(emiAmount, 1120);
+  assert.equal(totalInterest, 1440);
+  assert.equal(totalPayable, 13440);
+  schedule.forEach(installment => {
+    assert.equal(installment.principal, 1000);
+    assert.equal(installment.interest, 120);
+  });
+  assert.equal(schedule[11].balanceAfter, 0);
+});
+
+test('the last installment absorbs rounding of principal, interest and fee', () => {
+  const { schedule, totalInterest, totalPayable } = buildAmortizationSchedule({
+    principal: 10000, interestMethod: 'flat', interestRate: 10, fee: 100, tenureMonths: 3, firstDueDate: new Date(2024, 0, 15)
+  });
+
+  assert.deepEqual(schedule.map(i => i.principal), [3333, 3333, 3334]);
+  assert.deepEqual(schedule.map(i => i.interest), [83, 83, 84]);
+  assert.deepEqual(schedule.map(i => i.fee), [33, 33, 34]);
+  assert.equal(totalInterest, 250);
+  assert.equal(totalPayable, 10350);
+  assert.equal(sum(schedule, 'emi'), totalPayable);
+});
+
+test('reducing balance charges each month on the principal still owed', () => {
+  const { schedule, emiAmount, totalInterest, totalPayable } = buildAmortizationSchedule({
+    principal: 10000, interestMethod: 'reducing', interestRate: 12, fee: 0, tenureMonths: 12, firstDueDate: new Date(2024, 0, 15)
+  });
+
+  assert.equal(emiAmount, 888);
+  assert.equal(schedule[0].interest, 100);
+  assert.ok(schedule[11].interest < schedule[0].interest);
+  assert.equal(sum(schedule, 'principal'), 10000);
+  assert.equal(sum(schedule, 'interest'), totalInterest);
+  assert.equal(schedule[11].balanceAfter, 0);
+  assert.equal(totalPayable, 10000 + totalInterest);
+});
+
+test('reducing balance without interest repays the principal evenly', () => {
+  const { schedule, totalInterest } = buildAmortizationSchedule({
+    principal: 6000, interestMethod: 'reducing', interestRate: 0, fee: 0, tenureMonths: 6, firstDueDate: new Date(2024, 0, 15)
+  });
+
+  assert.equal(totalInterest, 0);
+  schedule.forEach(installment => assert.equal(installment.emi, 1000));
+});
+
+test('due dates fall on the same day each month, clamped to the month end', () => {
+  const { schedule } = buildAmortizationSchedule({
+    principal: 3000, interestMethod: 'flat', interestRate: 0, fee: 0, tenureMonths: 3, firstDueDate: new Date(2024, 0, 31)
+  });
+
+  assert.deepEqual(schedule.map(i => i.dueDate), [new Date(2024, 0, 31), new Date(2024, 1, 29), new Date(2024, 2, 31)]);
+});
+
+// Loan with monthly EMIs of `emi` due from January 2024
+const makeLoan = (id, emi, installments, outstanding, paid = []) => ({
+  _id: id,
+  outstanding,
+  schedule: Array.from({ length: installments }, (_, k) => ({
+    dueDate: new Date(2024, k, 10),
+    emi,
+    paidAmount: paid[k] || 0
+  }))
+});
+
+test('without a requested amount the EMIs due are deducted, oldest loan first', () => {
+  const loans = [makeLoan('a', 1000, 6, 6000, [1000]), makeLoan('b', 500, 6, 3000)];
+  const split = splitLoanDeduction(loans, new Date(2024, 1, 28), 10000);
+
+  assert.equal(split.amount, 2000);
+  assert.deepEqual(split.loans, [{ loan: 'a', amount: 1000 }, { loan: 'b', amount: 1000 }]);
+});
+
+test('the EMIs due are capped at the wages in the run', () => {
+  const loans = [makeLoan('a', 1000, 6, 6000), makeLoan('b', 500, 6, 3000)];
+  const split = splitLoanDeduction(loans, new Date(2024, 1, 28), 1500);
+
+  assert.equal(split.amount, 1500);
+  assert.deepEqual(split.loans, [{ loan: 'a', amount: 1500 }]);
+});
+
+test('a requested amount covers the dues first and prepays the oldest loan with the rest', () => {
+  const loans = [makeLoan('a', 1000, 6, 6000), makeLoan('b', 500, 6, 3000)];
+  const split = splitLoanDeduction(loans, new Date(2024, 0, 31), 0, 2000);
+
+  assert.equal(split.amount, 2000);
+  assert.deepEqual(split.loans, [{ loan: 'a', amount: 1500 }, { loan: 'b', amount: 500 }]);
+});
+
+test('a requested amount must be positive and within the outstanding balance', () => {
+  const loans = [makeLoan('a', 1000, 6, 6000)];
+
+  assert.deepEqual(splitLoanDeduction(loans, new Date(2024, 0, 31), 0, -1), { error: 'loanDeduction cannot be negative' });
+  assert.deepEqual(splitLoanDeduction(loans, new Date(2024, 0, 31), 0, 6001), { error: 'loanDeduction exceeds the outstanding loan balance' });
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateEntryPay, getRateOn } from '../src/utils/pay.js';
+
+const config = { overtimeMultiplier: 1.5, offDayOvertimeMultiplier: 2, weeklyOffDays: [0] };
+
+test('hours beyond the working day are paid as overtime', () => {
+  const pay = calculateEntryPay({ status: 'present', hoursWorked: 10, dailyWorkingHours: 8, hourlyRate: 100, offDay: false, config });
+
+  assert.equal(pay.regularHours, 8);
+  assert.equal(pay.overtimeHours, 2);
+  assert.equal(pay.regularPay, 800);
+  assert.equal(pay.overtimePay, 300);
+  assert.equal(pay.totalPay, 1100);
+});
+
+test('every hour worked on an off day is off-day overtime', () => {
+  const pay = calculateEntryPay({ status: 'present', hoursWorked: 6, dailyWorkingHours: 8, hourlyRate: 100, offDay: true, config });
+
+  assert.equal(pay.regularHours, 0);
+  assert.equal(pay.overtimeHours, 6);
+  assert.equal(pay.overtimeMultiplier, 2);
+  assert.equal(pay.totalPay, 1200);
+});
+
+test('a paid holiday pays standard hours as regular and extra hours at the off-day rate', () => {
+  const pay = calculateEntryPay({ status: 'holiday', hoursWorked: 9, dailyWorkingHours: 8, hourlyRate: 100, offDay: true, config });
+
+  assert.equal(pay.regularPay, 800);
+  assert.equal(pay.overtimePay, 200);
+  assert.equal(pay.totalPay, 1000);
+});
+
+test('absent days are not paid', () => {
+  const pay = calculateEntryPay({ status: 'absent', hoursWorked: 8, dailyWorkingHours: 8, hourlyRate: 100, offDay: false, config });
+
+  assert.equal(pay.totalPay, 0);
+  assert.equal(pay.regularHours, 0);
+});
+
+const worker = {
+  hourlyRate: 150,
+  rateHistory: [
+    { rate: 120, effectiveFrom: new Date(2024, 5, 1) },
+    { rate: 100, effectiveFrom: new Date(2024, 0, 1) }
+  ]
+};
+
+test('the rate in force on a date comes from the rate history', () => {
+  assert.equal(getRateOn(worker, new Date(2024, 4, 31)), 100);
+  assert.equal(getRateOn(worker, new Date(2024, 5, 1, 10, 30)), 120);
+  assert.equal(getRateOn(worker, new Date(2025, 0, 1)), 120);
+});
+
+test('dates before the first rate use the earliest known rate', () => {
+  assert.equal(getRateOn(worker, new Date(2023, 11, 31)), 100);
+});
+
+test('workers without a rate history fall back to hourlyRate, then dailyPay', () => {
+  assert.equal(getRateOn({ hourlyRate: 90 }, new Date()), 90);
+  assert.equal(getRateOn({ dailyPay: 800, dailyWorkingHours: 8 }, new Date()), 100);
+  assert.equal(getRateOn(null, new Date()), 0);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { STATUTORY_BONUS, getFinancialYear, validateStatutoryOptions, calculateStatutoryBonus } from '../src/utils/statutoryBonus.js';
+
+const options = { ...STATUTORY_BONUS, percentage: STATUTORY_BONUS.minPercentage };
+
+// `count` entries from the given day of a month, each with the same status and pay
+const entriesIn = (year, month, count, status, totalPay) => Array.from({ length: count }, (_, k) => ({
+  date: new Date(year, month, k + 1),
+  status,
+  totalPay
+}));
+
+test('monthly wages are capped at the calculation ceiling and months above the eligibility ceiling left out', () => {
+  const entries = [
+    ...entriesIn(2024, 3, 20, 'present', 500),
+    ...entriesIn(2024, 4, 11, 'present', 2500)
+  ];
+  const result = calculateStatutoryBonus(entries, options);
+
+  assert.equal(result.daysWorked, 31);
+  assert.equal(result.wagesEarned, 37500);
+  assert.equal(result.bonusWages, 7000);
+  assert.deepEqual(result.excludedMonths, ['2024-05']);
+  assert.equal(result.eligible, true);
+  assert.equal(result.bonusAmount, 583);
+});
+
+test('an eligible worker gets at least the minimum bonus', () => {
+  const result = calculateStatutoryBonus(entriesIn(2024, 3, 30, 'present', 10), options);
+
+  assert.equal(result.bonusWages, 300);
+  assert.equal(result.bonusAmount, 100);
+});
+
+test('half-days count as half a day worked towards the minimum', () => {
+  const entries = [
+    ...entriesIn(2024, 3, 25, 'present', 200),
+    ...entriesIn(2024, 4, 10, 'half-day', 100)
+  ];
+  const result = calculateStatutoryBonus(entries, options);
+
+  assert.equal(result.daysWorked, 30);
+  assert.equal(result.eligible, true);
+});
+
+test('workers below the minimum days get no bonus', () => {
+  const result = calculateStatutoryBonus(entriesIn(2024, 3, 20, 'present', 500), options);
+
+  assert.equal(result.eligible, false);
+  assert.equal(result.ineligibleReason, 'Worked 20 days (minimum 30)');
+  assert.equal(result.bonusAmount, 0);
+});
+
+test('statutory options default to the Act and the percentage must be within it', () => {
+  assert.deepEqual(validateStatutoryOptions({}).options, {
+    percentage: 8.33, eligibilityCeiling: 21000, calculationCeiling: 7000, minDaysWorked: 30, minimumBonus: 100
+  });
+  assert.equal(validateStatutoryOptions({ percentage: 25 }).error, 'percentage must be between 8.33 and 20');
+  assert.equal(validateStatutoryOptions({ calculationCeiling: 0 }).error, 'eligibilityCeiling and calculationCeiling must be greater than 0');
+});
+
+test('the accounting year runs from 1 April to 31 March', () => {
+  const year = getFinancialYear(2024);
+
+  assert.deepEqual(year.periodStart, new Date(2024, 3, 1));
+  assert.deepEqual(year.periodEnd, new Date(2025, 2, 31, 23, 59, 59, 999));
+  assert.equal(year.label, '2024-25');
+});